@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Webhook replay harness
+ * Boots the server against a throwaway database, then replays signed Messenger
+ * webhook payloads from a fixtures directory in filename order — the full
+ * conversation flow, end to end, without Facebook.
+ *
+ * Usage: node scripts/replay-webhook.js [fixturesDir]
+ *
+ * Payload placeholders:
+ *   {{PSID}}          — a fresh sender ID for this run
+ *   {{FIXTURES_URL}}  — base URL serving scripts/fixtures/ (for image attachments)
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const APP_SECRET = 'replay-harness-secret';
+const PORT = Number(process.env.REPLAY_PORT) || 3100;
+const BASE_URL = `http://localhost:${PORT}`;
+const STEP_TIMEOUT_MS = 15000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function sign(body) {
+  return 'sha256=' + crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex');
+}
+
+// Serve scripts/fixtures/ so attachment URLs can be downloaded without the internet
+function startFixtureServer() {
+  const server = http.createServer((req, res) => {
+    const file = path.join(FIXTURES_DIR, path.normalize(decodeURIComponent(req.url)).replace(/^([/\\])+/, ''));
+    if (!file.startsWith(FIXTURES_DIR) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200);
+    fs.createReadStream(file).pipe(res);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, () => resolve(server));
+  });
+}
+
+function startApp(dbPath) {
+  const child = spawn(process.execPath, [path.join(ROOT, 'src', 'index.js')], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      DB_PATH: dbPath,
+      STORAGE_DRIVER: 'local',
+      STORAGE_DIR: path.join(path.dirname(dbPath), 'storage'),
+      APP_SECRET,
+      MESSENGER_DRY_RUN: '1',
+      PAYMENT_PROVIDER: 'fake',
+      PUBLIC_URL: BASE_URL,
+      CRAFTCLOUD_API_KEY: '',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  child.stdout.on('data', (d) => process.stdout.write(`  [app] ${d}`));
+  child.stderr.on('data', (d) => process.stderr.write(`  [app] ${d}`));
+  return child;
+}
+
+async function waitForApp() {
+  for (let i = 0; i < 50; i++) {
+    try {
+      await fetch(`${BASE_URL}/login`);
+      return;
+    } catch (_) {
+      await sleep(200);
+    }
+  }
+  throw new Error(`Server did not start on ${BASE_URL}`);
+}
+
+function postWebhook(body, signature) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (signature) headers['X-Hub-Signature-256'] = signature;
+  return fetch(`${BASE_URL}/webhook`, { method: 'POST', headers, body });
+}
+
+// The webhook answers 200 before processing, so wait for the bot's reply to land
+async function waitForReply(db, psid, countBefore) {
+  const deadline = Date.now() + STEP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const rows = db.prepare('SELECT direction FROM messages WHERE psid = ? ORDER BY id ASC').all(psid);
+    if (rows.length > countBefore + 1 && rows[rows.length - 1].direction !== 'in') return true;
+    await sleep(100);
+  }
+  return false;
+}
+
+async function main() {
+  const scenarioDir = path.resolve(process.argv[2] || path.join(FIXTURES_DIR, 'conversation'));
+  const files = fs.readdirSync(scenarioDir).filter((f) => f.endsWith('.json')).sort();
+  if (files.length === 0) throw new Error(`No .json payloads in ${scenarioDir}`);
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'formfit-replay-'));
+  const dbPath = path.join(tmpDir, 'replay.db');
+  const psid = `replay_${Date.now()}`;
+  const fixtureServer = await startFixtureServer();
+  const fixturesUrl = `http://localhost:${fixtureServer.address().port}`;
+  const app = startApp(dbPath);
+  let failures = 0;
+
+  try {
+    await waitForApp();
+    const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+
+    // Sanity check: unsigned and badly signed payloads must be rejected
+    const probe = fs.readFileSync(path.join(scenarioDir, files[0]), 'utf8').replace(/{{PSID}}/g, psid);
+    for (const [label, sig] of [['unsigned', null], ['bad signature', 'sha256=' + '0'.repeat(64)]]) {
+      const res = await postWebhook(probe, sig);
+      const ok = res.status === 403;
+      if (!ok) failures++;
+      console.log(`${ok ? 'PASS' : 'FAIL'} ${label} payload → ${res.status} (expected 403)`);
+    }
+
+    for (const file of files) {
+      const body = JSON.stringify(JSON.parse(
+        fs.readFileSync(path.join(scenarioDir, file), 'utf8')
+          .replace(/{{PSID}}/g, psid)
+          .replace(/{{FIXTURES_URL}}/g, fixturesUrl)
+      ));
+      const countBefore = db.prepare('SELECT COUNT(*) as c FROM messages WHERE psid = ?').get(psid).c;
+      const res = await postWebhook(body, sign(body));
+      const replied = res.status === 200 && await waitForReply(db, psid, countBefore);
+      if (!replied) failures++;
+      console.log(`${replied ? 'PASS' : 'FAIL'} ${file} → ${res.status}${replied ? '' : ' (no reply)'}`);
+    }
+
+    // Complete the fake checkout if the flow got as far as a payment link
+    const state = db.prepare('SELECT * FROM conversation_state WHERE psid = ?').get(psid);
+    let order = state && db.prepare('SELECT * FROM orders WHERE order_id = ?').get(state.pending_order_id);
+    if (order && order.payment_url) {
+      const res = await fetch(`${order.payment_url}/pay`, { method: 'POST', redirect: 'manual' });
+      console.log(`${res.status === 302 ? 'PASS' : 'FAIL'} fake payment → ${res.status}`);
+      if (res.status !== 302) failures++;
+      order = db.prepare('SELECT * FROM orders WHERE order_id = ?').get(order.order_id);
+    }
+
+    // The customer's photo should have been filed under the order in storage
+    if (order) {
+      const artifact = db.prepare('SELECT * FROM artifacts WHERE key = ?').get(order.photo_path);
+      const stored = !!artifact && artifact.order_id === order.order_id;
+      console.log(`${stored ? 'PASS' : 'FAIL'} photo stored → ${order.photo_path || '(none)'}`);
+      if (!stored) failures++;
+    }
+
+    console.log('\n--- Transcript ---');
+    for (const m of db.prepare('SELECT * FROM messages WHERE psid = ? ORDER BY id ASC').all(psid)) {
+      console.log(`${m.direction === 'in' ? '←' : '→'} ${m.text.replace(/\n/g, '\n  ')}`);
+    }
+    console.log('\n--- Result ---');
+    console.log(`Stage: ${db.prepare('SELECT stage FROM conversation_state WHERE psid = ?').get(psid)?.stage || '—'}`);
+    if (order) {
+      console.log(`Order ${order.order_id}: status=${order.status} payment=${order.payment_status} total=$${order.total.toFixed(2)}`);
+    }
+    db.close();
+  } finally {
+    app.kill();
+    fixtureServer.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(failures ? `\n${failures} step(s) failed` : '\nAll steps passed');
+  process.exitCode = failures ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error('[REPLAY]', err.message);
+  process.exitCode = 1;
+});
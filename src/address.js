@@ -0,0 +1,129 @@
+// Shipping address parsing and validation for customer replies.
+// Only US addresses are supported (Craftcloud quotes are requested for US).
+
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI',
+  'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN',
+  'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH',
+  'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+  'WV', 'WI', 'WY', 'PR'
+];
+
+const COUNTRY_RE = /^(us|usa|u\.s\.a?\.?|united states( of america)?)$/i;
+const CITY_STATE_ZIP_RE = /^(.*?)[\s,]*\b([A-Za-z]{2})\.?\s+(\d{5}(?:-\d{4})?)$/;
+const STREET_RE = /^(\d+[A-Za-z]?\s+\S+|p\.?\s*o\.?\s+box\s+\d+)/i;
+
+/**
+ * Parse a free-text shipping address reply.
+ * Accepts one part per line or comma-separated, e.g.
+ *   "Jane Doe, 12 Oak St, Apt 4, Austin, TX 78701"
+ * @param {string} text
+ * @returns {{ ok: boolean, address: object|null, error: string|null }}
+ */
+function parseAddress(text) {
+  const parts = (text || '')
+    .split(/\n|,/)
+    .map(p => p.trim())
+    .filter(Boolean);
+
+  if (parts.length && COUNTRY_RE.test(parts[parts.length - 1])) parts.pop();
+
+  if (parts.length < 3) {
+    return fail("I need your full name, street address, and city/state/ZIP.");
+  }
+
+  const tail = parts.pop().match(CITY_STATE_ZIP_RE);
+  if (!tail) {
+    return fail("I couldn't find a state and 5-digit ZIP code at the end of that address.");
+  }
+
+  let city = tail[1].trim();
+  const state = tail[2].toUpperCase();
+  const zip = tail[3];
+  if (!city) city = parts.pop() || '';
+
+  if (!US_STATES.includes(state)) {
+    return fail(`"${state}" doesn't look like a US state code. We can only ship within the US right now.`);
+  }
+  if (!city) {
+    return fail("I couldn't find the city in that address.");
+  }
+
+  const [name, line1, ...rest] = parts;
+  if (!name || !line1) {
+    return fail("Please include both your full name and your street address.");
+  }
+  if (STREET_RE.test(name) && !STREET_RE.test(line1)) {
+    return fail("Please start with your full name, then the street address.");
+  }
+  if (!STREET_RE.test(line1)) {
+    return fail(`"${line1}" doesn't look like a street address (e.g. 12 Oak St or PO Box 45).`);
+  }
+
+  return {
+    ok: true,
+    address: {
+      name,
+      line1,
+      line2: rest.join(', '),
+      city,
+      state,
+      zip,
+      country: 'US'
+    },
+    error: null
+  };
+}
+
+function fail(error) {
+  return { ok: false, address: null, error };
+}
+
+/**
+ * Map a parsed address onto the orders table's shipping columns.
+ */
+function toOrderFields(address) {
+  return {
+    name: address.name,
+    ship_name: address.name,
+    ship_line1: address.line1,
+    ship_line2: address.line2 || '',
+    ship_city: address.city,
+    ship_state: address.state,
+    ship_zip: address.zip,
+    ship_country: address.country || 'US'
+  };
+}
+
+/**
+ * Read the stored shipping address off an order row.
+ * Returns null when the order has no complete address on file.
+ */
+function fromOrder(order) {
+  if (!order || !order.ship_line1 || !order.ship_city || !order.ship_state || !order.ship_zip) {
+    return null;
+  }
+  return {
+    name: order.ship_name || order.name,
+    line1: order.ship_line1,
+    line2: order.ship_line2 || '',
+    city: order.ship_city,
+    state: order.ship_state,
+    zip: order.ship_zip,
+    country: order.ship_country || 'US'
+  };
+}
+
+/**
+ * Multi-line address string for confirmation messages.
+ */
+function formatAddress(address) {
+  return [
+    address.name,
+    address.line1,
+    address.line2,
+    `${address.city}, ${address.state} ${address.zip}`
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = { parseAddress, toOrderFields, fromOrder, formatAddress };
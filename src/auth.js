@@ -0,0 +1,196 @@
+/**
+ * Dashboard authentication
+ * Password login → opaque session token, sent as an HttpOnly cookie or
+ * an `Authorization: Bearer <token>` header. Only a SHA-256 of each token is stored.
+ *
+ * Roles:
+ *   owner  — everything
+ *   helper — view orders, mark them printed or shipped
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const db = require('./db');
+
+const ROLES = ['owner', 'helper'];
+const COOKIE_NAME = 'ffc_session';
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24 * 7;
+const MIN_PASSWORD_LENGTH = 8;
+
+// --- Passwords ---
+
+/**
+ * Hash a password with scrypt. Format: scrypt$<salt hex>$<hash hex>
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// --- Users ---
+
+/**
+ * Create a dashboard user.
+ * @returns {{ id, username, role }}
+ */
+function createUser(username, password, role) {
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    throw new Error('Username and password must be strings');
+  }
+  const name = username.trim();
+  if (!name) throw new Error('Username is required');
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (db.getUserByUsername(name)) throw new Error(`User ${name} already exists`);
+
+  const id = db.createUser(name, hashPassword(password), role);
+  return { id, username: name, role };
+}
+
+/**
+ * Create the first owner from OWNER_USERNAME / OWNER_PASSWORD if no users exist yet.
+ */
+function bootstrapOwner() {
+  if (db.countUsers() > 0) return;
+  const username = process.env.OWNER_USERNAME;
+  const password = process.env.OWNER_PASSWORD;
+  if (!username || !password) {
+    console.warn('[AUTH] No dashboard users yet — set OWNER_USERNAME and OWNER_PASSWORD to create the owner account');
+    return;
+  }
+  createUser(username, password, 'owner');
+  console.log(`[AUTH] Created owner account "${username}"`);
+}
+
+// --- Sessions ---
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function readToken(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === COOKIE_NAME) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function sessionCookie(req, token, maxAgeSec) {
+  const parts = [
+    `${COOKIE_NAME}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSec}`,
+  ];
+  if (req.secure || process.env.COOKIE_SECURE === '1') parts.push('Secure');
+  return parts.join('; ');
+}
+
+// --- Middleware ---
+
+/**
+ * Attach req.user from the session token. API requests without a valid
+ * session get 401; page requests are redirected to /login.
+ */
+function requireAuth(req, res, next) {
+  const token = readToken(req);
+  const user = token ? db.getSessionUser(hashToken(token)) : null;
+  if (!user) {
+    if (req.originalUrl.startsWith('/api/')) {
+      return res.status(401).json({ error: 'Login required' });
+    }
+    return res.redirect('/login');
+  }
+  req.user = user;
+  next();
+}
+
+/**
+ * Only let the listed roles through. Use after requireAuth.
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      console.warn(`[AUTH] ${req.user?.username || 'anonymous'} (${req.user?.role || 'none'}) denied ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: 'Not allowed for your role' });
+    }
+    next();
+  };
+}
+
+// --- Routes ---
+
+const router = express.Router();
+
+router.post('/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password must be strings' });
+    }
+    const user = username ? db.getUserByUsername(username.trim()) : null;
+    if (!user || !password || !verifyPassword(password, user.password_hash)) {
+      console.warn(`[AUTH] Failed login for "${username || ''}"`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    db.deleteExpiredSessions();
+    const token = crypto.randomBytes(32).toString('hex');
+    const maxAgeSec = SESSION_TTL_HOURS * 3600;
+    const expiresAt = new Date(Date.now() + maxAgeSec * 1000).toISOString();
+    db.createSession(hashToken(token), user.id, expiresAt);
+
+    res.set('Set-Cookie', sessionCookie(req, token, maxAgeSec));
+    res.json({ token, expiresAt, user: { username: user.username, role: user.role } });
+  } catch (err) {
+    console.error('[AUTH] login error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+router.post('/logout', (req, res) => {
+  const token = readToken(req);
+  if (token) db.deleteSession(hashToken(token));
+  res.set('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ ok: true });
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ username: req.user.username, role: req.user.role });
+});
+
+router.get('/users', requireAuth, requireRole('owner'), (req, res) => {
+  res.json(db.getAllUsers());
+});
+
+router.post('/users', requireAuth, requireRole('owner'), (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const user = createUser(username, password, role);
+    console.log(`[AUTH] ${req.user.username} created ${user.role} account "${user.username}"`);
+    res.json(user);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = {
+  ROLES, hashPassword, verifyPassword, createUser, bootstrapOwner,
+  requireAuth, requireRole, router
+};
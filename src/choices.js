@@ -0,0 +1,65 @@
+/**
+ * Structured choices for the conversation
+ * Each question offers quick replies or buttons whose payload is one of the
+ * option keys. Typed replies fall back to whole-word keyword matching, so
+ * "I don't know" is not a NO and "not sure" is not a YES.
+ */
+
+const NEGATIONS = ['not', "don't", 'dont', 'never', "isn't", 'isnt', "can't", 'cant'];
+
+// Common keyword sets, shared by several stages
+const YES = ['yes', 'yeah', 'yep', 'yup', 'sure', 'ok', 'okay', 'confirm', 'confirmed', 'approve', 'go ahead', 'sounds good', 'do it'];
+const CANCEL = ['cancel', 'no', 'nope', 'nah', 'stop'];
+
+// Lowercased, curly quotes straightened, whitespace collapsed and padded with
+// a space each side so whole-word lookarounds also match at the ends
+function normalize(text) {
+  return ` ${(text || '').toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, ' ').trim()} `;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Does the text contain the phrase as whole words, not directly negated?
+ * @param {string} text
+ * @param {string} phrase - Lowercase word or phrase
+ */
+function hasPhrase(text, phrase) {
+  const norm = normalize(text);
+  const re = new RegExp(`(?<=[^a-z0-9'])${escapeRegExp(phrase)}(?=[^a-z0-9'])`, 'g');
+  let m;
+  while ((m = re.exec(norm))) {
+    const before = norm.slice(0, m.index).trim().split(' ').pop();
+    if (!NEGATIONS.includes(before)) return true;
+  }
+  return false;
+}
+
+/**
+ * Match typed text against keyword sets.
+ * @param {string} text
+ * @param {Object<string, string[]>} options - option key → keywords
+ * @returns {string|null} the one matching key; null if none or several match
+ */
+function matchText(text, options) {
+  const matched = Object.keys(options).filter((key) => options[key].some((phrase) => hasPhrase(text, phrase)));
+  return matched.length === 1 ? matched[0] : null;
+}
+
+/**
+ * Resolve a reply to one option: a quick-reply / postback payload wins,
+ * otherwise the typed text is matched.
+ * @param {string} payload
+ * @param {string} text
+ * @param {Object<string, string[]>} options
+ * @returns {string|null}
+ */
+function choose(payload, text, options) {
+  if (payload && payload in options) return payload;
+  if (payload) return null;
+  return matchText(text, options);
+}
+
+module.exports = { NEGATIONS, YES, CANCEL, normalize, escapeRegExp, hasPhrase, matchText, choose };
@@ -0,0 +1,60 @@
+/**
+ * Customer commands — STATUS, CHANGE, CANCEL, ORDERS, SWITCH
+ * Recognized at any stage of the conversation, from a quick-reply / postback
+ * payload (CMD_STATUS, or CMD_STATUS:FFC-12345 for a specific order) or when
+ * the message starts with the command word ("status?", "change color to blue",
+ * "cancel FFC-12345"). STATUS and ORDERS also match the usual questions
+ * ("where's my order?"). CANCEL and ORDERS are bare: the word only counts
+ * when nothing but an order number follows it, so "cancel the rush please"
+ * and "orders are usually…" are left to the conversation.
+ */
+
+const { hasPhrase, escapeRegExp } = require('./choices');
+
+const COMMANDS = {
+  STATUS: {
+    words: ['status'],
+    phrases: ["what's my status", 'whats my status', 'order status', 'where is my order', "where's my order", 'wheres my order'],
+  },
+  ORDERS: { words: ['orders', 'my orders'], phrases: ['my orders', 'list my orders'], bare: true },
+  CHANGE: { words: ['change', 'edit'], phrases: [] },
+  CANCEL: { words: ['cancel'], phrases: ['cancel my order'], bare: true },
+  // Pick up another open order ("switch to FFC-12345"); ORDERS offers these as quick replies
+  SWITCH: { words: ['switch to', 'switch'], phrases: [] },
+};
+
+const ORDER_ID = /\bFFC-\d{5}\b/i;
+
+/**
+ * @param {string} text
+ * @param {string} [payload]
+ * @returns {{ name, rest: string, orderId: string|null, fromPayload: boolean }|null}
+ *   rest is whatever follows the command word ("color to blue")
+ */
+function parseCommand(text, payload) {
+  if (payload) {
+    const [key, orderId] = payload.split(':');
+    const name = key.replace(/^CMD_/, '');
+    if (!key.startsWith('CMD_') || !COMMANDS[name]) return null;
+    return { name, rest: '', orderId: orderId || null, fromPayload: true };
+  }
+
+  const trimmed = (text || '').replace(/^[\s"'/!]+/, '');
+  const lower = trimmed.toLowerCase();
+  const idMatch = trimmed.match(ORDER_ID);
+  const orderId = idMatch ? idMatch[0].toUpperCase() : null;
+
+  for (const [name, { words, phrases, bare }] of Object.entries(COMMANDS)) {
+    const word = words.find((w) => new RegExp(`^${escapeRegExp(w)}(?![a-z0-9'])`).test(lower));
+    if (word) {
+      const rest = trimmed.slice(word.length).replace(ORDER_ID, '').trim();
+      if (!bare || !/[a-z0-9]/i.test(rest.replace(/\bplease\b/gi, ''))) {
+        return { name, rest, orderId, fromPayload: false };
+      }
+    }
+    if (phrases.some((p) => hasPhrase(text, p))) return { name, rest: '', orderId, fromPayload: false };
+  }
+  return null;
+}
+
+module.exports = { COMMANDS, parseCommand };
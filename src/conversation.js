@@ -1,200 +1,961 @@
+const fs = require('fs');
 const db = require('./db');
-const { sendText, downloadAttachment } = require('./messenger');
-const { calculateQuote, formatProposal } = require('./pricing');
+const { sendText, sendQuickReplies, sendButtons, downloadAttachment } = require('./messenger');
+const { calculateQuote, orderFields, formatProposal, getConfigVersion } = require('./pricing');
+const address = require('./address');
+const payments = require('./payments');
+const orderStatus = require('./orderStatus');
+const requote = require('./requote');
+const choices = require('./choices');
+const details = require('./details');
+const commands = require('./commands');
+const orderEdits = require('./orderEdits');
+const customers = require('./customers');
+const insertSettings = require('./insertSettings');
+const photoCheck = require('./photoCheck');
+const preview = require('./preview');
+const storage = require('./storage');
+const jobs = require('./jobs');
 
 /**
  * Conversation state machine.
- * Stages: NEW → PHOTO_RECEIVED → DETAILS_RECEIVED → QUOTE_SENT → CONFIRMED
+ * Stages: NEW → PHOTO_RECEIVED → DETAILS_RECEIVED → QUOTE_SENT
+ *         → ADDRESS_REQUESTED → ADDRESS_CONFIRM → AWAITING_PAYMENT → CONFIRMED
+ * The move to CONFIRMED happens in payments.handleEvent once payment succeeds.
+ * In QUOTE_SENT the customer can toggle the rush / CAD add-ons with quick
+ * replies; each toggle re-prices and resends the quote.
+ * Questions offer quick replies or buttons (payloads below); typed replies
+ * are matched by whole words (choices.js), and anything unclear is re-asked.
+ * PHOTO_RECEIVED fills material / color / size from whatever the customer
+ * writes (details.js) and asks one question at a time for the rest.
+ * REQUOTE_SENT: the pipeline measured the STL and the price went up (requote.js);
+ * YES goes to AWAITING_PAYMENT for any balance, CANCEL cancels.
+ * PREVIEW_SENT: the pipeline sent the outline preview (preview.js); APPROVE
+ * queues the pipeline again to print / order it, and a change request moves
+ * to PREVIEW_NOTES for what to change, which is saved on the order.
+ * STATUS / CHANGE / CANCEL / ORDERS work at any stage (commands.js) and don't
+ * move the customer off their current question, except where a stage already
+ * asks about the same word (CANCEL on a quote, CHANGE on an address).
+ *
+ * A customer can have several open orders. conversation_state points at the
+ * one they're talking about; switching (SWITCH, or tapping an order under
+ * ORDERS) parks the current stage on the order it belongs to (db.focusOrder).
+ * A photo sent during an unpaid order asks whether it's another drawer for
+ * that order or a new order. Every photo is checked first (photoCheck.js); one
+ * that can't be traced gets a retake request instead of an order. Photos that
+ * pass wait in the customer's storage inbox until they're filed under an order.
+ *
+ * Every message also updates the customer record (customers.js); NEW and
+ * CONFIRMED greet the customer by name, and returning customers as such.
+ * While the customer is in human mode (operator.js) nothing is answered —
+ * the message is only recorded for the operator.
  */
 
 async function handleIncoming(psid, message) {
+  const customer = await customers.recordContact(psid);
+  if (customer.human_mode) {
+    console.log(`[CONV] PSID=${psid} in human mode — no auto-reply`);
+    return;
+  }
+  await respond(psid, customer, message);
+  // A preview held back while the customer was busy with another order goes out once they're done
+  await preview.sendHeld(psid);
+}
+
+async function respond(psid, customer, message) {
   const state = db.getState(psid);
   const text = (message.text || '').trim();
   const attachments = message.attachments || [];
   const hasImage = attachments.some(a => a.type === 'image');
+  const choice = message.payload || '';
 
-  console.log(`[CONV] PSID=${psid} stage=${state.stage} text="${text}" hasImage=${hasImage}`);
+  console.log(`[CONV] PSID=${psid} stage=${state.stage} text="${text}" hasImage=${hasImage}${choice ? ` choice=${choice}` : ''}`);
+
+  // The answer to "cancel order …?" — anything else leaves the order alone
+  if (state.pending_cancel) {
+    db.setPendingCancel(psid, '');
+    const answer = choices.choose(choice, text, CANCEL_CONFIRM_OPTIONS);
+    if (answer) return await answerCancel(psid, state, answer);
+  }
+
+  const command = commands.parseCommand(text, choice);
+  if (command && !stageOwnsCommand(state.stage, command)) {
+    return await handleCommand(psid, state, command);
+  }
+
+  if (hasImage) {
+    return isDraft(state) ? await askPhotoOrder(psid, state, attachments) : await processPhoto(psid, attachments);
+  }
+  if (state.pending_photo) {
+    const picked = choices.choose(choice, text, PHOTO_OPTIONS);
+    if (picked) return await placePendingPhoto(psid, state, picked);
+  }
 
   switch (state.stage) {
     case 'NEW':
-      return await handleNew(psid, text, hasImage, attachments);
+      return await handleNew(psid, customer);
     case 'PHOTO_RECEIVED':
-      return await handlePhotoReceived(psid, text);
+      return await handlePhotoReceived(psid, text, choice);
     case 'DETAILS_RECEIVED':
-      return await handleDetailsReceived(psid, text);
+      return await handleDetailsReceived(psid, text, choice);
     case 'QUOTE_SENT':
-      return await handleQuoteSent(psid, text);
+      return await handleQuoteSent(psid, text, choice);
+    case 'ADDRESS_REQUESTED':
+      return await handleAddressRequested(psid, text);
+    case 'ADDRESS_CONFIRM':
+      return await handleAddressConfirm(psid, text, choice);
+    case 'AWAITING_PAYMENT':
+      return await handleAwaitingPayment(psid, text, choice);
     case 'CONFIRMED':
-      return await handleConfirmed(psid, text, hasImage, attachments);
+      return await handleConfirmed(psid, customer);
+    case 'REQUOTE_SENT':
+      return await handleRequoteSent(psid, text, choice);
+    case 'PREVIEW_SENT':
+      return await handlePreviewSent(psid, text, choice);
+    case 'PREVIEW_NOTES':
+      return await handlePreviewNotes(psid, text, choice);
     default:
       // Reset if in unknown state
       db.setState(psid, 'NEW', '');
-      return await handleNew(psid, text, hasImage, attachments);
+      return await handleNew(psid, customer);
   }
 }
 
 // --- Stage handlers ---
 
-async function handleNew(psid, text, hasImage, attachments) {
-  if (hasImage) {
-    // They sent a photo right away — process it
-    return await processPhoto(psid, attachments);
+async function handleNew(psid, customer) {
+  const name = customers.firstName(customer);
+  const drafts = db.getOpenOrdersByPsid(psid).filter((o) => o.status === 'new');
+  if (drafts.length > 0) {
+    const reply = `Welcome back${name ? `, ${name}` : ''}! 👋 You have ${drafts.length === 1 ? `an order in progress (${drafts[0].order_id})` : `${drafts.length} orders in progress`}. Pick one up below, or send a new photo to start another.`;
+    await sendQuickReplies(psid, reply, drafts.slice(0, 10).map((o) => ({ title: o.order_id, payload: `CMD_SWITCH:${o.order_id}` })));
+    db.saveMessage(psid, 'out', reply);
+    return;
   }
 
-  // Welcome message
-  const reply = "Hey! 👋 Welcome to FormFit Custom. I'm Mango, your order assistant. Send me a photo of your tools laid out flat on a piece of paper and we'll get you a custom quote!";
+  // Welcome message — returning customers already know the drill
+  const reply = customer && customer.order_count > 0
+    ? `Welcome back${name ? `, ${name}` : ''}! 👋 Great to see you again. Send me a photo of your next set of tools laid out flat on a piece of paper and I'll get you a quote.`
+    : `Hey${name ? ` ${name}` : ''}! 👋 Welcome to FormFit Custom. I'm Mango, your order assistant. Send me a photo of your tools laid out flat on a piece of paper and we'll get you a custom quote!`;
   await sendText(psid, reply);
   db.saveMessage(psid, 'out', reply);
   // Stay in NEW — waiting for photo
 }
 
-async function processPhoto(psid, attachments) {
+async function downloadPhoto(attachments, psid) {
   const imageAtt = attachments.find(a => a.type === 'image');
-  let photoPath = '';
   if (imageAtt && imageAtt.payload && imageAtt.payload.url) {
-    photoPath = await downloadAttachment(imageAtt.payload.url, psid);
+    return await downloadAttachment(imageAtt.payload.url, psid);
   }
+  return '';
+}
+
+/**
+ * Download the customer's photo and check it can be traced. A photo that
+ * passes is stored in the customer's inbox until it's filed under an order;
+ * one that doesn't gets a retake request, with the reason.
+ * @returns {Promise<string>} the stored photo's key, or '' if it was rejected
+ */
+async function acceptPhoto(psid, attachments) {
+  const download = await downloadPhoto(attachments, psid);
+  try {
+    const check = photoCheck.checkPhoto(download);
+    if (check.ok) return (await storage.saveFile(download, { kind: 'photo', psid })).key;
+
+    console.log(`[CONV] PSID=${psid} photo rejected — ${check.problem} (${check.detail})`);
+    await sendText(psid, check.reply);
+    db.saveMessage(psid, 'out', check.reply);
+    return '';
+  } finally {
+    if (download) fs.rmSync(download, { force: true });
+  }
+}
+
+// File an inbox photo under its order; if that fails it's still readable where it is
+async function fileUnderOrder(photoPath, orderId) {
+  try {
+    await storage.moveToOrder(photoPath, orderId);
+  } catch (err) {
+    console.error(`[CONV] Couldn't move ${photoPath} to order ${orderId}:`, err.message);
+  }
+}
+
+async function processPhoto(psid, attachments) {
+  const photoPath = await acceptPhoto(psid, attachments);
+  if (photoPath) await startOrder(psid, photoPath);
+}
+
+async function startOrder(psid, photoPath) {
+  const state = db.getState(psid);
+  const previous = isDraft(state) ? state.pending_order_id : '';
 
   // Create order
-  const orderId = db.createOrder({ psid, photoPath });
-  db.setState(psid, 'PHOTO_RECEIVED', orderId);
+  const customer = db.getCustomer(psid);
+  const orderId = db.createOrder({ psid, photoPath, name: customer ? customer.name : '' });
+  await fileUnderOrder(photoPath, orderId);
+  db.focusOrder(psid, orderId, 'PHOTO_RECEIVED');
 
-  const reply = "Got your photo! 🔧 A couple quick questions:\n1️⃣ What material do you want? (PLA / PETG / PLA+)\n2️⃣ What color?\n3️⃣ Rough size — Small (1-2 tools), Medium (5-10 tools), or Full Drawer?";
+  const saved = previous ? `(Order ${previous} is saved — reply ORDERS to get back to it.)\n\n` : '';
+  const reply = `${saved}Got your photo! 🔧 A couple quick questions:\n1️⃣ What material do you want? (PLA / PETG / PLA+)\n2️⃣ What color?\n3️⃣ Rough size — Small (1-2 tools), Medium (5-10 tools), or Full Drawer?`;
   await sendText(psid, reply);
   db.saveMessage(psid, 'out', reply);
 }
 
-async function handlePhotoReceived(psid, text) {
-  if (!text) {
-    await sendText(psid, "Please reply with your material, color, and size preferences.");
-    return;
+// --- Photos during an order ---
+
+const DRAFT_STAGES = ['PHOTO_RECEIVED', 'DETAILS_RECEIVED', 'QUOTE_SENT', 'ADDRESS_REQUESTED', 'ADDRESS_CONFIRM', 'AWAITING_PAYMENT'];
+
+const PHOTO_OPTIONS = {
+  PHOTO_ADD: ['same order', 'add', 'add it', 'another drawer', 'same'],
+  PHOTO_NEW: ['new order', 'new', 'separate', 'separate order'],
+};
+
+// Customer is partway through an order they haven't paid anything on
+function isDraft(state) {
+  if (!state.pending_order_id || !DRAFT_STAGES.includes(state.stage)) return false;
+  const order = db.getOrder(state.pending_order_id);
+  return !!order && order.status === 'new' && !(order.amount_paid > 0);
+}
+
+async function askPhotoOrder(psid, state, attachments) {
+  const photoPath = await acceptPhoto(psid, attachments);
+  if (!photoPath) return;
+  db.setPendingPhoto(psid, photoPath);
+  const reply = `Got it! Is this another drawer for order ${state.pending_order_id}, or a separate order?`;
+  await sendQuickReplies(psid, reply, [
+    { title: '➕ Same order', payload: 'PHOTO_ADD' },
+    { title: '🆕 New order', payload: 'PHOTO_NEW' },
+  ]);
+  db.saveMessage(psid, 'out', reply);
+}
+
+async function placePendingPhoto(psid, state, picked) {
+  const photoPath = state.pending_photo;
+  db.setPendingPhoto(psid, '');
+  if (picked === 'PHOTO_NEW') return await startOrder(psid, photoPath);
+
+  const orderId = state.pending_order_id;
+  let result;
+  try {
+    result = orderEdits.addPhoto(orderId, photoPath, 'customer');
+  } catch (err) {
+    if (!(err instanceof orderEdits.EditError)) throw err;
+    return await startOrder(psid, photoPath);
   }
+  await fileUnderOrder(photoPath, orderId);
 
+  const count = result.order.photo_count;
+  const repriced = result.changes.some((c) => c.field === 'total');
+  const reply = `Added — order ${orderId} now has ${count} photos, one insert each.${repriced ? ` New total $${result.order.total.toFixed(2)} (was $${result.previousTotal.toFixed(2)}).` : ''}`;
+  await sendText(psid, reply);
+  db.saveMessage(psid, 'out', reply);
+
+  // The customer may already have agreed to the old price — show the new quote
+  if (repriced && ['ADDRESS_REQUESTED', 'ADDRESS_CONFIRM', 'AWAITING_PAYMENT'].includes(state.stage)) {
+    return await sendQuote(psid, orderId);
+  }
+  await resumeStage(psid, state.stage, orderId);
+}
+
+async function handlePhotoReceived(psid, text, choice) {
   const state = db.getState(psid);
   const orderId = state.pending_order_id;
+  const order = db.getOrder(orderId);
+  const expecting = details.SLOTS.find((slot) => !order[slot]) || null;
+
+  // Only fill what the reply actually says; anything unclear is asked for
+  const fields = {};
+  let parsed = null;
+  const picked = details.fromPayload(choice);
+  if (picked) {
+    fields[picked.slot] = picked.value;
+  } else if (text) {
+    await applyInsertSettings(psid, orderId, text);
+    parsed = details.parseDetails(text, { expecting });
+    for (const slot of parsed.found) fields[slot] = parsed[slot].value;
+    const summary = details.SLOTS.map((slot) => `${slot}=${parsed[slot].value || '—'}(${parsed[slot].confidence})`).join(' ');
+    console.log(`[CONV] ${orderId} details: ${summary}${parsed.ambiguous.length ? ` ambiguous=${parsed.ambiguous.join(',')}` : ''}`);
+  }
+  if (Object.keys(fields).length > 0) db.updateOrder(orderId, fields);
 
-  // Parse the response — be flexible
-  const parsed = parseDetails(text);
+  const missing = details.SLOTS.filter((slot) => !order[slot] && !fields[slot]);
+  if (missing.length === 0) {
+    db.setState(psid, 'DETAILS_RECEIVED', orderId);
+    return await askFulfillment(psid);
+  }
+  const slot = missing[0];
+  const candidates = parsed && parsed.ambiguous.includes(slot) ? parsed[slot].candidates : null;
+  // A weak guess ("not sure yet" as a color) isn't taken — say so and ask again
+  const unclear = !!(parsed && parsed[slot].value);
+  await askDetail(psid, slot, candidates, unclear);
+}
 
-  db.updateOrder(orderId, {
-    material: parsed.material,
-    color: parsed.color,
-    size: parsed.size
-  });
+const DETAIL_QUESTIONS = {
+  material: 'Which material? PLA is the standard, PLA+ is tougher, PETG handles heat (great for a car or garage).',
+  color: 'What color would you like?',
+  size: 'Roughly how big — Small (1-2 tools), Medium (5-10 tools), or a Full Drawer?',
+};
 
-  db.setState(psid, 'DETAILS_RECEIVED', orderId);
+const DETAIL_LABELS = {
+  'small': 'Small', 'medium': 'Medium', 'full drawer': 'Full Drawer',
+};
 
-  const reply = "Perfect. Do you want us to print it, or would you like a cloud-printed option shipped directly to you?\n(Reply: SELF or CLOUD)";
-  await sendText(psid, reply);
+/**
+ * Ask for one detail with a quick reply per value. For an ambiguous reply
+ * ("PLA or PETG?") only the values the customer mentioned are offered.
+ */
+async function askDetail(psid, slot, candidates, unclear = false) {
+  const values = candidates || Object.keys(details.TABLES[slot]);
+  const label = (value) => DETAIL_LABELS[value] || value.charAt(0).toUpperCase() + value.slice(1);
+  const reply = candidates
+    ? `Just to check — which ${slot}: ${values.map(label).join(' or ')}?`
+    : `${unclear ? `Sorry, I didn't catch a ${slot} there. ` : ''}${DETAIL_QUESTIONS[slot]}`;
+  await sendQuickReplies(psid, reply, values.map((value) => ({ title: label(value), payload: details.payloadFor(slot, value) })));
+  db.saveMessage(psid, 'out', reply);
+}
+
+const FULFILLMENT_OPTIONS = {
+  FULFILL_SELF: ['self', 'you print', 'you print it', 'print it yourself', 'you guys', 'local'],
+  FULFILL_CLOUD: ['cloud', 'ship directly', 'shipped directly', 'partner'],
+};
+
+async function askFulfillment(psid) {
+  const reply = "Perfect. Do you want us to print it, or would you like a cloud-printed option shipped directly to you?";
+  await sendQuickReplies(psid, reply, [
+    { title: '🖨️ You print it', payload: 'FULFILL_SELF' },
+    { title: '☁️ Cloud print', payload: 'FULFILL_CLOUD' },
+  ]);
   db.saveMessage(psid, 'out', reply);
 }
 
-async function handleDetailsReceived(psid, text) {
+async function handleDetailsReceived(psid, text, choice) {
+  const state = db.getState(psid);
+  const orderId = state.pending_order_id;
+
+  const picked = choices.choose(choice, text, FULFILLMENT_OPTIONS);
+  if (!picked) return await askFulfillment(psid);
+
+  db.updateOrder(orderId, { fulfillment_type: picked === 'FULFILL_CLOUD' ? 'CLOUD' : 'SELF' });
+  await sendQuote(psid, orderId);
+}
+
+async function handleQuoteSent(psid, text, choice) {
   const upper = text.toUpperCase();
   const state = db.getState(psid);
   const orderId = state.pending_order_id;
 
-  let fulfillment = 'SELF';
-  if (upper.includes('CLOUD')) {
-    fulfillment = 'CLOUD';
+  const addons = parseAddonChoices(choice, upper);
+  if (addons.length) {
+    const fields = {};
+    for (const { field, on } of addons) fields[field] = on ? 1 : 0;
+    db.updateOrder(orderId, fields);
+    return await sendQuote(psid, orderId);
   }
+  if (choice === 'INSERT_OPTIONS') return await sendInsertOptions(psid, orderId);
+  if (!choice && await applyInsertSettings(psid, orderId, text)) return await sendQuote(psid, orderId);
+
+  const answer = choices.choose(choice, text, { QUOTE_YES: choices.YES, QUOTE_NO: choices.CANCEL });
+  if (answer === 'QUOTE_YES') {
+    // Quote was re-sent after the address was collected — just confirm it again
+    const saved = address.fromOrder(db.getOrder(orderId));
+    if (saved) {
+      db.setState(psid, 'ADDRESS_CONFIRM', orderId);
+      return await askAddressConfirm(psid, saved);
+    }
+
+    db.setState(psid, 'ADDRESS_REQUESTED', orderId);
+    await askAddress(psid);
+  } else if (answer === 'QUOTE_NO') {
+    orderStatus.transition(orderId, 'cancelled', { actor: 'customer', reason: 'Declined quote' });
+    db.setState(psid, 'NEW', '');
 
-  db.updateOrder(orderId, { fulfillment_type: fulfillment });
+    const reply = "No worries — order cancelled. Send a new photo anytime to start a fresh quote!";
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+  } else {
+    await sendQuickReplies(psid, "Tap Confirm to go ahead with this quote, or Cancel if you've changed your mind.", QUOTE_REPLIES);
+  }
+}
 
-  // Generate quote
-  const order = db.getOrder(orderId);
-  const quote = calculateQuote({
-    size: order.size,
-    material: order.material,
-    fulfillment,
-    rush: !!order.rush,
-    cadDesign: !!order.cad_design
-  });
+const QUOTE_REPLIES = [
+  { title: '✅ Confirm', payload: 'QUOTE_YES' },
+  { title: '❌ Cancel', payload: 'QUOTE_NO' },
+];
+
+async function sendInsertOptions(psid, orderId) {
+  const current = insertSettings.describe(db.getOrder(orderId));
+  const reply = [
+    `📐 You can adjust the insert${current ? ` (now: ${current})` : ''} — just type what you'd like:`,
+    '• Pocket depth, e.g. "40mm deep" (standard is 20 mm)',
+    '• Room around each tool, e.g. "clearance 2mm"',
+    '• "finger notches" — cut-outs to lift tools out',
+    '• "gridfinity" for a Gridfinity-compatible bin',
+    '• Your drawer size, e.g. "drawer is 400 x 500 x 60 mm", so it fits',
+  ].join('\n');
+  await sendQuickReplies(psid, reply, QUOTE_REPLIES);
+  db.saveMessage(psid, 'out', reply);
+}
 
-  db.updateOrder(orderId, {
-    base_price: quote.basePrice,
-    addons_price: quote.addonsPrice,
-    shipping: quote.shipping,
-    total: quote.total,
-    craftcloud_cost: quote.craftcloudCost,
-    margin: quote.margin
+/**
+ * Save any insert settings typed in a message ("30mm deep, gridfinity").
+ * Settings that don't make sense are explained to the customer and not saved.
+ * @returns {boolean} whether the message had insert settings in it
+ */
+async function applyInsertSettings(psid, orderId, text) {
+  const found = insertSettings.parseSettings(text);
+  if (Object.keys(found).length === 0) return false;
+  try {
+    const fields = insertSettings.normalize(found);
+    insertSettings.checkCombination({ ...db.getOrder(orderId), ...fields });
+    db.updateOrder(orderId, fields);
+    console.log(`[CONV] ${orderId} insert settings: ${JSON.stringify(fields)}`);
+  } catch (err) {
+    if (!(err instanceof insertSettings.SettingsError)) throw err;
+    const reply = `${err.message} I've left the insert as it was.`;
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+  }
+  return true;
+}
+
+async function askAddress(psid) {
+  const reply = "Great! 📦 Where should we ship it? Please send your full name and shipping address, e.g.\nJane Doe\n12 Oak St, Apt 4\nAustin, TX 78701";
+  await sendText(psid, reply);
+  db.saveMessage(psid, 'out', reply);
+}
+
+async function handleAddressRequested(psid, text) {
+  const state = db.getState(psid);
+  const orderId = state.pending_order_id;
+
+  const parsed = address.parseAddress(text);
+  if (!parsed.ok) {
+    const reply = `${parsed.error}\nPlease send it like:\nJane Doe\n12 Oak St, Apt 4\nAustin, TX 78701`;
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+    return;
+  }
+
+  db.updateOrder(orderId, address.toOrderFields(parsed.address));
+  db.setState(psid, 'ADDRESS_CONFIRM', orderId);
+  await askAddressConfirm(psid, parsed.address);
+}
+
+async function askAddressConfirm(psid, shipTo) {
+  const reply = `We'll ship to:\n${address.formatAddress(shipTo)}\n\nIs that right? If not, just send the corrected address.`;
+  await sendQuickReplies(psid, reply, [
+    { title: "✅ That's right", payload: 'ADDRESS_YES' },
+    { title: '✏️ Change it', payload: 'ADDRESS_CHANGE' },
+  ]);
+  db.saveMessage(psid, 'out', reply);
+}
+
+async function handleAddressConfirm(psid, text, choice) {
+  const state = db.getState(psid);
+  const orderId = state.pending_order_id;
+
+  const answer = choices.choose(choice, text, {
+    ADDRESS_YES: [...choices.YES, 'correct', "that's right", 'right', 'looks good'],
+    ADDRESS_CHANGE: ['change', 'wrong', 'edit', 'incorrect'],
   });
+  if (answer === 'ADDRESS_YES') {
+    db.setState(psid, 'AWAITING_PAYMENT', orderId);
+    return await sendPaymentLink(psid, orderId);
+  }
+  if (answer === 'ADDRESS_CHANGE' && !address.parseAddress(text).ok) {
+    db.setState(psid, 'ADDRESS_REQUESTED', orderId);
+    const reply = 'No problem — send the full shipping address, e.g.\nJane Doe\n12 Oak St, Apt 4\nAustin, TX 78701';
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+    return;
+  }
 
-  const proposal = formatProposal(order, quote);
-  db.setState(psid, 'QUOTE_SENT', orderId);
+  // Anything else is treated as a corrected address
+  return await handleAddressRequested(psid, text);
+}
 
-  await sendText(psid, proposal);
-  db.saveMessage(psid, 'out', proposal);
+async function handleAwaitingPayment(psid, text, choice) {
+  const state = db.getState(psid);
+  const orderId = state.pending_order_id;
+
+  if (choices.choose(choice, text, { PAYMENT_CANCEL: ['cancel'] }) === 'PAYMENT_CANCEL') {
+    // May be a balance on an order that's already part-paid — refunds are handled there
+    return await askCancel(psid, db.getOrder(orderId));
+  }
+
+  // Anything else (PAY, questions) — resend the link, creating a fresh one if the last failed
+  return await sendPaymentLink(psid, orderId);
 }
 
-async function handleQuoteSent(psid, text) {
-  const upper = text.toUpperCase();
+async function sendPaymentLink(psid, orderId) {
+  let order = db.getOrder(orderId);
+  let url = order.payment_url;
+
+  if (!url || order.payment_status === 'failed') {
+    try {
+      url = (await payments.startCheckout(orderId)).url;
+      order = db.getOrder(orderId);
+    } catch (err) {
+      console.error(`[CONV] Checkout failed for ${orderId}:`, err.message);
+      const reply = "Sorry — I couldn't create your payment link just now. We'll follow up shortly!";
+      await sendText(psid, reply);
+      db.saveMessage(psid, 'out', reply);
+      return;
+    }
+  }
+
+  const amount = order.amount_paid > 0
+    ? `Your remaining balance is $${(order.total - order.amount_paid).toFixed(2)}`
+    : `Your total is $${order.total.toFixed(2)}`;
+  const buttonText = `💳 ${amount}. Pay securely to lock in your order.`;
+  const sent = await sendButtons(psid, buttonText, [
+    { title: 'Pay now', url },
+    { title: 'Cancel order', payload: 'PAYMENT_CANCEL' },
+  ]);
+  // Fall back to a plain link if the template is rejected
+  const reply = `💳 ${amount}. Pay securely here to lock in your order:\n${url}\n\nReply CANCEL to cancel instead.`;
+  if (!sent) await sendText(psid, reply);
+  db.saveMessage(psid, 'out', reply);
+}
+
+async function handleRequoteSent(psid, text, choice) {
   const state = db.getState(psid);
   const orderId = state.pending_order_id;
 
-  if (upper.includes('YES') || upper.includes('CONFIRM') || upper.includes('APPROVE')) {
-    db.updateOrder(orderId, { status: 'confirmed' });
+  const answer = choices.choose(choice, text, { REQUOTE_YES: choices.YES, REQUOTE_CANCEL: choices.CANCEL });
+  if (answer === 'REQUOTE_YES') {
+    requote.accept(orderId);
+    if (db.getOrder(orderId).payment_status !== 'paid') {
+      db.setState(psid, 'AWAITING_PAYMENT', orderId);
+      return await sendPaymentLink(psid, orderId);
+    }
     db.setState(psid, 'CONFIRMED', orderId);
 
-    const reply = `You're confirmed! 🎉 We'll be in touch when your order ships. Order ID: ${orderId}`;
+    const reply = `Thanks! Order ${orderId} is updated and back in the print queue.`;
     await sendText(psid, reply);
     db.saveMessage(psid, 'out', reply);
-  } else if (upper.includes('NO') || upper.includes('CANCEL')) {
-    db.updateOrder(orderId, { status: 'cancelled' });
+  } else if (answer === 'REQUOTE_CANCEL') {
+    const { refund } = requote.decline(orderId);
     db.setState(psid, 'NEW', '');
 
-    const reply = "No worries — order cancelled. Send a new photo anytime to start a fresh quote!";
+    const reply = `Understood — order ${orderId} is cancelled.${refund > 0 ? ` We'll refund your $${refund.toFixed(2)} payment.` : ''} Send a new photo anytime to start a fresh quote!`;
     await sendText(psid, reply);
     db.saveMessage(psid, 'out', reply);
   } else {
-    await sendText(psid, "Reply YES to confirm your order or NO to cancel.");
+    await sendQuickReplies(psid, 'Continue at the revised price, or cancel the order?', requote.REPLIES);
   }
 }
 
-async function handleConfirmed(psid, text, hasImage, attachments) {
-  // Returning customer — start new flow
-  if (hasImage) {
-    return await processPhoto(psid, attachments);
+const PREVIEW_OPTIONS = {
+  PREVIEW_APPROVE: [...choices.YES, 'approved', 'looks good', 'looks great', 'looks right', 'perfect'],
+  PREVIEW_CHANGES: ['change', 'changes', 'no', 'nope', 'wrong', 'fix', 'redo'],
+};
+
+async function handlePreviewSent(psid, text, choice) {
+  const orderId = db.getState(psid).pending_order_id;
+  const order = db.getOrder(orderId);
+  // Answered from the dashboard, or cleared by a rebuild, since it was sent
+  if (!order || order.preview_status !== 'pending') {
+    db.setState(psid, 'CONFIRMED', orderId);
+    return order ? await sendStatus(psid, order) : undefined;
   }
-  db.setState(psid, 'NEW', '');
-  const reply = "Welcome back! 🙌 Send a new photo to start another order.";
+
+  const answer = choices.choose(choice, text, PREVIEW_OPTIONS);
+  if (answer === 'PREVIEW_APPROVE') {
+    preview.approve(orderId, 'customer');
+    db.setState(psid, 'CONFIRMED', orderId);
+    jobs.enqueue('pipeline', orderId);
+
+    const reply = `Thanks for approving! ✅ Order ${orderId} is queued to be made — we'll message you when printing starts.`;
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+  } else if (answer === 'PREVIEW_CHANGES') {
+    // "No — the pliers pocket is too tight" already says what to change
+    if (!choice && text.split(/\s+/).length > 3) return await saveRevisionNotes(psid, orderId, text);
+    db.setState(psid, 'PREVIEW_NOTES', orderId);
+
+    const reply = 'What would you like changed? Describe it in a message — e.g. "the pliers pocket is too tight" or "leave more room around the tape measure".';
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+  } else {
+    await sendButtons(psid, 'Does the preview look right? Approve it, or tell us what to change.', preview.BUTTONS);
+  }
+}
+
+async function handlePreviewNotes(psid, text, choice) {
+  const orderId = db.getState(psid).pending_order_id;
+  // A tap on the preview's buttons still answers it
+  if (choice) return await handlePreviewSent(psid, text, choice);
+  if (!text) return await sendText(psid, 'What would you like changed on the insert?');
+  await saveRevisionNotes(psid, orderId, text);
+}
+
+async function saveRevisionNotes(psid, orderId, notes) {
+  preview.requestChanges(orderId, notes, 'customer');
+  db.setState(psid, 'CONFIRMED', orderId);
+
+  const reply = `Thanks — I've passed that on to our team. ✏️ We'll rework the insert for order ${orderId} and send you a new preview before anything is made.`;
+  await sendText(psid, reply);
+  db.saveMessage(psid, 'out', reply);
+}
+
+async function handleConfirmed(psid, customer) {
+  const name = customers.firstName(customer);
+  const state = db.getState(psid);
+  const order = db.getOrder(state.pending_order_id);
+  const reply = order
+    ? `${name ? `Hi ${name}! ` : ''}Your order ${order.order_id} is ${STATUS_LABELS[order.status] || order.status}. Send a new photo to start another order, or pick an option below.`
+    : `Welcome back${name ? `, ${name}` : ''}! 🙌 Send a new photo to start another order.`;
+  await sendQuickReplies(psid, reply, commandReplies(order));
+  db.saveMessage(psid, 'out', reply);
+}
+
+// --- Commands ---
+
+const STATUS_LABELS = {
+  'new': 'waiting on your confirmation',
+  'confirmed': 'confirmed and queued for printing',
+  'in-progress': 'being made',
+  'shipped': 'shipped',
+  'cancelled': 'cancelled',
+  'error': 'being looked at by our team',
+};
+
+// Stages whose own question already answers to the command word
+function stageOwnsCommand(stage, command) {
+  if (command.fromPayload || command.orderId) return false;
+  if (command.name === 'CANCEL') return ['QUOTE_SENT', 'REQUOTE_SENT'].includes(stage);
+  if (command.name === 'CHANGE') {
+    return ['ADDRESS_REQUESTED', 'ADDRESS_CONFIRM', 'PREVIEW_SENT', 'PREVIEW_NOTES'].includes(stage) && details.parseDetails(command.rest).found.length === 0
+      && Object.keys(insertSettings.parseSettings(command.rest)).length === 0;
+  }
+  return false;
+}
+
+function commandReplies(order) {
+  const replies = [];
+  if (order) {
+    replies.push({ title: '📦 Status', payload: `CMD_STATUS:${order.order_id}` });
+    if (orderEdits.canEdit(order)) {
+      replies.push({ title: '✏️ Change', payload: `CMD_CHANGE:${order.order_id}` });
+      replies.push({ title: '❌ Cancel order', payload: `CMD_CANCEL:${order.order_id}` });
+    }
+  }
+  replies.push({ title: '🧾 My orders', payload: 'CMD_ORDERS' });
+  return replies;
+}
+
+/**
+ * The order a command is about: the one named in it, else the one the
+ * conversation is on, else the customer's latest open order.
+ */
+function commandOrder(psid, state, orderId) {
+  if (orderId) {
+    const order = db.getOrder(orderId);
+    return order && order.psid === psid ? order : null;
+  }
+  const current = state.pending_order_id && db.getOrder(state.pending_order_id);
+  if (current && current.status !== 'cancelled') return current;
+  return db.getOrderByPsid(psid) || null;
+}
+
+async function handleCommand(psid, state, { name, rest, orderId }) {
+  console.log(`[CONV] PSID=${psid} command=${name}${orderId ? ` order=${orderId}` : ''}`);
+  if (name === 'ORDERS') return await sendOrderList(psid);
+
+  const order = commandOrder(psid, state, orderId);
+  if (!order) {
+    const reply = orderId
+      ? `I couldn't find order ${orderId} on your account. Reply ORDERS to see your orders.`
+      : "You don't have any orders yet — send a photo of your tools laid out on paper to get a quote!";
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+    return;
+  }
+
+  if (name === 'STATUS') return await sendStatus(psid, order);
+  if (name === 'CANCEL') return await askCancel(psid, order);
+  if (name === 'SWITCH') return orderId ? await switchOrder(psid, state, order) : await sendOrderList(psid);
+  return await changeByCustomer(psid, state, order, rest);
+}
+
+// Where a conversation about this order left off
+function stageFor(order) {
+  if (order.conversation_stage) return order.conversation_stage;
+  if (order.status !== 'new') return 'CONFIRMED';
+  if (!order.material || !order.color || !order.size) return 'PHOTO_RECEIVED';
+  if (!order.fulfillment_type) return 'DETAILS_RECEIVED';
+  return 'QUOTE_SENT';
+}
+
+async function switchOrder(psid, state, order) {
+  if (['shipped', 'cancelled'].includes(order.status)) return await sendStatus(psid, order);
+
+  const stage = order.order_id === state.pending_order_id ? state.stage : stageFor(order);
+  db.focusOrder(psid, order.order_id, stage);
+  console.log(`[CONV] PSID=${psid} switched to ${order.order_id} at ${stage}`);
+
+  if (stage === 'CONFIRMED') return await sendStatus(psid, order);
+  const reply = `OK — back to order ${order.order_id}.`;
+  await sendText(psid, reply);
+  db.saveMessage(psid, 'out', reply);
+  await resumeStage(psid, stage, order.order_id);
+}
+
+async function sendStatus(psid, order) {
+  const lines = [`📦 Order ${order.order_id}: ${STATUS_LABELS[order.status] || order.status}`];
+  const specs = [order.material, order.color, order.size].filter(Boolean).join(' · ');
+  if (specs) lines.push(specs);
+  const insert = insertSettings.describe(order);
+  if (insert) lines.push(insert);
+  if (order.preview_status === 'held') lines.push("Preview ready — I'll send it once you're done with your other order");
+  if (order.preview_status === 'pending') lines.push('Preview sent — waiting for your approval');
+  if (order.preview_status === 'changes-requested') lines.push("We're reworking the insert — a new preview is on its way");
+  if (order.total > 0) {
+    const payment = order.payment_status === 'paid' ? 'paid'
+      : order.payment_status === 'balance_due' ? `$${(order.total - order.amount_paid).toFixed(2)} balance due`
+        : order.payment_status === 'refunded' ? 'refunded'
+          : 'not paid yet';
+    lines.push(`Total: $${order.total.toFixed(2)} (${payment})`);
+  }
+  if (order.refund_due > 0) lines.push(`Refund: $${order.refund_due.toFixed(2)} on its way back to you`);
+  if (order.tracking_url || order.tracking_number) lines.push(`Tracking: ${order.tracking_url || order.tracking_number}`);
+  if (order.estimated_delivery) lines.push(`Estimated delivery: ${order.estimated_delivery}`);
+
+  const reply = lines.join('\n');
+  await sendQuickReplies(psid, reply, commandReplies(order));
+  db.saveMessage(psid, 'out', reply);
+}
+
+async function sendOrderList(psid) {
+  const orders = db.getOrdersByPsid(psid);
+  if (orders.length === 0) {
+    const reply = "You don't have any orders yet — send a photo of your tools laid out on paper to get a quote!";
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+    return;
+  }
+
+  const current = db.getState(psid).pending_order_id;
+  const lines = orders.map((o) => {
+    const total = o.total > 0 ? ` — $${o.total.toFixed(2)}` : '';
+    const photos = o.photo_count > 1 ? ` (${o.photo_count} photos)` : '';
+    return `• ${o.order_id}: ${STATUS_LABELS[o.status] || o.status}${total}${photos}${o.order_id === current ? ' ← current' : ''}`;
+  });
+  const reply = `Your orders:\n${lines.join('\n')}\n\nTap one to pick it up.`;
+  await sendQuickReplies(psid, reply, orders.map((o) => ({ title: o.order_id, payload: `CMD_SWITCH:${o.order_id}` })));
+  db.saveMessage(psid, 'out', reply);
+}
+
+const CANCEL_CONFIRM_OPTIONS = {
+  CANCEL_YES: [...choices.YES, 'cancel it'],
+  CANCEL_NO: ['no', 'nope', 'nah', 'keep', 'keep it'],
+};
+
+// Cancelling can't be undone — check first
+async function askCancel(psid, order) {
+  const reason = orderEdits.blockedReason({ ...order, requote_status: '' });
+  if (reason) {
+    const reply = `Order ${order.order_id} can't be cancelled — ${reason}. Questions? Just reply here and we'll get back to you.`;
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+    return;
+  }
+
+  db.setPendingCancel(psid, order.order_id);
+  const refund = order.amount_paid > 0 ? ` Your $${order.amount_paid.toFixed(2)} payment will be refunded.` : '';
+  const reply = `Cancel order ${order.order_id}?${refund} This can't be undone.`;
+  await sendQuickReplies(psid, reply, [
+    { title: '❌ Yes, cancel it', payload: 'CANCEL_YES' },
+    { title: '↩️ No, keep it', payload: 'CANCEL_NO' },
+  ]);
+  db.saveMessage(psid, 'out', reply);
+}
+
+async function answerCancel(psid, state, answer) {
+  const order = db.getOrder(state.pending_cancel);
+  if (!order) return;
+  if (answer === 'CANCEL_YES') return await cancelByCustomer(psid, state, order);
+
+  const reply = `OK — order ${order.order_id} stays as it is.`;
   await sendText(psid, reply);
   db.saveMessage(psid, 'out', reply);
+  if (state.pending_order_id === order.order_id) await resumeStage(psid, state.stage, order.order_id);
+}
+
+async function cancelByCustomer(psid, state, order) {
+  let reply;
+  try {
+    const { refund } = orderEdits.cancelOrder(order.order_id, 'customer');
+    if (state.pending_order_id === order.order_id) db.setState(psid, 'NEW', '');
+    // An unpaid link from AWAITING_PAYMENT mustn't be payable any more
+    await payments.cancelCheckout(order.order_id);
+    reply = `Order ${order.order_id} is cancelled.${refund > 0 ? ` We'll refund your $${refund.toFixed(2)} payment.` : ''} Send a new photo anytime to start a fresh quote!`;
+  } catch (err) {
+    if (!(err instanceof orderEdits.EditError) && !(err instanceof orderStatus.TransitionError)) throw err;
+    reply = `${err.message} Questions? Just reply here and we'll get back to you.`;
+  }
+  await sendText(psid, reply);
+  db.saveMessage(psid, 'out', reply);
+}
+
+async function changeByCustomer(psid, state, order, rest) {
+  const parsed = details.parseDetails(rest);
+  const fields = insertSettings.parseSettings(rest);
+  for (const slot of parsed.found) fields[slot] = parsed[slot].value;
+
+  if (Object.keys(fields).length === 0) {
+    const reply = orderEdits.canEdit(order)
+      ? `What would you like to change on ${order.order_id}? For example "change color to blue", "change to PETG", "change size to medium" or "change depth to 30mm".`
+      : `Order ${order.order_id} can't be changed — ${orderEdits.blockedReason(order)}.`;
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+    return;
+  }
+
+  let result;
+  try {
+    result = orderEdits.editOrder(order.order_id, fields, 'customer');
+  } catch (err) {
+    if (!(err instanceof orderEdits.EditError)) throw err;
+    const reply = `${err.message} Questions? Just reply here and we'll get back to you.`;
+    await sendText(psid, reply);
+    db.saveMessage(psid, 'out', reply);
+    return;
+  }
+
+  const { changes, previousTotal, balanceDue, refund } = result;
+  const edited = changes.filter((c) => c.field !== 'total');
+  let reply;
+  if (edited.length === 0) {
+    reply = `Order ${order.order_id} already has that — nothing to change.`;
+  } else {
+    reply = `✏️ Updated ${order.order_id}: ${edited.map(describeChange).join(', ')}.`;
+    if (changes.some((c) => c.field === 'total')) {
+      reply += ` New total $${result.order.total.toFixed(2)} (was $${previousTotal.toFixed(2)}).`;
+      if (refund > 0) reply += ` We'll refund the $${refund.toFixed(2)} difference.`;
+    } else if (previousTotal > 0) {
+      reply += ' Price unchanged.';
+    }
+  }
+  await sendText(psid, reply);
+  db.saveMessage(psid, 'out', reply);
+
+  if (balanceDue > 0) {
+    db.focusOrder(psid, order.order_id, 'AWAITING_PAYMENT');
+    return await sendPaymentLink(psid, order.order_id);
+  }
+  if (state.pending_order_id === order.order_id) await resumeStage(psid, state.stage, order.order_id);
+}
+
+function describeChange({ field, from, to }) {
+  const label = insertSettings.LABELS[field] || field;
+  if (field === 'finger_notches') return `${label} ${to ? 'on' : 'off'}`;
+  const show = (v) => (v == null || v === '' ? 'default' : typeof v === 'number' ? `${v} mm` : v);
+  return `${label} ${from != null && from !== '' ? `${show(from)} → ` : ''}${show(to)}`;
+}
+
+// Re-ask the question the customer is on — after an edit, or on switching back to an order
+async function resumeStage(psid, stage, orderId) {
+  if (stage === 'PHOTO_RECEIVED') return await handlePhotoReceived(psid, '', '');
+  if (stage === 'DETAILS_RECEIVED') return await askFulfillment(psid);
+  if (stage === 'QUOTE_SENT') return await sendQuote(psid, orderId);
+  if (stage === 'ADDRESS_REQUESTED') return await askAddress(psid);
+  if (stage === 'ADDRESS_CONFIRM') return await askAddressConfirm(psid, address.fromOrder(db.getOrder(orderId)));
+  if (stage === 'REQUOTE_SENT') {
+    return await sendQuickReplies(psid, 'Continue at the revised price, or cancel the order?', requote.REPLIES);
+  }
+  if (stage === 'PREVIEW_SENT' || stage === 'PREVIEW_NOTES') {
+    const order = db.getOrder(orderId);
+    if (order.preview_status === 'pending') {
+      if (stage === 'PREVIEW_NOTES') return await sendText(psid, 'What would you like changed on the insert?');
+      return await sendButtons(psid, 'Does the preview look right? Approve it, or tell us what to change.', preview.BUTTONS);
+    }
+    // A change to the insert settings dropped the preview — build the insert again
+    db.setState(psid, 'CONFIRMED', orderId);
+    if (!order.stl_path && order.status === 'confirmed') {
+      jobs.enqueue('pipeline', orderId);
+      const reply = "We'll rebuild the insert with that and send you a new preview to approve.";
+      await sendText(psid, reply);
+      db.saveMessage(psid, 'out', reply);
+    }
+    return;
+  }
+  if (stage === 'AWAITING_PAYMENT') {
+    // Making it cheaper can cover an open balance
+    if (db.getOrder(orderId).payment_status === 'paid') return db.setState(psid, 'CONFIRMED', orderId);
+    return await sendPaymentLink(psid, orderId);
+  }
 }
 
 // --- Helpers ---
 
 /**
- * Best-effort parse of free-text details reply.
- * Looks for material, color, and size keywords.
+ * Re-price an order with its current add-ons and save the quote.
+ * A payment link for the old total is dropped so the next one is fresh.
+ * @returns {object} the quote from calculateQuote
+ */
+function quoteOrder(orderId) {
+  const order = db.getOrder(orderId);
+  const quote = calculateQuote({
+    size: order.size,
+    material: order.material,
+    fulfillment: order.fulfillment_type,
+    rush: !!order.rush,
+    cadDesign: !!order.cad_design,
+    inserts: order.photo_count || 1,
+    insert: insertSettings.fromOrder(order)
+  });
+
+  const fields = orderFields(quote);
+  if (quote.total !== order.total && ['pending', 'failed'].includes(order.payment_status)) {
+    Object.assign(fields, { payment_status: 'unpaid', payment_session_id: '', payment_url: '' });
+  }
+  db.updateOrder(orderId, fields);
+  return quote;
+}
+
+/**
+ * Price the order and send the proposal with add-on toggles and YES / NO
+ * quick replies. Moves the customer to QUOTE_SENT.
+ */
+async function sendQuote(psid, orderId) {
+  const quote = quoteOrder(orderId);
+  const order = db.getOrder(orderId);
+  const { rushFee, cadFee } = getConfigVersion(quote.pricingVersion).config;
+
+  const proposal = formatProposal(order, quote, { rushFee, cadFee });
+  db.setState(psid, 'QUOTE_SENT', orderId);
+
+  await sendQuickReplies(psid, proposal, [
+    order.rush
+      ? { title: 'Remove rush', payload: 'ADDON_RUSH_OFF' }
+      : { title: `⚡ Rush +$${rushFee}`, payload: 'ADDON_RUSH_ON' },
+    order.cad_design
+      ? { title: 'Remove CAD design', payload: 'ADDON_CAD_OFF' }
+      : { title: `✏️ CAD design +$${cadFee}`, payload: 'ADDON_CAD_ON' },
+    { title: '📐 Insert options', payload: 'INSERT_OPTIONS' },
+    ...QUOTE_REPLIES,
+  ]);
+  db.saveMessage(psid, 'out', proposal);
+}
+
+/**
+ * Add-on toggles from a quick-reply payload, or typed text like "add rush" / "no CAD".
+ * @returns {Array<{ field: 'rush'|'cad_design', on: boolean }>}
  */
-function parseDetails(text) {
-  const lower = text.toLowerCase();
-
-  // Material
-  let material = 'PLA';
-  if (lower.includes('petg'))       material = 'PETG';
-  else if (lower.includes('pla+'))  material = 'PLA+';
-  else if (lower.includes('pla'))   material = 'PLA';
-
-  // Size
-  let size = 'medium';
-  if (lower.includes('full') || lower.includes('drawer')) size = 'full drawer';
-  else if (lower.includes('small'))  size = 'small';
-  else if (lower.includes('medium')) size = 'medium';
-  else if (lower.includes('large'))  size = 'full drawer';
-
-  // Color — grab anything that isn't a known keyword
-  const knownWords = [
-    'pla', 'pla+', 'petg', 'small', 'medium', 'large', 'full', 'drawer',
-    'tools', 'tool', 'and', 'the', 'i', 'want', 'would', 'like', 'please',
-    '1', '2', '3', 'material', 'color', 'size', 'in', 'a'
-  ];
-  const words = text.split(/[\s,./]+/).filter(w => w.length > 1);
-  const colorWords = words.filter(w => !knownWords.includes(w.toLowerCase()));
-  const color = colorWords.length > 0 ? colorWords.join(' ') : 'black';
-
-  return { material, color, size };
-}
-
-module.exports = { handleIncoming };
+function parseAddonChoices(choice, upper) {
+  const m = /^ADDON_(RUSH|CAD)_(ON|OFF)$/.exec(choice || '');
+  if (m) return [{ field: m[1] === 'RUSH' ? 'rush' : 'cad_design', on: m[2] === 'ON' }];
+  if (choice) return [];
+
+  const toggles = [];
+  for (const [word, field] of [['RUSH', 'rush'], ['CAD', 'cad_design']]) {
+    if (!new RegExp(`\\b${word}\\b`).test(upper)) continue;
+    const off = new RegExp(`\\b(NO|WITHOUT|REMOVE|DROP)\\b[^.!?]*\\b${word}\\b`).test(upper);
+    toggles.push({ field, on: !off });
+  }
+  return toggles;
+}
+
+module.exports = { handleIncoming, quoteOrder, sendQuote };
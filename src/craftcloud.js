@@ -89,7 +89,9 @@ async function uploadAndQuote(stlFilePath, material, quantity = 1) {
       leadDays: q.productionTimeSlow || q.productionTimeFast || null,
       shipping: vendorShipping ? vendorShipping.price : 0,
       shippingId: vendorShipping ? vendorShipping.shippingId : null,
+      shippingDays: vendorShipping ? parseDays(vendorShipping.deliveryTime) : null,
       totalPrice: q.price + (vendorShipping ? vendorShipping.price : 0),
+      expiresAt: q.expiresAt || quoteData.expiresAt || null,
     };
   });
 
@@ -102,10 +104,17 @@ async function uploadAndQuote(stlFilePath, material, quantity = 1) {
   return { bestQuote, allQuotes: quotes, modelId };
 }
 
+// Shipping delivery times come as e.g. "3-5" (business days) — take the upper bound
+function parseDays(value) {
+  if (typeof value === 'number') return value;
+  const nums = String(value || '').match(/\d+/g);
+  return nums ? Math.max(...nums.map(Number)) : null;
+}
+
 /**
  * Place an order with a selected quote.
  * @param {string} quoteId - The quoteId from uploadAndQuote results
- * @param {object} shippingAddress - { name, line1, city, state, zip, country }
+ * @param {object} shippingAddress - { name, line1, line2, city, state, zip, country }
  * @param {string} customerRef - Customer reference string
  * @param {string} shippingId - The shippingId for delivery
  * @returns {{ orderId, trackingInfo, estimatedDelivery }}
@@ -139,6 +148,7 @@ async function placeOrder(quoteId, shippingAddress, customerRef, shippingId) {
         firstName,
         lastName,
         address: shippingAddress.line1,
+        addressLine2: shippingAddress.line2 || '',
         city: shippingAddress.city,
         stateCode: shippingAddress.state,
         zipCode: shippingAddress.zip,
@@ -148,6 +158,7 @@ async function placeOrder(quoteId, shippingAddress, customerRef, shippingId) {
         firstName,
         lastName,
         address: shippingAddress.line1,
+        addressLine2: shippingAddress.line2 || '',
         city: shippingAddress.city,
         stateCode: shippingAddress.state,
         zipCode: shippingAddress.zip,
@@ -170,7 +181,7 @@ async function placeOrder(quoteId, shippingAddress, customerRef, shippingId) {
 /**
  * Check status of a placed order.
  * @param {string} orderId - Craftcloud order ID
- * @returns {{ status, tracking, estimatedDelivery }}
+ * @returns {{ status, tracking, trackingUrl, trackingNumber, estimatedDelivery }}
  */
 async function getOrderStatus(orderId) {
   const headers = getHeaders();
@@ -181,6 +192,8 @@ async function getOrderStatus(orderId) {
   return {
     status: firstVendor.status || 'unknown',
     tracking: firstVendor.trackingUrl || firstVendor.trackingNumber || null,
+    trackingUrl: firstVendor.trackingUrl || null,
+    trackingNumber: firstVendor.trackingNumber || null,
     estimatedDelivery: data.estDeliveryTime || null,
   };
 }
@@ -0,0 +1,82 @@
+/**
+ * Customer records
+ * One row per Messenger user (PSID), created the first time they message us.
+ * Name and picture come from their Graph API profile, fetched on first
+ * contact and refreshed weekly; email, phone and notes are kept from the
+ * dashboard. Order count and total spend are computed from their orders.
+ */
+
+const db = require('./db');
+const { getUserProfile } = require('./messenger');
+
+const PROFILE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'notes'];
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function profileStale(customer) {
+  if (!customer.profile_fetched_at) return true;
+  return Date.now() - new Date(`${customer.profile_fetched_at}Z`).getTime() > PROFILE_MAX_AGE_MS;
+}
+
+/**
+ * Fetch the customer's Graph API profile and save it. A name edited on the
+ * dashboard is kept; the profile only fills it in when it's empty.
+ * @returns {Promise<boolean>} false when the profile couldn't be fetched
+ */
+async function refreshProfile(psid) {
+  const profile = await getUserProfile(psid);
+  // Mark the attempt either way so a failing lookup isn't retried on every message
+  db.updateCustomer(psid, { profile_fetched_at: new Date().toISOString().replace('T', ' ').slice(0, 19) });
+  if (!profile) return false;
+
+  const customer = db.getCustomer(psid);
+  const fullName = `${profile.firstName} ${profile.lastName}`.trim();
+  db.updateCustomer(psid, {
+    first_name: profile.firstName,
+    profile_pic: profile.profilePic,
+    ...(customer.name ? {} : { name: fullName }),
+  });
+  const filled = db.fillOrderNames(psid, customer.name || fullName);
+  console.log(`[CUSTOMER] ${psid}: profile ${fullName || '(no name)'}${filled ? `, named ${filled} order(s)` : ''}`);
+  return true;
+}
+
+/**
+ * Record an incoming message: create or touch the customer, and fetch their
+ * profile if we don't have a recent one.
+ * @returns {Promise<object>} the customer, with order_count and total_spend
+ */
+async function recordContact(psid) {
+  db.touchCustomer(psid);
+  if (profileStale(db.getCustomer(psid))) await refreshProfile(psid);
+  return db.getCustomer(psid);
+}
+
+/**
+ * Save contact details and notes from the dashboard.
+ * @param {string} psid
+ * @param {object} fields - Any of EDITABLE_FIELDS
+ * @throws {Error} when a value is invalid
+ */
+function updateDetails(psid, fields) {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (fields[field] === undefined) continue;
+    if (typeof fields[field] !== 'string') throw new Error(`${field} must be text`);
+    updates[field] = fields[field].trim();
+  }
+  if (updates.email && !EMAIL.test(updates.email)) throw new Error('Email address looks invalid');
+  if (updates.notes && updates.notes.length > 2000) throw new Error('Notes are limited to 2000 characters');
+  db.updateCustomer(psid, updates);
+  if (updates.name) db.fillOrderNames(psid, updates.name);
+}
+
+/**
+ * Name to greet the customer by ('' when we don't know it).
+ */
+function firstName(customer) {
+  if (!customer) return '';
+  return customer.first_name || (customer.name || '').split(' ')[0];
+}
+
+module.exports = { PROFILE_MAX_AGE_MS, EDITABLE_FIELDS, refreshProfile, recordContact, updateDetails, firstName };
@@ -1,7 +1,8 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const events = require('./events');
 
-const DB_PATH = path.join(__dirname, '..', 'formfit.db');
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'formfit.db');
 
 let db;
 
@@ -48,18 +49,244 @@ function init() {
       pending_order_id TEXT DEFAULT '',
       updated_at TEXT DEFAULT (datetime('now'))
     );
+
+    CREATE TABLE IF NOT EXISTS order_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      old_status TEXT,
+      new_status TEXT NOT NULL,
+      reason TEXT DEFAULT '',
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id);
+
+    CREATE TABLE IF NOT EXISTS order_photos (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      path TEXT NOT NULL,
+      stl_path TEXT DEFAULT '',
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_order_photos_order ON order_photos(order_id);
+
+    CREATE TABLE IF NOT EXISTS order_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      field TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      actor TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_order_changes_order ON order_changes(order_id);
+
+    CREATE TABLE IF NOT EXISTS order_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      notes TEXT NOT NULL,
+      preview_path TEXT DEFAULT '',
+      author TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_order_revisions_order ON order_revisions(order_id);
+
+    CREATE TABLE IF NOT EXISTS craftcloud_quotes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      quote_id TEXT NOT NULL,
+      vendor_id TEXT DEFAULT '',
+      price REAL DEFAULT 0,
+      shipping REAL DEFAULT 0,
+      shipping_id TEXT DEFAULT '',
+      total_price REAL DEFAULT 0,
+      currency TEXT DEFAULT 'USD',
+      lead_days INTEGER,
+      shipping_days INTEGER,
+      expires_at TEXT DEFAULT '',
+      selected INTEGER DEFAULT 0,
+      selected_by TEXT DEFAULT '',
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_craftcloud_quotes_order ON craftcloud_quotes(order_id);
+
+    CREATE TABLE IF NOT EXISTS notification_templates (
+      key TEXT PRIMARY KEY,
+      body TEXT NOT NULL,
+      updated_by TEXT DEFAULT '',
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS pricing_configs (
+      version INTEGER PRIMARY KEY AUTOINCREMENT,
+      config TEXT NOT NULL,
+      note TEXT DEFAULT '',
+      created_by TEXT DEFAULT '',
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      order_id TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'queued',
+      current_step TEXT DEFAULT '',
+      completed_steps TEXT DEFAULT '[]',
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 3,
+      run_at TEXT DEFAULT (datetime('now')),
+      progress TEXT DEFAULT '',
+      last_error TEXT DEFAULT '',
+      result TEXT DEFAULT '',
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS customers (
+      psid TEXT PRIMARY KEY,
+      name TEXT DEFAULT '',
+      first_name TEXT DEFAULT '',
+      profile_pic TEXT DEFAULT '',
+      email TEXT DEFAULT '',
+      phone TEXT DEFAULT '',
+      notes TEXT DEFAULT '',
+      profile_fetched_at TEXT DEFAULT '',
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'helper',
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      expires_at TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS artifacts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      key TEXT UNIQUE NOT NULL,
+      order_id TEXT DEFAULT '',
+      psid TEXT DEFAULT '',
+      kind TEXT NOT NULL,
+      driver TEXT NOT NULL,
+      sha256 TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      mime TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_artifacts_order ON artifacts(order_id);
   `);
 
   // Add columns for pipeline (idempotent — ignores if already exist)
   const pipelineCols = [
     ['stl_path', "TEXT DEFAULT ''"],
     ['craftcloud_quote_id', "TEXT DEFAULT ''"],
+    // Shipping address collected in the conversation
+    ['ship_name', "TEXT DEFAULT ''"],
+    ['ship_line1', "TEXT DEFAULT ''"],
+    ['ship_line2', "TEXT DEFAULT ''"],
+    ['ship_city', "TEXT DEFAULT ''"],
+    ['ship_state', "TEXT DEFAULT ''"],
+    ['ship_zip', "TEXT DEFAULT ''"],
+    ['ship_country', "TEXT DEFAULT ''"],
+    // Payment collection
+    ['payment_status', "TEXT DEFAULT 'unpaid'"],
+    ['payment_provider', "TEXT DEFAULT ''"],
+    ['payment_session_id', "TEXT DEFAULT ''"],
+    ['payment_url', "TEXT DEFAULT ''"],
+    ['amount_paid', 'REAL DEFAULT 0'],
+    ['paid_at', "TEXT DEFAULT ''"],
+    ['tracking_number', "TEXT DEFAULT ''"],
+    // Craftcloud order tracking
+    ['craftcloud_order_id', "TEXT DEFAULT ''"],
+    ['vendor_status', "TEXT DEFAULT ''"],
+    ['tracking_url', "TEXT DEFAULT ''"],
+    ['estimated_delivery', "TEXT DEFAULT ''"],
+    ['tracking_synced_at', "TEXT DEFAULT ''"],
+    // Craftcloud quote selection
+    ['quote_policy', "TEXT DEFAULT ''"],
+    ['needed_by', "TEXT DEFAULT ''"],
+    // Margin check against the real vendor cost
+    ['margin_hold', 'INTEGER DEFAULT 0'],
+    ['margin_hold_reason', "TEXT DEFAULT ''"],
+    ['margin_released_cost', 'REAL'],
+    // Pricing config version the order was quoted under (0 = built-in defaults)
+    ['pricing_version', 'INTEGER DEFAULT 0'],
+    // Measured STL geometry and the re-quote it triggered
+    ['stl_bbox_x', 'REAL'],
+    ['stl_bbox_y', 'REAL'],
+    ['stl_bbox_z', 'REAL'],
+    ['stl_volume_cm3', 'REAL'],
+    ['stl_area_cm2', 'REAL'],
+    ['print_hours', 'REAL'],
+    ['filament_grams', 'REAL'],
+    ['requote_status', "TEXT DEFAULT ''"],
+    ['requote_json', "TEXT DEFAULT ''"],
+    ['original_total', 'REAL'],
+    // One insert per photo (order_photos); priced per insert
+    ['photo_count', 'INTEGER DEFAULT 1'],
+    // Stage the conversation was at when the customer switched to another order
+    ['conversation_stage', "TEXT DEFAULT ''"],
+    // Insert settings (insertSettings.js) — empty / NULL = generator defaults
+    ['insert_type', "TEXT DEFAULT ''"],
+    ['insert_depth_mm', 'REAL'],
+    ['insert_clearance_mm', 'REAL'],
+    ['drawer_width_mm', 'REAL'],
+    ['drawer_length_mm', 'REAL'],
+    ['drawer_height_mm', 'REAL'],
+    ['finger_notches', 'INTEGER DEFAULT 0'],
+    // Outline preview sent to the customer (preview.js) and their answer
+    ['preview_path', "TEXT DEFAULT ''"],
+    ['preview_status', "TEXT DEFAULT ''"],
+    ['preview_sent_at', "TEXT DEFAULT ''"],
+    // Paid beyond what the order costs, to be sent back by hand (refunds.js)
+    ['refund_due', 'REAL DEFAULT 0'],
   ];
   for (const [col, def] of pipelineCols) {
     try { db.exec(`ALTER TABLE orders ADD COLUMN ${col} ${def}`); }
     catch (_) { /* column already exists */ }
   }
 
+  // Photo sent mid-order, waiting for the customer to say which order it's for
+  try { db.exec("ALTER TABLE conversation_state ADD COLUMN pending_photo TEXT DEFAULT ''"); }
+  catch (_) { /* column already exists */ }
+
+  // Order the customer asked to cancel, waiting for them to confirm
+  try { db.exec("ALTER TABLE conversation_state ADD COLUMN pending_cancel TEXT DEFAULT ''"); }
+  catch (_) { /* column already exists */ }
+
+  // Who sent an outgoing message: '' for the bot, 'operator' / 'operator:<username>' for a person
+  try { db.exec("ALTER TABLE messages ADD COLUMN author TEXT DEFAULT ''"); }
+  catch (_) { /* column already exists */ }
+
+  // Human mode: an operator has taken over and the bot stays quiet
+  for (const [col, def] of [['human_mode', 'INTEGER DEFAULT 0'], ['human_mode_at', "TEXT DEFAULT ''"]]) {
+    try { db.exec(`ALTER TABLE customers ADD COLUMN ${col} ${def}`); }
+    catch (_) { /* column already exists */ }
+  }
+
+  // Orders from before order_photos keep their single photo
+  db.exec(`
+    INSERT INTO order_photos (order_id, path, stl_path)
+    SELECT order_id, photo_path, stl_path FROM orders
+    WHERE photo_path != '' AND order_id NOT IN (SELECT order_id FROM order_photos)
+  `);
+
+  // Everyone who messaged before customer records existed
+  db.exec(`
+    INSERT OR IGNORE INTO customers (psid, first_seen_at, last_seen_at)
+    SELECT psid, MIN(timestamp), MAX(timestamp) FROM messages GROUP BY psid
+  `);
+
   console.log('[DB] Initialized at', DB_PATH);
   return db;
 }
@@ -78,11 +305,20 @@ function generateOrderId() {
 
 function createOrder(data) {
   const orderId = generateOrderId();
-  const stmt = getDb().prepare(`
-    INSERT INTO orders (order_id, psid, photo_path, status)
-    VALUES (?, ?, ?, 'new')
-  `);
-  stmt.run(orderId, data.psid, data.photoPath || '');
+  const d = getDb();
+  d.transaction(() => {
+    d.prepare(`
+      INSERT INTO orders (order_id, psid, name, photo_path, status)
+      VALUES (?, ?, ?, ?, 'new')
+    `).run(orderId, data.psid, data.name || '', data.photoPath || '');
+    if (data.photoPath) {
+      d.prepare('INSERT INTO order_photos (order_id, path) VALUES (?, ?)').run(orderId, data.photoPath);
+    }
+    d.prepare(
+      "INSERT INTO order_events (order_id, actor, old_status, new_status, reason) VALUES (?, 'customer', NULL, 'new', 'Order created')"
+    ).run(orderId);
+  })();
+  events.orderChanged(orderId, 'created');
   return orderId;
 }
 
@@ -98,11 +334,43 @@ function getOrderByPsid(psid) {
   ).get(psid);
 }
 
+/**
+ * Orders a customer can still act on: drafts and orders not yet shipped.
+ */
+function getOpenOrdersByPsid(psid) {
+  return getDb().prepare(
+    `SELECT * FROM orders WHERE psid = ? AND status IN ('new', 'confirmed', 'in-progress', 'error')
+     ORDER BY created_at DESC`
+  ).all(psid);
+}
+
+function getOrdersByPsid(psid, limit = 10) {
+  return getDb().prepare(
+    'SELECT * FROM orders WHERE psid = ? ORDER BY created_at DESC LIMIT ?'
+  ).all(psid, limit);
+}
+
+function getOrderByPaymentSession(sessionId) {
+  if (!sessionId) return undefined;
+  return getDb().prepare('SELECT * FROM orders WHERE payment_session_id = ?').get(sessionId);
+}
+
 function updateOrder(orderId, fields) {
   const allowed = [
-    'name', 'status', 'photo_path', 'material', 'color', 'size',
+    'name', 'photo_path', 'material', 'color', 'size',
     'fulfillment_type', 'rush', 'cad_design', 'base_price', 'addons_price',
-    'shipping', 'total', 'craftcloud_cost', 'margin', 'stl_path', 'craftcloud_quote_id'
+    'shipping', 'total', 'craftcloud_cost', 'margin', 'stl_path', 'craftcloud_quote_id',
+    'ship_name', 'ship_line1', 'ship_line2', 'ship_city', 'ship_state', 'ship_zip', 'ship_country',
+    'payment_status', 'payment_provider', 'payment_session_id', 'payment_url', 'amount_paid', 'paid_at',
+    'tracking_number', 'craftcloud_order_id', 'vendor_status', 'tracking_url',
+    'estimated_delivery', 'tracking_synced_at', 'quote_policy', 'needed_by',
+    'margin_hold', 'margin_hold_reason', 'margin_released_cost', 'pricing_version',
+    'stl_bbox_x', 'stl_bbox_y', 'stl_bbox_z', 'stl_volume_cm3', 'stl_area_cm2',
+    'print_hours', 'filament_grams', 'requote_status', 'requote_json', 'original_total',
+    'photo_count', 'conversation_stage',
+    'insert_type', 'insert_depth_mm', 'insert_clearance_mm',
+    'drawer_width_mm', 'drawer_length_mm', 'drawer_height_mm', 'finger_notches',
+    'preview_path', 'preview_status', 'preview_sent_at', 'refund_due'
   ];
   const updates = [];
   const values = [];
@@ -118,6 +386,137 @@ function updateOrder(orderId, fields) {
   getDb().prepare(
     `UPDATE orders SET ${updates.join(', ')} WHERE order_id = ?`
   ).run(...values);
+  events.orderChanged(orderId);
+}
+
+/**
+ * Set an order's status only if it is still `from`, and log the change.
+ * Use orderStatus.transition() rather than calling this directly.
+ * @returns {boolean} true if the order was updated
+ */
+function changeOrderStatus(orderId, from, to, actor, reason) {
+  const d = getDb();
+  const changed = d.transaction(() => {
+    const info = d.prepare(
+      "UPDATE orders SET status = ?, updated_at = datetime('now') WHERE order_id = ? AND status = ?"
+    ).run(to, orderId, from);
+    if (info.changes === 0) return false;
+    d.prepare(
+      'INSERT INTO order_events (order_id, actor, old_status, new_status, reason) VALUES (?, ?, ?, ?, ?)'
+    ).run(orderId, actor, from, to, reason || '');
+    return true;
+  })();
+  if (changed) events.orderChanged(orderId);
+  return changed;
+}
+
+function getOrderEvents(orderId) {
+  return getDb().prepare(
+    'SELECT * FROM order_events WHERE order_id = ? ORDER BY id ASC'
+  ).all(orderId);
+}
+
+// --- Order photos ---
+
+/**
+ * Attach another photo (another drawer) to an order.
+ * The first photo stays the order's photo_path.
+ * @returns {number} the order's photo count
+ */
+function addOrderPhoto(orderId, photoPath) {
+  const d = getDb();
+  const count = d.transaction(() => {
+    d.prepare('INSERT INTO order_photos (order_id, path) VALUES (?, ?)').run(orderId, photoPath);
+    const { count } = d.prepare('SELECT COUNT(*) AS count FROM order_photos WHERE order_id = ?').get(orderId);
+    d.prepare(
+      "UPDATE orders SET photo_count = ?, photo_path = CASE WHEN photo_path = '' THEN ? ELSE photo_path END, updated_at = datetime('now') WHERE order_id = ?"
+    ).run(count, photoPath, orderId);
+    return count;
+  })();
+  events.orderChanged(orderId);
+  return count;
+}
+
+function getOrderPhotos(orderId) {
+  return getDb().prepare(
+    'SELECT * FROM order_photos WHERE order_id = ? ORDER BY id ASC'
+  ).all(orderId);
+}
+
+function setPhotoStl(photoId, stlPath) {
+  getDb().prepare('UPDATE order_photos SET stl_path = ? WHERE id = ?').run(stlPath, photoId);
+}
+
+/**
+ * Forget an order's generated STLs, their measurements, the Craftcloud
+ * quotes made for them and the preview of them, so the pipeline builds them
+ * again.
+ */
+function clearOrderStl(orderId) {
+  const d = getDb();
+  d.transaction(() => {
+    d.prepare("UPDATE order_photos SET stl_path = '' WHERE order_id = ?").run(orderId);
+    d.prepare('DELETE FROM craftcloud_quotes WHERE order_id = ?').run(orderId);
+    d.prepare(`
+      UPDATE orders SET stl_path = '', craftcloud_quote_id = '',
+        stl_bbox_x = NULL, stl_bbox_y = NULL, stl_bbox_z = NULL, stl_volume_cm3 = NULL, stl_area_cm2 = NULL,
+        print_hours = NULL, filament_grams = NULL, requote_status = '', requote_json = '',
+        preview_path = '', preview_status = '', preview_sent_at = '',
+        updated_at = datetime('now')
+      WHERE order_id = ?
+    `).run(orderId);
+  })();
+  events.orderChanged(orderId);
+}
+
+/**
+ * Record edits to an order's fields.
+ * @param {Array<{ field, from, to }>} changes
+ */
+function recordOrderChanges(orderId, changes, actor) {
+  const d = getDb();
+  const insert = d.prepare(
+    'INSERT INTO order_changes (order_id, field, old_value, new_value, actor) VALUES (?, ?, ?, ?, ?)'
+  );
+  d.transaction(() => {
+    for (const c of changes) {
+      insert.run(orderId, c.field, c.from == null ? null : String(c.from), c.to == null ? null : String(c.to), actor);
+    }
+  })();
+}
+
+function getOrderChanges(orderId) {
+  return getDb().prepare(
+    'SELECT * FROM order_changes WHERE order_id = ? ORDER BY id ASC'
+  ).all(orderId);
+}
+
+/**
+ * Save what the customer (or a dashboard user) wants changed on a preview.
+ */
+function addOrderRevision(orderId, notes, previewPath, author) {
+  getDb().prepare(
+    'INSERT INTO order_revisions (order_id, notes, preview_path, author) VALUES (?, ?, ?, ?)'
+  ).run(orderId, notes, previewPath || '', author);
+  events.orderChanged(orderId);
+}
+
+function getOrderRevisions(orderId) {
+  return getDb().prepare(
+    'SELECT * FROM order_revisions WHERE order_id = ? ORDER BY id ASC'
+  ).all(orderId);
+}
+
+/**
+ * Cloud orders placed with Craftcloud that haven't shipped yet.
+ */
+function getOpenCloudOrders() {
+  return getDb().prepare(
+    `SELECT * FROM orders
+     WHERE fulfillment_type = 'CLOUD' AND craftcloud_order_id != ''
+       AND status IN ('confirmed', 'in-progress')
+     ORDER BY created_at ASC`
+  ).all();
 }
 
 function getAllOrders() {
@@ -128,10 +527,18 @@ function getAllOrders() {
 
 // --- Messages ---
 
-function saveMessage(psid, direction, text) {
+function saveMessage(psid, direction, text, author = '') {
   getDb().prepare(
-    'INSERT INTO messages (psid, direction, text) VALUES (?, ?, ?)'
-  ).run(psid, direction, text);
+    'INSERT INTO messages (psid, direction, text, author) VALUES (?, ?, ?, ?)'
+  ).run(psid, direction, text, author);
+  events.publish('message', { psid, direction, text, author });
+}
+
+function getLastInboundAt(psid) {
+  const row = getDb().prepare(
+    "SELECT MAX(timestamp) as t FROM messages WHERE psid = ? AND direction = 'in'"
+  ).get(psid);
+  return row.t || null;
 }
 
 function getMessages(psid) {
@@ -148,7 +555,7 @@ function getState(psid) {
     getDb().prepare(
       'INSERT INTO conversation_state (psid, stage) VALUES (?, ?)'
     ).run(psid, 'NEW');
-    row = { psid, stage: 'NEW', pending_order_id: '' };
+    row = { psid, stage: 'NEW', pending_order_id: '', pending_photo: '', pending_cancel: '' };
   }
   return row;
 }
@@ -164,6 +571,423 @@ function setState(psid, stage, pendingOrderId) {
   `).run(psid, stage, pendingOrderId || '');
 }
 
+/**
+ * Move the conversation to another order. The stage the customer was at on
+ * the current order is kept on that order so they can pick it up later.
+ */
+function focusOrder(psid, orderId, stage) {
+  const current = getState(psid);
+  if (current.pending_order_id && current.pending_order_id !== orderId) {
+    updateOrder(current.pending_order_id, { conversation_stage: current.stage });
+  }
+  setState(psid, stage, orderId);
+}
+
+function setPendingPhoto(psid, photoPath) {
+  getState(psid);
+  getDb().prepare(
+    "UPDATE conversation_state SET pending_photo = ?, updated_at = datetime('now') WHERE psid = ?"
+  ).run(photoPath || '', psid);
+}
+
+function setPendingCancel(psid, orderId) {
+  getState(psid);
+  getDb().prepare(
+    "UPDATE conversation_state SET pending_cancel = ?, updated_at = datetime('now') WHERE psid = ?"
+  ).run(orderId || '', psid);
+}
+
+// --- Customers ---
+
+// Lifetime stats come from the orders; cancelled orders don't count
+const CUSTOMER_SELECT = `
+  SELECT c.*,
+    (SELECT COUNT(*) FROM orders o WHERE o.psid = c.psid AND o.status != 'cancelled') AS order_count,
+    (SELECT COALESCE(SUM(o.amount_paid), 0) FROM orders o WHERE o.psid = c.psid AND o.status != 'cancelled') AS total_spend,
+    (SELECT MAX(o.created_at) FROM orders o WHERE o.psid = c.psid) AS last_order_at
+  FROM customers c
+`;
+
+/**
+ * Create the customer on first contact; afterwards just note they're back.
+ */
+function touchCustomer(psid) {
+  getDb().prepare(`
+    INSERT INTO customers (psid) VALUES (?)
+    ON CONFLICT(psid) DO UPDATE SET last_seen_at = datetime('now')
+  `).run(psid);
+}
+
+function getCustomer(psid) {
+  return getDb().prepare(`${CUSTOMER_SELECT} WHERE c.psid = ?`).get(psid);
+}
+
+function getCustomers() {
+  return getDb().prepare(`${CUSTOMER_SELECT} ORDER BY c.last_seen_at DESC`).all();
+}
+
+function updateCustomer(psid, fields) {
+  const allowed = ['name', 'first_name', 'profile_pic', 'email', 'phone', 'notes', 'profile_fetched_at'];
+  const updates = [];
+  const values = [];
+  for (const [key, val] of Object.entries(fields)) {
+    if (allowed.includes(key)) {
+      updates.push(`${key} = ?`);
+      values.push(val);
+    }
+  }
+  if (updates.length === 0) return;
+  updates.push("updated_at = datetime('now')");
+  values.push(psid);
+  getDb().prepare(
+    `UPDATE customers SET ${updates.join(', ')} WHERE psid = ?`
+  ).run(...values);
+}
+
+function setHumanMode(psid, on) {
+  getDb().prepare(`
+    INSERT INTO customers (psid, human_mode, human_mode_at) VALUES (?, ?, datetime('now'))
+    ON CONFLICT(psid) DO UPDATE SET
+      human_mode = excluded.human_mode,
+      human_mode_at = excluded.human_mode_at,
+      updated_at = datetime('now')
+  `).run(psid, on ? 1 : 0);
+}
+
+/**
+ * Put the customer's name on their orders that don't have one yet.
+ */
+function fillOrderNames(psid, name) {
+  if (!name) return 0;
+  return getDb().prepare(
+    "UPDATE orders SET name = ?, updated_at = datetime('now') WHERE psid = ? AND name = ''"
+  ).run(name, psid).changes;
+}
+
+// --- Craftcloud quotes ---
+
+/**
+ * Replace all stored quotes for an order.
+ * @param {string} orderId
+ * @param {Array} quotes - Quotes from craftcloud.uploadAndQuote (camelCase)
+ */
+function saveCraftcloudQuotes(orderId, quotes) {
+  const d = getDb();
+  const insert = d.prepare(`
+    INSERT INTO craftcloud_quotes
+      (order_id, quote_id, vendor_id, price, shipping, shipping_id, total_price,
+       currency, lead_days, shipping_days, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  d.transaction(() => {
+    d.prepare('DELETE FROM craftcloud_quotes WHERE order_id = ?').run(orderId);
+    for (const q of quotes) {
+      insert.run(
+        orderId, q.quoteId, q.vendorId || '', q.price || 0, q.shipping || 0,
+        q.shippingId || '', q.totalPrice || 0, q.currency || 'USD',
+        q.leadDays ?? null, q.shippingDays ?? null, q.expiresAt || ''
+      );
+    }
+  })();
+}
+
+function getCraftcloudQuotes(orderId) {
+  return getDb().prepare(
+    'SELECT * FROM craftcloud_quotes WHERE order_id = ? ORDER BY total_price ASC'
+  ).all(orderId);
+}
+
+/**
+ * Mark one quote as the order's selected quote (clears any previous selection).
+ */
+function selectCraftcloudQuote(orderId, id, selectedBy) {
+  const d = getDb();
+  return d.transaction(() => {
+    const quote = d.prepare(
+      'SELECT * FROM craftcloud_quotes WHERE order_id = ? AND id = ?'
+    ).get(orderId, id);
+    if (!quote) return null;
+    d.prepare(
+      "UPDATE craftcloud_quotes SET selected = 0, selected_by = '' WHERE order_id = ?"
+    ).run(orderId);
+    d.prepare(
+      'UPDATE craftcloud_quotes SET selected = 1, selected_by = ? WHERE id = ?'
+    ).run(selectedBy, id);
+    return { ...quote, selected: 1, selected_by: selectedBy };
+  })();
+}
+
+function clearCraftcloudQuotes(orderId) {
+  getDb().prepare('DELETE FROM craftcloud_quotes WHERE order_id = ?').run(orderId);
+}
+
+// --- Notification templates ---
+
+function getNotificationTemplates() {
+  return getDb().prepare('SELECT * FROM notification_templates').all();
+}
+
+function saveNotificationTemplate(key, body, updatedBy) {
+  getDb().prepare(`
+    INSERT INTO notification_templates (key, body, updated_by, updated_at)
+    VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(key) DO UPDATE SET
+      body = excluded.body,
+      updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at
+  `).run(key, body, updatedBy || '');
+}
+
+// --- Pricing configs ---
+
+function getLatestPricingConfig() {
+  return getDb().prepare('SELECT * FROM pricing_configs ORDER BY version DESC LIMIT 1').get();
+}
+
+function getPricingConfig(version) {
+  return getDb().prepare('SELECT * FROM pricing_configs WHERE version = ?').get(version);
+}
+
+function getPricingConfigHistory(limit) {
+  return getDb().prepare(
+    'SELECT version, note, created_by, created_at FROM pricing_configs ORDER BY version DESC LIMIT ?'
+  ).all(limit || 20);
+}
+
+/**
+ * Store a new pricing config version. Versions are never edited in place.
+ * @returns {number} the new version
+ */
+function createPricingConfig(config, note, createdBy) {
+  const info = getDb().prepare(
+    'INSERT INTO pricing_configs (config, note, created_by) VALUES (?, ?, ?)'
+  ).run(JSON.stringify(config), note || '', createdBy || '');
+  return info.lastInsertRowid;
+}
+
+// --- Jobs ---
+
+function createJob(type, orderId, maxAttempts) {
+  const info = getDb().prepare(
+    'INSERT INTO jobs (type, order_id, max_attempts) VALUES (?, ?, ?)'
+  ).run(type, orderId, maxAttempts);
+  return getJob(info.lastInsertRowid);
+}
+
+function getJob(id) {
+  return getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+}
+
+function getActiveJob(type, orderId) {
+  return getDb().prepare(
+    `SELECT * FROM jobs WHERE type = ? AND order_id = ? AND state IN ('queued', 'running')
+     ORDER BY id DESC LIMIT 1`
+  ).get(type, orderId);
+}
+
+function getJobsForOrder(orderId) {
+  return getDb().prepare(
+    'SELECT * FROM jobs WHERE order_id = ? ORDER BY id DESC'
+  ).all(orderId);
+}
+
+function getRecentJobs(limit) {
+  return getDb().prepare(
+    'SELECT * FROM jobs ORDER BY id DESC LIMIT ?'
+  ).all(limit);
+}
+
+/**
+ * Atomically claim the next due queued job and mark it running.
+ */
+function claimNextJob() {
+  const d = getDb();
+  return d.transaction(() => {
+    const job = d.prepare(
+      `SELECT * FROM jobs WHERE state = 'queued' AND run_at <= datetime('now')
+       ORDER BY run_at ASC, id ASC LIMIT 1`
+    ).get();
+    if (!job) return null;
+    d.prepare(
+      "UPDATE jobs SET state = 'running', updated_at = datetime('now') WHERE id = ?"
+    ).run(job.id);
+    return { ...job, state: 'running' };
+  })();
+}
+
+function updateJob(id, fields) {
+  const allowed = [
+    'state', 'current_step', 'completed_steps', 'attempts', 'run_at',
+    'progress', 'last_error', 'result'
+  ];
+  const updates = [];
+  const values = [];
+  for (const [key, val] of Object.entries(fields)) {
+    if (allowed.includes(key)) {
+      updates.push(`${key} = ?`);
+      values.push(val);
+    }
+  }
+  if (updates.length === 0) return;
+  updates.push("updated_at = datetime('now')");
+  values.push(id);
+  getDb().prepare(
+    `UPDATE jobs SET ${updates.join(', ')} WHERE id = ?`
+  ).run(...values);
+}
+
+/**
+ * Put jobs left `running` by a crash or restart back in the queue.
+ */
+function requeueRunningJobs() {
+  return getDb().prepare(
+    "UPDATE jobs SET state = 'queued', updated_at = datetime('now') WHERE state = 'running'"
+  ).run().changes;
+}
+
+// --- Users & sessions ---
+
+function createUser(username, passwordHash, role) {
+  const info = getDb().prepare(
+    'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)'
+  ).run(username, passwordHash, role);
+  return info.lastInsertRowid;
+}
+
+function getUserByUsername(username) {
+  return getDb().prepare('SELECT * FROM users WHERE username = ?').get(username);
+}
+
+function getAllUsers() {
+  return getDb().prepare(
+    'SELECT id, username, role, created_at FROM users ORDER BY created_at ASC'
+  ).all();
+}
+
+function countUsers() {
+  return getDb().prepare('SELECT COUNT(*) as c FROM users').get().c;
+}
+
+function createSession(tokenHash, userId, expiresAt) {
+  getDb().prepare(
+    'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)'
+  ).run(tokenHash, userId, expiresAt);
+}
+
+function getSessionUser(tokenHash) {
+  return getDb().prepare(`
+    SELECT u.id, u.username, u.role FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > ?
+  `).get(tokenHash, new Date().toISOString());
+}
+
+function deleteSession(tokenHash) {
+  getDb().prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+function deleteExpiredSessions() {
+  getDb().prepare('DELETE FROM sessions WHERE expires_at <= ?').run(new Date().toISOString());
+}
+
+// --- Artifacts ---
+
+// Every column that holds an artifact key, with the kind of file it holds
+const ARTIFACT_REFS = [
+  ['orders', 'photo_path', 'photo'],
+  ['orders', 'stl_path', 'stl'],
+  ['orders', 'preview_path', 'preview'],
+  ['order_photos', 'path', 'photo'],
+  ['order_photos', 'stl_path', 'stl'],
+  ['order_revisions', 'preview_path', 'preview'],
+  ['conversation_state', 'pending_photo', 'photo'],
+];
+
+function createArtifact({ key, orderId, psid, kind, driver, sha256, size, mime }) {
+  const d = getDb();
+  d.prepare(`
+    INSERT INTO artifacts (key, order_id, psid, kind, driver, sha256, size_bytes, mime)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(key, orderId || '', psid || '', kind, driver, sha256, size, mime);
+  return getArtifact(key);
+}
+
+function getArtifact(key) {
+  return getDb().prepare('SELECT * FROM artifacts WHERE key = ?').get(key);
+}
+
+function getOrderArtifacts(orderId) {
+  return getDb().prepare(
+    'SELECT * FROM artifacts WHERE order_id = ? ORDER BY id ASC'
+  ).all(orderId);
+}
+
+function deleteArtifact(key) {
+  getDb().prepare('DELETE FROM artifacts WHERE key = ?').run(key);
+}
+
+/**
+ * Give an artifact a new key and owning order, and point everything that
+ * referenced the old key at the new one. If the new key is already stored
+ * (the same file attached twice), the old row is dropped instead.
+ */
+function moveArtifact(oldKey, newKey, orderId) {
+  const d = getDb();
+  d.transaction(() => {
+    if (getArtifact(newKey)) {
+      d.prepare('DELETE FROM artifacts WHERE key = ?').run(oldKey);
+    } else {
+      d.prepare('UPDATE artifacts SET key = ?, order_id = ? WHERE key = ?').run(newKey, orderId, oldKey);
+    }
+    replaceArtifactKey(oldKey, newKey);
+  })();
+  if (orderId) events.orderChanged(orderId);
+}
+
+/**
+ * Rewrite a file path or key wherever an order, photo, revision or
+ * conversation refers to it.
+ */
+function replaceArtifactKey(oldKey, newKey) {
+  const d = getDb();
+  d.transaction(() => {
+    for (const [table, col] of ARTIFACT_REFS) {
+      d.prepare(`UPDATE ${table} SET ${col} = ? WHERE ${col} = ?`).run(newKey, oldKey);
+    }
+  })();
+}
+
+// Every artifact key (or older file path) something refers to, and whose it is
+const REFERENCED_SQL = ARTIFACT_REFS.map(([table, col, kind]) => {
+  const owner = { orders: 'order_id, psid', conversation_state: "'' AS order_id, psid" }[table] || "order_id, '' AS psid";
+  return `SELECT ${col} AS ref, '${kind}' AS kind, ${owner} FROM ${table} WHERE ${col} != ''`;
+}).join(' UNION ');
+
+/**
+ * Artifacts nothing refers to any more, stored over `olderThanHours` ago —
+ * photos that failed their check, STLs and previews replaced by a rebuild.
+ */
+function getUnreferencedArtifacts(olderThanHours) {
+  return getDb().prepare(`
+    SELECT * FROM artifacts
+    WHERE created_at <= datetime('now', ?)
+      AND key NOT IN (SELECT ref FROM (${REFERENCED_SQL}))
+    ORDER BY id ASC
+  `).all(`-${Number(olderThanHours)} hours`);
+}
+
+/**
+ * File paths from before artifact storage, still referenced but not stored.
+ * @returns {Array<{ ref, kind, order_id, psid }>}
+ */
+function getUnstoredReferences() {
+  return getDb().prepare(`
+    SELECT ref, kind, MAX(order_id) AS order_id, MAX(psid) AS psid FROM (${REFERENCED_SQL})
+    WHERE ref NOT IN (SELECT key FROM artifacts)
+    GROUP BY ref, kind
+  `).all();
+}
+
 // --- Stats ---
 
 function getStats() {
@@ -185,8 +1009,22 @@ function getStats() {
 
 module.exports = {
   init, getDb, generateOrderId,
-  createOrder, getOrder, getOrderByPsid, updateOrder, getAllOrders,
-  saveMessage, getMessages,
-  getState, setState,
+  createOrder, getOrder, getOrderByPsid, getOrdersByPsid, getOpenOrdersByPsid, getOrderByPaymentSession, updateOrder,
+  addOrderPhoto, getOrderPhotos, setPhotoStl, clearOrderStl,
+  changeOrderStatus, getOrderEvents, recordOrderChanges, getOrderChanges,
+  addOrderRevision, getOrderRevisions,
+  getOpenCloudOrders, getAllOrders,
+  saveMessage, getMessages, getLastInboundAt,
+  saveCraftcloudQuotes, getCraftcloudQuotes, selectCraftcloudQuote, clearCraftcloudQuotes,
+  getNotificationTemplates, saveNotificationTemplate,
+  getLatestPricingConfig, getPricingConfig, getPricingConfigHistory, createPricingConfig,
+  getState, setState, focusOrder, setPendingPhoto, setPendingCancel,
+  touchCustomer, getCustomer, getCustomers, updateCustomer, setHumanMode, fillOrderNames,
+  createJob, getJob, getActiveJob, getJobsForOrder, getRecentJobs,
+  claimNextJob, updateJob, requeueRunningJobs,
+  createUser, getUserByUsername, getAllUsers, countUsers,
+  createSession, getSessionUser, deleteSession, deleteExpiredSessions,
+  createArtifact, getArtifact, getOrderArtifacts, deleteArtifact, moveArtifact, replaceArtifactKey,
+  getUnreferencedArtifacts, getUnstoredReferences,
   getStats
 };
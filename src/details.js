@@ -0,0 +1,175 @@
+/**
+ * Order details parser (material, color, size)
+ * Slot-filling over the customer's free-text reply: each slot reports the
+ * value it found, how confident the match is, and the competing values when
+ * the reply mentions more than one. Nothing is guessed — a slot the reply
+ * doesn't mention is left empty so the bot can ask for it.
+ *
+ * Confidence: 1.0 exact keyword · 0.7 synonym · 0.5 an unrecognized short
+ * reply to a direct question, which is below MIN_CONFIDENCE and so asked
+ * again. Ambiguous slots have no value.
+ */
+
+const { NEGATIONS, normalize, escapeRegExp } = require('./choices');
+
+const SLOTS = ['material', 'color', 'size'];
+const MIN_CONFIDENCE = 0.6;
+
+// value → [exact keywords, synonyms]
+const MATERIALS = {
+  'PLA':  [['pla'], ['cheapest', 'cheapest material']],
+  'PLA+': [['pla+', 'pla plus'], ['plaplus', 'pla pro', 'tough pla', 'tougher pla']],
+  'PETG': [['petg'], ['pet-g', 'pet g', 'heat resistant', 'heat-resistant', 'for the car', 'for my car']],
+};
+
+const SIZES = {
+  'small':       [['small'], ['tiny', 'little', 'mini', 'one tool', 'a couple tools', 'couple of tools', 'few tools', '1-2 tools', '1-2']],
+  'medium':      [['medium'], ['mid', 'mid-size', 'midsize', 'regular size', 'handful', '5-10 tools', '5-10']],
+  // Not bare "drawer", "full" or "big" — customers say those about anything ("my top drawer", "drawer is 400 x 300")
+  'full drawer': [['full drawer'], ['whole drawer', 'entire drawer', 'large', 'huge', 'everything']],
+};
+
+// The colors offered as quick replies
+const COLORS = {
+  // Black is what we stock most — "any color" lands here
+  'black':  [['black'], ['jet black', 'matte black', 'any color', 'any colour', 'whatever', 'no preference', "don't care", 'dont care']],
+  'white':  [['white'], ['off-white', 'off white']],
+  'gray':   [['gray', 'grey'], []],
+  'red':    [['red'], []],
+  'orange': [['orange'], []],
+  'yellow': [['yellow'], []],
+  'green':  [['green'], []],
+  'blue':   [['blue'], []],
+  'purple': [['purple'], []],
+  'pink':   [['pink'], []],
+  'brown':  [['brown'], []],
+};
+
+// Other colors customers name. Each is its own color — teal isn't blue, nor
+// gold yellow — so the order keeps the customer's word.
+const SHADES = [
+  'ivory', 'cream', 'silver', 'charcoal', 'gunmetal', 'slate',
+  'crimson', 'maroon', 'burgundy', 'scarlet', 'safety orange', 'rust', 'gold', 'mustard',
+  'lime', 'olive', 'mint', 'forest green', 'navy', 'navy blue', 'teal', 'cyan', 'turquoise', 'royal blue', 'sky blue',
+  'violet', 'lavender', 'magenta', 'rose', 'hot pink', 'tan', 'beige', 'wood', 'bronze',
+];
+
+const TABLES = { material: MATERIALS, color: COLORS, size: SIZES };
+
+// Everything each slot recognizes: the offered values plus, for color, the shades
+const VOCABULARY = {
+  ...TABLES,
+  color: { ...COLORS, ...Object.fromEntries(SHADES.map((shade) => [shade, [[shade], []]])) },
+};
+
+// "5 tools" / "about 12 tools" → size bucket
+function sizeFromToolCount(norm) {
+  const m = /(?<=[^a-z0-9])(\d{1,3})\s*(?:tools?|pieces|items)(?=[^a-z0-9])/.exec(norm);
+  if (!m) return null;
+  const n = Number(m[1]);
+  if (n <= 3) return 'small';
+  if (n <= 10) return 'medium';
+  return 'full drawer';
+}
+
+/**
+ * Every mention of every value of one slot. Longer phrases are matched first
+ * and consume their text, so "pla+" doesn't also count as "pla" and
+ * "forest green" only counts once. Negated mentions ("not red") are skipped.
+ * @returns {Array<{ value, phrase, confidence }>}
+ */
+function findMentions(norm, table) {
+  const phrases = [];
+  for (const [value, [exact, synonyms]] of Object.entries(table)) {
+    for (const phrase of exact) phrases.push({ value, phrase, confidence: 1.0 });
+    for (const phrase of synonyms) phrases.push({ value, phrase, confidence: 0.7 });
+  }
+  phrases.sort((a, b) => b.phrase.length - a.phrase.length);
+
+  const hits = [];
+  let text = norm;
+  for (const p of phrases) {
+    const re = new RegExp(`(?<=[^a-z0-9'+])${escapeRegExp(p.phrase)}(?=[^a-z0-9'+])`, 'g');
+    let m;
+    while ((m = re.exec(text))) {
+      const before = text.slice(0, m.index).trim().split(' ').pop();
+      if (!NEGATIONS.includes(before) && before !== 'no') hits.push(p);
+      text = text.slice(0, m.index) + ' '.repeat(p.phrase.length) + text.slice(m.index + p.phrase.length);
+    }
+  }
+  return hits;
+}
+
+function resolveSlot(hits) {
+  if (hits.length === 0) return { value: null, confidence: 0, candidates: [] };
+  const byValue = {};
+  for (const h of hits) byValue[h.value] = Math.max(byValue[h.value] || 0, h.confidence);
+  const candidates = Object.keys(byValue);
+  if (candidates.length === 1) {
+    return { value: candidates[0], confidence: byValue[candidates[0]], candidates };
+  }
+  // One exact keyword beats any number of loose synonyms ("PLA, for the car" → PLA, not PETG)
+  const exact = candidates.filter((v) => byValue[v] === 1.0);
+  if (exact.length === 1) return { value: exact[0], confidence: 0.8, candidates };
+  return { value: null, confidence: 0.3, candidates };
+}
+
+/**
+ * Parse a details reply.
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {string} [opts.expecting] - Slot the bot just asked about; a short reply
+ *                                    that matches nothing is its (unaccepted) color guess
+ * @returns {{ material, color, size, found: string[], missing: string[], ambiguous: string[] }}
+ *   each slot: { value, confidence, candidates }
+ */
+function parseDetails(text, { expecting = null } = {}) {
+  const norm = normalize(text);
+  const result = {};
+
+  for (const slot of SLOTS) {
+    result[slot] = resolveSlot(findMentions(norm, VOCABULARY[slot]));
+  }
+
+  if (!result.size.value && result.size.candidates.length === 0) {
+    const fromCount = sizeFromToolCount(norm);
+    if (fromCount) result.size = { value: fromCount, confidence: 0.7, candidates: [fromCount] };
+  }
+
+  // A short reply to the color question that names no color we know ("not
+  // sure yet", "chartreuse") is kept as a guess, but too weak to accept
+  const words = norm.trim().split(' ').filter(Boolean);
+  if (expecting === 'color' && !result.color.value && result.color.candidates.length === 0 && words.length > 0 && words.length <= 4) {
+    result.color = { value: norm.trim(), confidence: 0.5, candidates: [norm.trim()] };
+  }
+
+  const accepted = (slot) => result[slot].value && result[slot].confidence >= MIN_CONFIDENCE;
+  return {
+    ...result,
+    found: SLOTS.filter(accepted),
+    missing: SLOTS.filter((slot) => !accepted(slot) && result[slot].candidates.length < 2),
+    ambiguous: SLOTS.filter((slot) => result[slot].candidates.length >= 2 && !accepted(slot)),
+  };
+}
+
+/**
+ * Quick-reply payload for a slot value: ('material', 'PLA+') → MATERIAL_PLA_PLUS
+ */
+function payloadFor(slot, value) {
+  return `${slot.toUpperCase()}_${value.toUpperCase().replace(/\+/g, '_PLUS').replace(/\s+/g, '_')}`;
+}
+
+/**
+ * Reverse of payloadFor.
+ * @returns {{ slot, value }|null}
+ */
+function fromPayload(payload) {
+  if (!payload) return null;
+  for (const slot of SLOTS) {
+    const value = Object.keys(VOCABULARY[slot]).find((v) => payloadFor(slot, v) === payload);
+    if (value) return { slot, value };
+  }
+  return null;
+}
+
+module.exports = { SLOTS, MATERIALS, SIZES, COLORS, SHADES, TABLES, parseDetails, payloadFor, fromPayload };
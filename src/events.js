@@ -0,0 +1,56 @@
+/**
+ * Live events for the dashboard
+ * An in-process bus: modules publish, and GET /api/events streams every
+ * event to connected dashboards as Server-Sent Events.
+ *
+ *   order    { action: 'created' | 'updated', orderId } — one per order per tick
+ *   message  { psid, direction, text, author }
+ *   job      jobs.describe() view of a pipeline job
+ *   pipeline { orderId, message } — progress of the pipeline step a job is running
+ *   alert    { orderId, message } — something the owner has to act on (a refund due)
+ */
+
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Order changes are coalesced: several updateOrder() calls in one request
+// become a single event
+const pendingOrders = new Map();
+let flushScheduled = false;
+
+function publish(type, data) {
+  bus.emit('event', { type, data });
+}
+
+function flushOrders() {
+  flushScheduled = false;
+  const batch = [...pendingOrders];
+  pendingOrders.clear();
+  for (const [orderId, action] of batch) publish('order', { action, orderId });
+}
+
+/**
+ * Note that an order was created or changed.
+ * @param {string} orderId
+ * @param {'created'|'updated'} [action]
+ */
+function orderChanged(orderId, action = 'updated') {
+  if (pendingOrders.get(orderId) !== 'created') pendingOrders.set(orderId, action);
+  if (!flushScheduled) {
+    flushScheduled = true;
+    setImmediate(flushOrders);
+  }
+}
+
+/**
+ * @param {function({ type: string, data: object }): void} listener
+ * @returns {function(): void} unsubscribe
+ */
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+module.exports = { publish, orderChanged, subscribe };
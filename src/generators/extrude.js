@@ -0,0 +1,336 @@
+/**
+ * Insert mesh for the outline generator
+ * A solid block with each pocket cut down from the top to the floor — a plain
+ * shadow box, or a Gridfinity bin standing on one foot per grid cell. The top
+ * face (block outline with the pockets as holes), the pocket floors and the
+ * underside are triangulated by ear clipping with hole bridging, after
+ * mapbox/earcut; walls are quads between matching rings. The result is a
+ * closed, consistently wound mesh.
+ *
+ * Gridfinity bins follow the published base profile (42 mm grid, 7 mm height
+ * units) without the optional stacking lip or magnet holes.
+ */
+
+const { signedArea } = require('./trace');
+
+const GRID_MM = 42;
+// Bins are this much under the grid so neighbors drop in side by side
+const GRID_GAP_MM = 0.5;
+const HEIGHT_UNIT_MM = 7;
+const BIN_RADIUS_MM = 3.75;
+// Foot outline, bottom to top: how far it's inset from the top of the foot
+const FOOT_PROFILE = [
+  { z: 0, inset: 2.95 },
+  { z: 0.8, inset: 2.15 },
+  { z: 2.6, inset: 2.15 },
+  { z: 4.75, inset: 0 },
+];
+const FOOT_MM = FOOT_PROFILE[FOOT_PROFILE.length - 1].z;
+// Keeps the top of each foot off the bin's outer wall and its neighbors
+const FOOT_INSET_MM = 0.25;
+const CORNER_SEGMENTS = 4;
+
+/**
+ * Snap a block to Gridfinity sizes: whole grid cells, whole height units
+ * counted from the bottom of the feet.
+ * @param {number} minWidth - mm
+ * @param {number} minLength - mm
+ * @param {number} minBodyHeight - mm needed above the feet
+ * @returns {{ widthMm, lengthMm, heightMm, units: [number, number, number] }}
+ */
+function gridfinityBin(minWidth, minLength, minBodyHeight) {
+  const cells = (mm) => Math.max(1, Math.ceil((mm + GRID_GAP_MM) / GRID_MM));
+  const u = cells(minWidth), v = cells(minLength);
+  const h = Math.max(1, Math.ceil((FOOT_MM + minBodyHeight) / HEIGHT_UNIT_MM));
+  return { widthMm: u * GRID_MM - GRID_GAP_MM, lengthMm: v * GRID_MM - GRID_GAP_MM, heightMm: h * HEIGHT_UNIT_MM, units: [u, v, h] };
+}
+
+/**
+ * Build the insert.
+ * @param {Array<Array<[number, number]>>} pockets - Outlines in mm, already
+ *   placed on the block
+ * @param {{ widthMm, lengthMm, heightMm, depthMm, gridfinity? }} block
+ * @returns {Float64Array[]} triangles as stl.js uses them, with the block's
+ *   corner at the origin
+ */
+function buildInsert(pockets, { widthMm, lengthMm, heightMm, depthMm, gridfinity = false }) {
+  const holes = pockets.map((poly) => (signedArea(poly) < 0 ? poly.slice().reverse() : poly));
+  const outline = gridfinity
+    ? roundedRect(0, 0, widthMm, lengthMm, BIN_RADIUS_MM)
+    : [[0, 0], [widthMm, 0], [widthMm, lengthMm], [0, lengthMm]];
+  const floor = heightMm - depthMm;
+
+  const triangles = [];
+  const tri = (a, b, c) => triangles.push(Float64Array.of(...a, ...b, ...c));
+  const flat = (poly, holesInPoly, z, up) => {
+    for (const [a, b, c] of triangulate(poly, holesInPoly)) {
+      if (up) tri([...a, z], [...b, z], [...c, z]);
+      else tri([...a, z], [...c, z], [...b, z]);
+    }
+  };
+  // Side wall between two counter-clockwise rings with matching vertices,
+  // facing out (pass clockwise rings to face in)
+  const band = (lower, z0, upper, z1) => {
+    lower.forEach((a, i) => {
+      const j = (i + 1) % lower.length;
+      const b = lower[j], c = upper[j], d = upper[i];
+      tri([...a, z0], [...b, z0], [...c, z1]);
+      tri([...a, z0], [...c, z1], [...d, z1]);
+    });
+  };
+
+  if (gridfinity) {
+    const feet = [];
+    for (let x = 0; x + GRID_MM - GRID_GAP_MM <= widthMm + 1e-6; x += GRID_MM) {
+      for (let y = 0; y + GRID_MM - GRID_GAP_MM <= lengthMm + 1e-6; y += GRID_MM) {
+        feet.push(FOOT_PROFILE.map(({ z, inset }) => {
+          const i = FOOT_INSET_MM + inset;
+          return { z, ring: roundedRect(x + i, y + i, x + GRID_MM - GRID_GAP_MM - i, y + GRID_MM - GRID_GAP_MM - i, Math.max(0.5, BIN_RADIUS_MM - i)) };
+        }));
+      }
+    }
+    flat(outline, feet.map((levels) => levels[levels.length - 1].ring), FOOT_MM, false);
+    for (const levels of feet) {
+      flat(levels[0].ring, [], 0, false);
+      for (let k = 1; k < levels.length; k++) band(levels[k - 1].ring, levels[k - 1].z, levels[k].ring, levels[k].z);
+    }
+  } else {
+    flat(outline, [], 0, false);
+  }
+  band(outline, gridfinity ? FOOT_MM : 0, outline, heightMm);
+  flat(outline, holes, heightMm, true);
+  for (const hole of holes) {
+    flat(hole, [], floor, true);
+    const inward = hole.slice().reverse();
+    band(inward, floor, inward, heightMm);
+  }
+  return triangles;
+}
+
+// Counter-clockwise rectangle with arcs for corners — always the same number
+// of points, so rings of different sizes line up for band()
+function roundedRect(x0, y0, x1, y1, r) {
+  const corners = [[x1 - r, y0 + r, -90], [x1 - r, y1 - r, 0], [x0 + r, y1 - r, 90], [x0 + r, y0 + r, 180]];
+  const points = [];
+  for (const [cx, cy, from] of corners) {
+    for (let k = 0; k <= CORNER_SEGMENTS; k++) {
+      const a = ((from + (90 * k) / CORNER_SEGMENTS) * Math.PI) / 180;
+      points.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+    }
+  }
+  return points;
+}
+
+/**
+ * Triangulate a polygon with holes.
+ * @param {Array<[number, number]>} outer
+ * @param {Array<Array<[number, number]>>} holes
+ * @returns {Array<Array<[number, number]>>} counter-clockwise triangles
+ */
+function triangulate(outer, holes = []) {
+  let outerNode = ring(outer, true);
+  if (!outerNode) return [];
+  if (holes.length) outerNode = eliminateHoles(holes, outerNode);
+
+  const triangles = [];
+  earcutLinked(outerNode, triangles, 0);
+  return triangles;
+}
+
+// Circular doubly linked list of the ring's vertices, counter-clockwise for
+// an outline and clockwise for a hole
+function ring(points, counterClockwise) {
+  const pts = (signedArea(points) > 0) === counterClockwise ? points : points.slice().reverse();
+  let last = null;
+  for (const [x, y] of pts) last = insertNode(x, y, last);
+  if (last && equals(last, last.next)) {
+    removeNode(last);
+    last = last.next;
+  }
+  return last;
+}
+
+function insertNode(x, y, last) {
+  const node = { x, y, prev: null, next: null };
+  if (!last) {
+    node.prev = node;
+    node.next = node;
+  } else {
+    node.next = last.next;
+    node.prev = last;
+    last.next.prev = node;
+    last.next = node;
+  }
+  return node;
+}
+
+function removeNode(p) {
+  p.next.prev = p.prev;
+  p.prev.next = p.next;
+}
+
+function equals(a, b) {
+  return a.x === b.x && a.y === b.y;
+}
+
+// Twice the signed area of a triangle; positive when a → b → c turns left
+function cross(a, b, c) {
+  return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+function pointInTriangle(a, b, c, p) {
+  return cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+}
+
+// Drop repeated and collinear vertices
+function filterPoints(start, end = start) {
+  let p = start;
+  let again;
+  do {
+    again = false;
+    if (equals(p, p.next) || cross(p.prev, p, p.next) === 0) {
+      removeNode(p);
+      p = end = p.prev;
+      if (p === p.next) break;
+      again = true;
+    } else {
+      p = p.next;
+    }
+  } while (again || p !== end);
+  return end;
+}
+
+function isEar(ear) {
+  const a = ear.prev, b = ear, c = ear.next;
+  if (cross(a, b, c) <= 0) return false;
+  for (let p = c.next; p !== a; p = p.next) {
+    if (equals(p, a) || equals(p, b) || equals(p, c)) continue;
+    if (pointInTriangle(a, b, c, p) && cross(p.prev, p, p.next) <= 0) return false;
+  }
+  return true;
+}
+
+function earcutLinked(start, triangles, pass) {
+  let ear = start;
+  let stop = ear;
+  while (ear.prev !== ear.next) {
+    const prev = ear.prev, next = ear.next;
+    if (isEar(ear)) {
+      triangles.push([[prev.x, prev.y], [ear.x, ear.y], [next.x, next.y]]);
+      removeNode(ear);
+      // Skipping the next vertex gives fewer slivers
+      ear = next.next;
+      stop = next.next;
+      continue;
+    }
+    ear = next;
+    if (ear === stop) {
+      // No ear found in a full loop: tidy up and retry, then clip whatever
+      // convex corners are left rather than leave a gap in the mesh
+      if (pass === 0) earcutLinked(filterPoints(ear), triangles, 1);
+      else if (pass === 1) clipRemaining(filterPoints(ear), triangles);
+      break;
+    }
+  }
+}
+
+function clipRemaining(start, triangles) {
+  let ear = start;
+  let guard = 0;
+  while (ear.prev !== ear.next && guard++ < 100000) {
+    if (cross(ear.prev, ear, ear.next) > 0) {
+      triangles.push([[ear.prev.x, ear.prev.y], [ear.x, ear.y], [ear.next.x, ear.next.y]]);
+      removeNode(ear);
+    }
+    ear = ear.next;
+  }
+}
+
+// Join each hole to the outline with a pair of coincident edges, leftmost hole first
+function eliminateHoles(holes, outerNode) {
+  const queue = holes
+    .map((points) => ring(points, false))
+    .filter(Boolean)
+    .map(leftmost)
+    .sort((a, b) => a.x - b.x || a.y - b.y);
+  for (const hole of queue) {
+    const bridge = findHoleBridge(hole, outerNode);
+    if (!bridge) continue;
+    const bridgeReverse = splitPolygon(bridge, hole);
+    filterPoints(bridgeReverse, bridgeReverse.next);
+    outerNode = filterPoints(bridge, bridge.next);
+  }
+  return outerNode;
+}
+
+function leftmost(start) {
+  let p = start, best = start;
+  do {
+    if (p.x < best.x || (p.x === best.x && p.y < best.y)) best = p;
+    p = p.next;
+  } while (p !== start);
+  return best;
+}
+
+// Outline vertex the hole's leftmost point can see: cast a ray to the left,
+// take the nearest edge it hits, then the vertex within that triangle closest
+// in angle to the ray
+function findHoleBridge(hole, outerNode) {
+  const hx = hole.x, hy = hole.y;
+  let p = outerNode;
+  let qx = -Infinity;
+  let m = null;
+  do {
+    // Edges going down face the hole on a counter-clockwise outline
+    if (hy <= p.y && hy >= p.next.y && p.next.y !== p.y) {
+      const x = p.x + ((hy - p.y) * (p.next.x - p.x)) / (p.next.y - p.y);
+      if (x <= hx && x > qx) {
+        qx = x;
+        m = p.x < p.next.x ? p : p.next;
+        if (x === hx) return m;
+      }
+    }
+    p = p.next;
+  } while (p !== outerNode);
+  if (!m) return null;
+
+  const stop = m;
+  const mx = m.x, my = m.y;
+  let tanMin = Infinity;
+  p = m;
+  do {
+    if (hx >= p.x && p.x >= mx && hx !== p.x) {
+      const a = { x: hy < my ? hx : qx, y: hy }, c = { x: hy < my ? qx : hx, y: hy };
+      if (pointInTriangle(a, { x: mx, y: my }, c, p) || pointInTriangle(a, c, { x: mx, y: my }, p)) {
+        const tan = Math.abs(hy - p.y) / (hx - p.x);
+        if (locallyInside(p, hole) && (tan < tanMin || (tan === tanMin && p.x > m.x))) {
+          m = p;
+          tanMin = tan;
+        }
+      }
+    }
+    p = p.next;
+  } while (p !== stop);
+  return m;
+}
+
+// Whether the diagonal a → b starts into the polygon's interior at a
+function locallyInside(a, b) {
+  return cross(a.prev, a, a.next) > 0
+    ? cross(a, b, a.next) <= 0 && cross(a, a.prev, b) <= 0
+    : cross(a, b, a.prev) > 0 || cross(a, a.next, b) > 0;
+}
+
+// Link outline vertex a to hole vertex b; returns b's copy on the way back
+function splitPolygon(a, b) {
+  const a2 = { x: a.x, y: a.y, prev: null, next: null };
+  const b2 = { x: b.x, y: b.y, prev: null, next: null };
+  const an = a.next, bp = b.prev;
+  a.next = b; b.prev = a;
+  a2.next = an; an.prev = a2;
+  b2.next = a2; a2.prev = b2;
+  bp.next = b2; b2.prev = bp;
+  return b2;
+}
+
+module.exports = { gridfinityBin, buildInsert, triangulate };
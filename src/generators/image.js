@@ -0,0 +1,155 @@
+/**
+ * Raster helpers for the outline generator
+ * Decodes JPEG / PNG photos into 8-bit single-channel images and provides
+ * the few image operations the tracer needs: box downscaling, bilinear
+ * sampling, Otsu thresholds and connected components.
+ *
+ * An image is { width, height, data: Uint8Array } with one byte per pixel.
+ */
+
+const fs = require('fs');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// jpeg-js refuses large images by default; phone photos are 12+ MP
+const JPEG_MAX_MEMORY_MB = 1024;
+
+/**
+ * Read a photo from disk.
+ * @param {string} filePath
+ * @returns {{ gray, white }} gray is luminance; white is min(r, g, b), high
+ *   only for bright unsaturated pixels such as a sheet of paper
+ */
+function readPhoto(filePath) {
+  const buf = fs.readFileSync(filePath);
+  let rgba;
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    rgba = jpeg.decode(buf, { useTArray: true, maxMemoryUsageInMB: JPEG_MAX_MEMORY_MB });
+  } else if (buf.length > 8 && buf.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    rgba = PNG.sync.read(buf);
+  } else {
+    throw new Error('Unsupported image format (expected JPEG or PNG)');
+  }
+
+  const { width, height, data } = rgba;
+  const gray = new Uint8Array(width * height);
+  const white = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    const r = data[p], g = data[p + 1], b = data[p + 2];
+    gray[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    white[i] = Math.min(r, g, b);
+  }
+  return { gray: { width, height, data: gray }, white: { width, height, data: white } };
+}
+
+/**
+ * Shrink an image by an integer factor so its longer side is at most maxSide,
+ * averaging each block of pixels.
+ * @returns {{ width, height, data, scale }} scale = original px per new px
+ */
+function downscale(img, maxSide) {
+  const scale = Math.max(1, Math.ceil(Math.max(img.width, img.height) / maxSide));
+  if (scale === 1) return { ...img, scale };
+
+  const width = Math.floor(img.width / scale);
+  const height = Math.floor(img.height / scale);
+  const data = new Uint8Array(width * height);
+  const area = scale * scale;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < scale; dy++) {
+        const row = (y * scale + dy) * img.width + x * scale;
+        for (let dx = 0; dx < scale; dx++) sum += img.data[row + dx];
+      }
+      data[y * width + x] = Math.round(sum / area);
+    }
+  }
+  return { width, height, data, scale };
+}
+
+/**
+ * Bilinear sample at a fractional position (pixel centers at integer + 0.5),
+ * clamped to the image edges.
+ */
+function sample(img, x, y) {
+  const fx = Math.min(Math.max(x - 0.5, 0), img.width - 1);
+  const fy = Math.min(Math.max(y - 0.5, 0), img.height - 1);
+  const x0 = Math.floor(fx), y0 = Math.floor(fy);
+  const x1 = Math.min(x0 + 1, img.width - 1), y1 = Math.min(y0 + 1, img.height - 1);
+  const tx = fx - x0, ty = fy - y0;
+  const d = img.data, w = img.width;
+  const top = d[y0 * w + x0] * (1 - tx) + d[y0 * w + x1] * tx;
+  const bottom = d[y1 * w + x0] * (1 - tx) + d[y1 * w + x1] * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+/**
+ * Otsu's threshold: the gray level that best splits the pixels into a dark
+ * and a bright class.
+ * @param {Uint8Array} data
+ * @param {Uint8Array} [mask] - Only pixels where mask is set count
+ * @returns {{ threshold, darkMean, brightMean }} dark is < threshold
+ */
+function otsu(data, mask) {
+  const hist = new Float64Array(256);
+  let total = 0;
+  for (let i = 0; i < data.length; i++) {
+    if (mask && !mask[i]) continue;
+    hist[data[i]]++;
+    total++;
+  }
+  let sumAll = 0;
+  for (let v = 0; v < 256; v++) sumAll += v * hist[v];
+
+  let best = -1, threshold = 128, darkMean = 0, brightMean = 255;
+  let countDark = 0, sumDark = 0;
+  for (let t = 1; t < 256; t++) {
+    countDark += hist[t - 1];
+    sumDark += (t - 1) * hist[t - 1];
+    const countBright = total - countDark;
+    if (countDark === 0 || countBright === 0) continue;
+    const m0 = sumDark / countDark, m1 = (sumAll - sumDark) / countBright;
+    const between = countDark * countBright * (m0 - m1) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+      darkMean = m0;
+      brightMean = m1;
+    }
+  }
+  return { threshold, darkMean, brightMean };
+}
+
+/**
+ * Label the 4-connected regions of set pixels in a mask.
+ * @param {Uint8Array} mask
+ * @returns {{ labels: Int32Array, sizes: number[] }} labels are 1-based, 0 = unset;
+ *   sizes[label] is the region's pixel count
+ */
+function components(mask, width, height) {
+  const labels = new Int32Array(width * height);
+  const sizes = [0];
+  const stack = new Int32Array(width * height);
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    const label = sizes.length;
+    let size = 0, top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+    while (top > 0) {
+      const i = stack[--top];
+      size++;
+      const x = i % width;
+      if (x > 0 && mask[i - 1] && !labels[i - 1]) { labels[i - 1] = label; stack[top++] = i - 1; }
+      if (x < width - 1 && mask[i + 1] && !labels[i + 1]) { labels[i + 1] = label; stack[top++] = i + 1; }
+      if (i >= width && mask[i - width] && !labels[i - width]) { labels[i - width] = label; stack[top++] = i - width; }
+      if (i < mask.length - width && mask[i + width] && !labels[i + width]) { labels[i + width] = label; stack[top++] = i + width; }
+    }
+    sizes.push(size);
+  }
+  return { labels, sizes };
+}
+
+module.exports = { readPhoto, downscale, sample, otsu, components };
@@ -0,0 +1,47 @@
+/**
+ * STL generators
+ * Turn a photo of tools on a sheet of paper into a shadow-box insert STL.
+ * Pluggable backends implement:
+ *   name
+ *   generate(imagePath, outputDir, { report, depthMm, wallMm, ... }) → { stlPath, success, error }
+ * report(message) is called with progress at each stage. Backends ignore
+ * settings they have no control over.
+ *
+ * Select one with STL_GENERATOR (default: tooltrace). STL_GENERATOR_FALLBACK
+ * names a second backend to try when the first one fails.
+ */
+
+const generators = {
+  tooltrace: require('./tooltrace'),
+  outline: require('./outline'),
+};
+
+function getGenerator(name) {
+  const key = (name || process.env.STL_GENERATOR || 'tooltrace').toLowerCase();
+  const generator = generators[key];
+  if (!generator) throw new Error(`Unknown STL generator: ${key}`);
+  return generator;
+}
+
+/**
+ * Generate an STL with the configured backend, falling back to
+ * STL_GENERATOR_FALLBACK if it fails.
+ * @param {string} imagePath
+ * @param {string} outputDir
+ * @param {object} [opts] - report callback and insert settings
+ * @returns {{ stlPath, success, error, generator }} generator is the backend that ran last
+ */
+async function generate(imagePath, outputDir, opts = {}) {
+  const primary = getGenerator();
+  const result = await primary.generate(imagePath, outputDir, opts);
+  if (result.success || !process.env.STL_GENERATOR_FALLBACK) return { ...result, generator: primary.name };
+
+  const fallback = getGenerator(process.env.STL_GENERATOR_FALLBACK);
+  if (fallback === primary) return { ...result, generator: primary.name };
+  console.warn(`[GENERATOR] ${primary.name} failed (${result.error}) — trying ${fallback.name}`);
+  if (opts.report) opts.report(`${primary.name} failed — trying ${fallback.name}`);
+  const second = await fallback.generate(imagePath, outputDir, opts);
+  return { ...second, generator: fallback.name };
+}
+
+module.exports = { getGenerator, generate };
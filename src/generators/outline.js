@@ -0,0 +1,158 @@
+/**
+ * Offline outline tracer — STL generator backend 'outline'
+ * Runs entirely in-process, no browser or network:
+ *   1. Find the sheet of paper and its corners (paper.js)
+ *   2. Undo the perspective, using the sheet's known size for scale
+ *   3. Threshold the dark tools, clean up, add finger notches and clearance,
+ *      trace (trace.js)
+ *   4. Size the block — around the pockets, to fill the drawer, or to the
+ *      Gridfinity grid — cut the pockets into it and write the STL (extrude.js)
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { readPhoto } = require('./image');
+const paper = require('./paper');
+const { tracePockets } = require('./trace');
+const { gridfinityBin, buildInsert } = require('./extrude');
+const stl = require('../stl');
+
+const name = 'outline';
+
+// Resolution of the flattened sheet the outlines are traced on
+const MM_PER_PX = 0.5;
+// Left between the insert and the drawer sides so it drops in
+const DRAWER_FIT_MM = 1;
+// Thinnest outer wall accepted to get an insert into a drawer
+const MIN_WALL_MM = 3;
+
+const DEFAULTS = {
+  depthMm: 20,
+  wallMm: 8,
+  floorMm: 3,
+  clearanceMm: 1.5,
+};
+
+const ENV = {
+  depthMm: 'OUTLINE_DEPTH_MM',
+  wallMm: 'OUTLINE_WALL_MM',
+  floorMm: 'OUTLINE_FLOOR_MM',
+  clearanceMm: 'OUTLINE_CLEARANCE_MM',
+};
+
+/**
+ * Insert dimensions: options passed in, then the environment, then defaults.
+ * @returns {{ depthMm, wallMm, floorMm, clearanceMm }}
+ */
+function getSettings(opts = {}) {
+  const settings = {};
+  for (const key of Object.keys(DEFAULTS)) {
+    const raw = opts[key] ?? process.env[ENV[key]];
+    const value = raw === '' ? NaN : Number(raw);
+    // A snug fit (no clearance) is allowed; every other size has to be positive
+    const ok = Number.isFinite(value) && (value > 0 || (key === 'clearanceMm' && value === 0));
+    settings[key] = ok ? value : DEFAULTS[key];
+  }
+  return settings;
+}
+
+/**
+ * Size the block and center the pockets on it. A shadow box made for a
+ * drawer fills it (either way round); a Gridfinity bin takes as many grid
+ * cells as the pockets need.
+ * @param {Array<Array<[number, number]>>} pockets
+ * @param {object} settings - getSettings() plus the insert options
+ * @returns {{ pockets, widthMm, lengthMm, heightMm, units? }}
+ * @throws {Error} when the pockets don't fit the drawer
+ */
+function layout(pockets, settings) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const poly of pockets) {
+    for (const [x, y] of poly) {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }
+  }
+  const w = maxX - minX, l = maxY - minY;
+  const gridfinity = settings.insertType === 'gridfinity';
+  const blockFor = (wall) => (gridfinity
+    ? gridfinityBin(w + 2 * wall, l + 2 * wall, settings.floorMm + settings.depthMm)
+    : { widthMm: w + 2 * wall, lengthMm: l + 2 * wall, heightMm: settings.floorMm + settings.depthMm });
+  let block = blockFor(settings.wallMm);
+  const round = (mm) => Math.round(mm * 10) / 10;
+
+  if (settings.drawerWidthMm && settings.drawerLengthMm) {
+    const drawerW = settings.drawerWidthMm - DRAWER_FIT_MM, drawerL = settings.drawerLengthMm - DRAWER_FIT_MM;
+    const tight = blockFor(Math.min(settings.wallMm, MIN_WALL_MM));
+    const options = [[block, false], [block, true], [tight, false], [tight, true]];
+    const fit = options.find(([b, turned]) => (turned
+      ? b.widthMm <= drawerL && b.lengthMm <= drawerW
+      : b.widthMm <= drawerW && b.lengthMm <= drawerL));
+    if (!fit) {
+      throw new Error(`The tools need a ${round(tight.widthMm)} × ${round(tight.lengthMm)} mm insert, which doesn't fit the ${settings.drawerWidthMm} × ${settings.drawerLengthMm} mm drawer`);
+    }
+    const [fitted, turned] = fit;
+    block = gridfinity ? fitted : { ...fitted, widthMm: turned ? drawerL : drawerW, lengthMm: turned ? drawerW : drawerL };
+  }
+  if (settings.drawerHeightMm && block.heightMm > settings.drawerHeightMm) {
+    throw new Error(`The insert would be ${round(block.heightMm)} mm tall, but the drawer is only ${settings.drawerHeightMm} mm`);
+  }
+
+  const dx = (block.widthMm - w) / 2 - minX, dy = (block.lengthMm - l) / 2 - minY;
+  return { ...block, pockets: pockets.map((poly) => poly.map(([x, y]) => [x + dx, y + dy])) };
+}
+
+// Give the event loop a turn between the heavier stages
+const yieldToLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * @param {string} imagePath
+ * @param {string} outputDir
+ * @param {{ report?, depthMm?, wallMm?, floorMm?, clearanceMm?, paperSize?, insertType?,
+ *   fingerNotches?, drawerWidthMm?, drawerLengthMm?, drawerHeightMm? }} [opts]
+ * @returns {{ stlPath, success, error, pockets? }}
+ */
+async function generate(imagePath, outputDir, opts = {}) {
+  const report = opts.report || (() => {});
+  const settings = {
+    ...getSettings(opts),
+    insertType: opts.insertType || 'shadow-box',
+    fingerNotches: !!opts.fingerNotches,
+    drawerWidthMm: opts.drawerWidthMm,
+    drawerLengthMm: opts.drawerLengthMm,
+    drawerHeightMm: opts.drawerHeightMm,
+  };
+  try {
+    if (!fs.existsSync(imagePath)) throw new Error(`Image not found: ${imagePath}`);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    report('Finding the paper');
+    const photo = readPhoto(imagePath);
+    const corners = paper.findPaper(photo.white);
+    await yieldToLoop();
+
+    const size = paper.getPaperSize(opts.paperSize);
+    report(`Flattening the ${size.name} sheet`);
+    const sheet = paper.rectify(photo.gray, corners, size, MM_PER_PX);
+    await yieldToLoop();
+
+    report('Tracing outlines');
+    const pockets = tracePockets(sheet, settings);
+    if (pockets.length === 0) throw new Error('No tools found on the paper');
+    await yieldToLoop();
+
+    const block = layout(pockets, settings);
+    const kind = block.units ? `${block.units[0]}×${block.units[1]}×${block.units[2]} Gridfinity bin` : 'shadow box';
+    report(`Building the ${kind} (${pockets.length} pocket${pockets.length === 1 ? '' : 's'}, ${settings.depthMm} mm deep)`);
+    const triangles = buildInsert(block.pockets, { ...block, depthMm: settings.depthMm, gridfinity: !!block.units });
+    const stlPath = path.join(outputDir, `${Date.now()}-outline.stl`);
+    stl.writeBinary(triangles, stlPath, 'FormFit outline insert');
+    console.log(`[OUTLINE] ${path.basename(imagePath)}: ${pockets.length} pocket(s), STL saved: ${stlPath}`);
+    return { stlPath, success: true, error: null, pockets: pockets.length };
+  } catch (err) {
+    console.error(`[OUTLINE] ${path.basename(imagePath)} failed:`, err.message);
+    return { stlPath: null, success: false, error: err.message };
+  }
+}
+
+module.exports = { name, DEFAULTS, getSettings, layout, generate };
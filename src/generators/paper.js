@@ -0,0 +1,203 @@
+/**
+ * Paper reference for the outline generator
+ * Customers photograph their tools on a sheet of letter or A4 paper. The sheet
+ * is the brightest, least colorful large region in the photo; its four
+ * corners and known size give the perspective correction and the scale.
+ */
+
+const { downscale, sample, otsu, components } = require('./image');
+
+// Short × long side, mm
+const PAPER_SIZES = {
+  letter: [215.9, 279.4],
+  a4: [210, 297],
+};
+
+// Paper is found on a reduced copy of the photo
+const DETECT_MAX_SIDE = 600;
+const MIN_PAPER_FRACTION = 0.05;
+// The sheet's pixels must fill most of the quad we fit to it (tools cover the rest)
+const MIN_QUAD_FILL = 0.6;
+const MIN_PAPER_SIDE_PX = 200;
+
+// `problem` says what's wrong with the photo: 'not-found', 'cut-off' or 'too-small'
+class PaperError extends Error {
+  constructor(message, problem) {
+    super(message);
+    this.name = 'PaperError';
+    this.problem = problem;
+  }
+}
+
+/**
+ * @param {string} [name] - 'letter' or 'a4' (default: PAPER_SIZE, then letter)
+ * @returns {{ name, shortMm, longMm }}
+ */
+function getPaperSize(name) {
+  const key = (name || process.env.PAPER_SIZE || 'letter').toLowerCase();
+  const size = PAPER_SIZES[key];
+  if (!size) throw new Error(`Unknown paper size: ${key}`);
+  return { name: key, shortMm: size[0], longMm: size[1] };
+}
+
+/**
+ * Find the sheet of paper.
+ * @param {{ width, height, data }} white - min(r, g, b) channel of the photo
+ * @returns {Array<[number, number]>} corners in photo pixels, clockwise from top-left
+ * @throws {PaperError} when no sheet can be found
+ */
+function findPaper(white) {
+  const small = downscale(white, DETECT_MAX_SIDE);
+  const { width, height } = small;
+  const { threshold, darkMean, brightMean } = otsu(small.data);
+  if (brightMean - darkMean < 40) throw new PaperError("Couldn't find the sheet of paper in the photo (not enough contrast)", 'not-found');
+
+  const bright = new Uint8Array(width * height);
+  for (let i = 0; i < bright.length; i++) bright[i] = small.data[i] >= threshold ? 1 : 0;
+  const { labels, sizes } = components(bright, width, height);
+  let label = 0;
+  for (let l = 1; l < sizes.length; l++) if (sizes[l] > sizes[label]) label = l;
+  if (!label || sizes[label] < width * height * MIN_PAPER_FRACTION) {
+    throw new PaperError("Couldn't find the sheet of paper in the photo", 'not-found');
+  }
+
+  // Left and right ends of the sheet on each row are enough for its hull
+  const points = [];
+  for (let y = 0; y < height; y++) {
+    let minX = -1, maxX = -1;
+    for (let x = 0; x < width; x++) {
+      if (labels[y * width + x] !== label) continue;
+      if (minX < 0) minX = x;
+      maxX = x;
+    }
+    if (minX < 0) continue;
+    points.push([minX, y], [minX, y + 1], [maxX + 1, y], [maxX + 1, y + 1]);
+  }
+
+  const quad = reduceToQuad(convexHull(points));
+  if (quad.length !== 4 || polygonArea(quad) * MIN_QUAD_FILL > sizes[label]) {
+    throw new PaperError("Couldn't find the sheet of paper in the photo (it doesn't look rectangular)", 'not-found');
+  }
+  if (quad.some(([x, y]) => x <= 1 || y <= 1 || x >= width - 1 || y >= height - 1)) {
+    throw new PaperError('The sheet of paper runs off the edge of the photo', 'cut-off');
+  }
+  return orderCorners(quad.map(([x, y]) => [x * small.scale, y * small.scale]));
+}
+
+// Andrew's monotone chain
+function convexHull(points) {
+  const pts = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+// Drop the hull vertex that contributes the least area until four remain
+function reduceToQuad(hull) {
+  const poly = hull.slice();
+  while (poly.length > 4) {
+    let weakest = 0, weakestArea = Infinity;
+    for (let i = 0; i < poly.length; i++) {
+      const a = poly[(i + poly.length - 1) % poly.length], b = poly[i], c = poly[(i + 1) % poly.length];
+      const area = Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+      if (area < weakestArea) {
+        weakestArea = area;
+        weakest = i;
+      }
+    }
+    poly.splice(weakest, 1);
+  }
+  return poly;
+}
+
+function polygonArea(poly) {
+  let sum = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const [x1, y1] = poly[i], [x2, y2] = poly[(i + 1) % poly.length];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(sum) / 2;
+}
+
+// Clockwise on screen (y down), starting from the corner nearest the top left
+function orderCorners(quad) {
+  const cx = quad.reduce((s, p) => s + p[0], 0) / 4;
+  const cy = quad.reduce((s, p) => s + p[1], 0) / 4;
+  const sorted = quad.slice().sort((a, b) => Math.atan2(a[1] - cy, a[0] - cx) - Math.atan2(b[1] - cy, b[0] - cx));
+  let first = 0;
+  for (let i = 1; i < 4; i++) if (sorted[i][0] + sorted[i][1] < sorted[first][0] + sorted[first][1]) first = i;
+  return sorted.slice(first).concat(sorted.slice(0, first));
+}
+
+/**
+ * Projective transform taking four source points to four destination points.
+ * @returns {number[]} h0..h7 (h8 = 1)
+ */
+function homography(src, dst) {
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = src[i], [X, Y] = dst[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * X, -y * X, X]);
+    rows.push([0, 0, 0, x, y, 1, -x * Y, -y * Y, Y]);
+  }
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    if (Math.abs(rows[pivot][col]) < 1e-12) throw new Error('Paper corners are degenerate');
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const f = rows[r][col] / rows[col][col];
+      for (let c = col; c < 9; c++) rows[r][c] -= f * rows[col][c];
+    }
+  }
+  return rows.map((row, i) => row[8] / row[i]);
+}
+
+/**
+ * Map the sheet to a flat, top-down image at a known scale.
+ * @param {{ width, height, data }} gray - Photo luminance
+ * @param {Array<[number, number]>} corners - From findPaper
+ * @param {{ shortMm, longMm }} paper
+ * @param {number} mmPerPx - Resolution of the flattened image
+ * @returns {{ width, height, data, mmPerPx }}
+ * @throws {PaperError} when the sheet is too small in the photo
+ */
+function rectify(gray, corners, paper, mmPerPx) {
+  const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+  const across = (dist(corners[0], corners[1]) + dist(corners[3], corners[2])) / 2;
+  const down = (dist(corners[1], corners[2]) + dist(corners[0], corners[3])) / 2;
+  if (Math.min(across, down) < MIN_PAPER_SIDE_PX) {
+    throw new PaperError('The sheet of paper is too small in the photo to trace accurately', 'too-small');
+  }
+
+  // Landscape or portrait, whichever way the sheet lies in the photo
+  const widthMm = across > down ? paper.longMm : paper.shortMm;
+  const heightMm = across > down ? paper.shortMm : paper.longMm;
+  const width = Math.round(widthMm / mmPerPx);
+  const height = Math.round(heightMm / mmPerPx);
+
+  const h = homography([[0, 0], [width, 0], [width, height], [0, height]], corners);
+  const data = new Uint8Array(width * height);
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const x = u + 0.5, y = v + 0.5;
+      const w = h[6] * x + h[7] * y + 1;
+      data[v * width + u] = Math.round(sample(gray, (h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w));
+    }
+  }
+  return { width, height, data, mmPerPx };
+}
+
+module.exports = { PAPER_SIZES, PaperError, getPaperSize, findPaper, rectify };
@@ -1,6 +1,7 @@
 /**
  * ToolTrace.ai Automation via Playwright
- * Automates: image upload → AI trace → Shadow Box → STL download
+ * Automates: image upload → AI trace → Shadow Box / Gridfinity → STL download
+ * STL generator backend 'tooltrace' (see generators/index.js).
  */
 
 const { chromium } = require('playwright');
@@ -9,14 +10,37 @@ const fs = require('fs');
 
 const TOOLTRACE_URL = 'https://www.tooltrace.ai';
 const MAX_RETRIES = 2;
+const DEFAULT_DEPTH_MM = 20;
+
+const name = 'tooltrace';
+
+/**
+ * Generator interface. ToolTrace decides the wall thickness and the outer
+ * size itself, so only the insert type, depth, clearance and finger notches
+ * are passed on.
+ * @returns {{ stlPath, success, error }}
+ */
+async function generate(imagePath, outputDir, { report, depthMm, insertType, clearanceMm, fingerNotches } = {}) {
+  return processImage(imagePath, outputDir, report, { depthMm, insertType, clearanceMm, fingerNotches });
+}
 
 /**
  * Process an image through ToolTrace.ai to generate an STL file.
  * @param {string} imagePath - Path to the input image
  * @param {string} outputDir - Directory to save the output STL
+ * @param {function(string): void} [report] - Progress callback, called at each stage
+ * @param {{ depthMm?, insertType?, clearanceMm?, fingerNotches? }} [opts] - Foam
+ *   thickness (default 20 mm), 'shadow-box' (default) or 'gridfinity', tool
+ *   clearance (ToolTrace's own default if unset), finger notches on or off
  * @returns {{ stlPath, success, error }}
  */
-async function processImage(imagePath, outputDir) {
+async function processImage(imagePath, outputDir, report = () => {}, opts = {}) {
+  const settings = {
+    depthMm: opts.depthMm || DEFAULT_DEPTH_MM,
+    gridfinity: opts.insertType === 'gridfinity',
+    clearanceMm: opts.clearanceMm ?? null,
+    fingerNotches: !!opts.fingerNotches,
+  };
   const absImagePath = path.resolve(imagePath);
   const absOutputDir = path.resolve(outputDir);
 
@@ -33,8 +57,9 @@ async function processImage(imagePath, outputDir) {
 
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     console.log(`[TOOLTRACE] Attempt ${attempt}/${MAX_RETRIES}...`);
+    if (attempt > 1) report(`Retrying (attempt ${attempt}/${MAX_RETRIES})`);
     try {
-      const result = await runToolTrace(absImagePath, absOutputDir);
+      const result = await runToolTrace(absImagePath, absOutputDir, report, settings);
       return result;
     } catch (err) {
       lastError = err;
@@ -53,10 +78,11 @@ async function processImage(imagePath, outputDir) {
   };
 }
 
-async function runToolTrace(imagePath, outputDir) {
+async function runToolTrace(imagePath, outputDir, report, { depthMm, gridfinity, clearanceMm, fingerNotches }) {
   let browser;
   try {
     console.log('[TOOLTRACE] Launching browser...');
+    report('Launching browser');
     browser = await chromium.launch({ headless: true });
     const context = await browser.newContext({ acceptDownloads: true });
     const page = await context.newPage();
@@ -76,12 +102,14 @@ async function runToolTrace(imagePath, outputDir) {
     // Step 3: Upload image
     // TODO: Selector may need updating based on live UI
     console.log(`[TOOLTRACE] Uploading image: ${imagePath}`);
+    report('Uploading photo');
     const fileInput = page.locator('input[type="file"]');
     await fileInput.first().setInputFiles(imagePath);
 
     // Step 4: Wait for AI tracing to complete
     // TODO: Selector may need updating — look for canvas, SVG outlines, or a completion indicator
     console.log('[TOOLTRACE] Waiting for AI tracing to complete...');
+    report('Tracing outlines');
     await page.waitForFunction(() => {
       // Look for canvas element, SVG paths, or any "done" indicator
       const canvas = document.querySelector('canvas');
@@ -91,31 +119,74 @@ async function runToolTrace(imagePath, outputDir) {
     }, { timeout: 60000, polling: 2000 });
     console.log('[TOOLTRACE] Tracing complete.');
 
-    // Step 5: Select Shadow Box insert type
+    // Step 5: Select the insert type
     // TODO: Selector may need updating based on live UI
-    console.log('[TOOLTRACE] Selecting Shadow Box mode...');
-    const shadowBoxOption = page.locator(
-      'button:has-text("Shadow Box"), label:has-text("Shadow Box"), ' +
-      '[data-type="shadow-box"], [value="shadow-box"], ' +
-      'div:has-text("Shadow Box"):not(:has(div))'
-    );
-    await shadowBoxOption.first().click({ timeout: 15000 });
+    if (gridfinity) {
+      console.log('[TOOLTRACE] Selecting Gridfinity mode...');
+      report('Setting up the Gridfinity bin');
+      const gridfinityOption = page.locator(
+        'button:has-text("Gridfinity"), label:has-text("Gridfinity"), ' +
+        '[data-type="gridfinity"], [value="gridfinity"], ' +
+        'div:has-text("Gridfinity"):not(:has(div))'
+      );
+      await gridfinityOption.first().click({ timeout: 15000 });
+    } else {
+      console.log('[TOOLTRACE] Selecting Shadow Box mode...');
+      report('Setting up the shadow box');
+      const shadowBoxOption = page.locator(
+        'button:has-text("Shadow Box"), label:has-text("Shadow Box"), ' +
+        '[data-type="shadow-box"], [value="shadow-box"], ' +
+        'div:has-text("Shadow Box"):not(:has(div))'
+      );
+      await shadowBoxOption.first().click({ timeout: 15000 });
+    }
     await page.waitForTimeout(1000);
 
-    // Step 6: Set foam thickness to 20mm
+    // Step 6: Set foam thickness (20mm unless asked otherwise)
     // TODO: Selector may need updating based on live UI
-    console.log('[TOOLTRACE] Setting thickness to 20mm...');
+    console.log(`[TOOLTRACE] Setting thickness to ${depthMm}mm...`);
     const thicknessInput = page.locator(
       'input[name="thickness"], input[placeholder*="thickness"], ' +
       'input[type="number"][aria-label*="thickness"], input[type="range"]'
     );
     const thicknessEl = thicknessInput.first();
-    await thicknessEl.fill('20');
+    await thicknessEl.fill(String(depthMm));
     await page.waitForTimeout(500);
 
+    // Step 6b: Clearance and finger notches, where the UI offers them — left
+    // at ToolTrace's defaults (with a warning) when it doesn't
+    // TODO: Selectors may need updating based on live UI
+    if (clearanceMm != null) {
+      const clearanceInput = page.locator(
+        'input[name="clearance"], input[placeholder*="clearance"], input[aria-label*="clearance"], ' +
+        'input[name="tolerance"], input[aria-label*="tolerance"]'
+      ).first();
+      if (await clearanceInput.count()) {
+        console.log(`[TOOLTRACE] Setting clearance to ${clearanceMm}mm...`);
+        await clearanceInput.fill(String(clearanceMm));
+        await page.waitForTimeout(500);
+      } else {
+        console.warn('[TOOLTRACE] No clearance control found — using ToolTrace default');
+      }
+    }
+    if (fingerNotches) {
+      const notchToggle = page.locator(
+        'label:has-text("Finger"), button:has-text("Finger"), ' +
+        'input[name*="finger"], [data-option="finger-notches"]'
+      ).first();
+      if (await notchToggle.count()) {
+        console.log('[TOOLTRACE] Adding finger notches...');
+        await notchToggle.click();
+        await page.waitForTimeout(500);
+      } else {
+        console.warn('[TOOLTRACE] No finger notch control found — insert will have none');
+      }
+    }
+
     // Step 7: Download/export STL
     // TODO: Selector may need updating based on live UI
     console.log('[TOOLTRACE] Clicking download/export...');
+    report('Downloading STL');
     const [download] = await Promise.all([
       page.waitForEvent('download', { timeout: 30000 }),
       page.locator(
@@ -139,4 +210,4 @@ async function runToolTrace(imagePath, outputDir) {
   }
 }
 
-module.exports = { processImage };
+module.exports = { name, generate, processImage };
@@ -0,0 +1,261 @@
+/**
+ * Tool outlines for the outline generator
+ * Works on the flattened sheet from paper.rectify(): dark pixels are tools.
+ * The mask is cleaned up (gaps closed, specks dropped, holes filled), given
+ * finger notches if asked, grown by the clearance, and its boundaries traced
+ * into simplified polygons in mm.
+ */
+
+const { otsu, components } = require('./image');
+
+// Ignore this much of the sheet's edge — the corners are only found to a few px
+const EDGE_MARGIN_MM = 3;
+// Smaller dark regions are dust, text or noise, not tools
+const MIN_TOOL_AREA_MM2 = 40;
+// Gaps narrower than this between tool parts are closed (hinge pins, shadows)
+const CLOSE_GAP_MM = 1;
+// Pockets closer than this are merged — a thinner web between them won't print
+const MIN_WEB_MM = 2;
+// Douglas–Peucker tolerance, px
+const SIMPLIFY_PX = 0.7;
+const MIN_CONTRAST = 40;
+// Finger notch: a round cut-out this wide, centered on the tool's edge
+const FINGER_NOTCH_MM = 22;
+
+/**
+ * Trace the pockets for the tools on a flattened sheet.
+ * @param {{ width, height, data, mmPerPx }} sheet
+ * @param {{ clearanceMm: number, fingerNotches?: boolean }} opts
+ * @returns {Array<Array<[number, number]>>} pocket outlines in mm, y up, counter-clockwise
+ */
+function tracePockets(sheet, { clearanceMm, fingerNotches = false }) {
+  const { width, height, data, mmPerPx } = sheet;
+  const margin = Math.ceil(EDGE_MARGIN_MM / mmPerPx);
+  const interior = new Uint8Array(width * height);
+  for (let y = margin; y < height - margin; y++) interior.fill(1, y * width + margin, (y + 1) * width - margin);
+
+  const { threshold, darkMean, brightMean } = otsu(data, interior);
+  if (brightMean - darkMean < MIN_CONTRAST) return [];
+
+  let mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i++) mask[i] = interior[i] && data[i] < threshold ? 1 : 0;
+
+  const px = (mm) => mm / mmPerPx;
+  mask = erode(dilate(mask, width, height, px(CLOSE_GAP_MM / 2)), width, height, px(CLOSE_GAP_MM / 2));
+  removeSpecks(mask, width, height, MIN_TOOL_AREA_MM2 / mmPerPx ** 2);
+  fillHoles(mask, width, height);
+  if (fingerNotches) addFingerNotches(mask, width, height, px(FINGER_NOTCH_MM / 2));
+  // Grow by the clearance plus half the web, then shrink by half the web: pockets
+  // end up clearance-sized, and any two closer than MIN_WEB_MM join up
+  mask = erode(dilate(mask, width, height, px(clearanceMm + MIN_WEB_MM / 2)), width, height, px(MIN_WEB_MM / 2));
+  fillHoles(mask, width, height);
+
+  return traceLoops(mask, width, height)
+    .map((loop) => simplify(loop, SIMPLIFY_PX).map(([x, y]) => [x * mmPerPx, (height - y) * mmPerPx]))
+    .filter((poly) => poly.length >= 3 && Math.abs(signedArea(poly)) >= MIN_TOOL_AREA_MM2);
+}
+
+/**
+ * Distance from every pixel to the nearest pixel where mask === value
+ * (two-pass chamfer approximation of the Euclidean distance).
+ */
+function distanceTo(mask, width, height, value) {
+  const dist = new Float32Array(width * height);
+  for (let i = 0; i < dist.length; i++) dist[i] = mask[i] === value ? 0 : Infinity;
+  const d1 = 1, d2 = Math.SQRT2;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      let d = dist[i];
+      if (x > 0) d = Math.min(d, dist[i - 1] + d1);
+      if (y > 0) {
+        d = Math.min(d, dist[i - width] + d1);
+        if (x > 0) d = Math.min(d, dist[i - width - 1] + d2);
+        if (x < width - 1) d = Math.min(d, dist[i - width + 1] + d2);
+      }
+      dist[i] = d;
+    }
+  }
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = width - 1; x >= 0; x--) {
+      const i = y * width + x;
+      let d = dist[i];
+      if (x < width - 1) d = Math.min(d, dist[i + 1] + d1);
+      if (y < height - 1) {
+        d = Math.min(d, dist[i + width] + d1);
+        if (x < width - 1) d = Math.min(d, dist[i + width + 1] + d2);
+        if (x > 0) d = Math.min(d, dist[i + width - 1] + d2);
+      }
+      dist[i] = d;
+    }
+  }
+  return dist;
+}
+
+function dilate(mask, width, height, radius) {
+  const dist = distanceTo(mask, width, height, 1);
+  return Uint8Array.from(dist, (d) => (d <= radius ? 1 : 0));
+}
+
+function erode(mask, width, height, radius) {
+  const dist = distanceTo(mask, width, height, 0);
+  return Uint8Array.from(dist, (d) => (d > radius ? 1 : 0));
+}
+
+function removeSpecks(mask, width, height, minPx) {
+  const { labels, sizes } = components(mask, width, height);
+  for (let i = 0; i < mask.length; i++) if (mask[i] && sizes[labels[i]] < minPx) mask[i] = 0;
+}
+
+// Background regions that don't reach the border are holes in a tool (a ring, a handle loop)
+function fillHoles(mask, width, height) {
+  const background = Uint8Array.from(mask, (v) => 1 - v);
+  const { labels, sizes } = components(background, width, height);
+  const outside = new Uint8Array(sizes.length);
+  for (let x = 0; x < width; x++) {
+    outside[labels[x]] = 1;
+    outside[labels[(height - 1) * width + x]] = 1;
+  }
+  for (let y = 0; y < height; y++) {
+    outside[labels[y * width]] = 1;
+    outside[labels[y * width + width - 1]] = 1;
+  }
+  for (let i = 0; i < mask.length; i++) if (!mask[i] && !outside[labels[i]]) mask[i] = 1;
+}
+
+/**
+ * A disc on each tool's edge, where its shorter axis through the middle
+ * leaves the tool — the side a finger goes in to lift it out.
+ */
+function addFingerNotches(mask, width, height, radius) {
+  const { labels, sizes } = components(mask, width, height);
+  // Centroid and second moments per tool
+  const m = sizes.map(() => ({ x: 0, y: 0, xx: 0, yy: 0, xy: 0 }));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!mask[i]) continue;
+      const s = m[labels[i]];
+      s.x += x; s.y += y; s.xx += x * x; s.yy += y * y; s.xy += x * y;
+    }
+  }
+
+  const discs = [];
+  sizes.forEach((n, label) => {
+    if (!n) return;
+    const cx = m[label].x / n, cy = m[label].y / n;
+    const vxx = m[label].xx / n - cx * cx, vyy = m[label].yy / n - cy * cy, vxy = m[label].xy / n - cx * cy;
+    // The major axis is at this angle; the notch goes out at right angles to it
+    const major = Math.atan2(2 * vxy, vxx - vyy) / 2;
+    const dx = -Math.sin(major), dy = Math.cos(major);
+    let edge = null;
+    for (let t = 0; ; t += 0.5) {
+      const x = Math.round(cx + dx * t), y = Math.round(cy + dy * t);
+      if (x < 0 || y < 0 || x >= width || y >= height) break;
+      if (labels[y * width + x] === label) edge = [x, y];
+    }
+    if (edge) discs.push(edge);
+  });
+
+  const r = Math.ceil(radius);
+  for (const [ex, ey] of discs) {
+    for (let y = Math.max(0, ey - r); y <= Math.min(height - 1, ey + r); y++) {
+      for (let x = Math.max(0, ex - r); x <= Math.min(width - 1, ex + r); x++) {
+        if ((x - ex) ** 2 + (y - ey) ** 2 <= radius * radius) mask[y * width + x] = 1;
+      }
+    }
+  }
+}
+
+/**
+ * Boundaries of the set regions, as loops of pixel-corner coordinates
+ * (clockwise on screen, only where the direction changes). Regions touching
+ * only at a corner are kept apart.
+ */
+function traceLoops(mask, width, height) {
+  const at = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+  const stride = width + 1;
+  // Boundary edges with the region on their right, keyed by start vertex
+  const edges = [];
+  const outgoing = new Map();
+  const addEdge = (x, y, dx, dy) => {
+    const key = y * stride + x;
+    edges.push({ x, y, dx, dy, used: false });
+    if (!outgoing.has(key)) outgoing.set(key, []);
+    outgoing.get(key).push(edges.length - 1);
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!at(x, y)) continue;
+      if (!at(x, y - 1)) addEdge(x, y, 1, 0);
+      if (!at(x + 1, y)) addEdge(x + 1, y, 0, 1);
+      if (!at(x, y + 1)) addEdge(x + 1, y + 1, -1, 0);
+      if (!at(x - 1, y)) addEdge(x, y + 1, 0, -1);
+    }
+  }
+
+  const loops = [];
+  for (const first of edges) {
+    if (first.used) continue;
+    const loop = [];
+    let edge = first;
+    do {
+      edge.used = true;
+      const nx = edge.x + edge.dx, ny = edge.y + edge.dy;
+      const candidates = (outgoing.get(ny * stride + nx) || []).map((i) => edges[i]).filter((e) => !e.used || e === first);
+      // Prefer turning right, toward the region, so diagonal neighbors stay separate
+      const turn = (e) => (e.dx === -edge.dy && e.dy === edge.dx ? 0 : e.dx === edge.dx && e.dy === edge.dy ? 1 : 2);
+      const next = candidates.sort((a, b) => turn(a) - turn(b))[0];
+      if (!next) break;
+      if (next.dx !== edge.dx || next.dy !== edge.dy) loop.push([nx, ny]);
+      edge = next;
+    } while (edge !== first);
+    if (loop.length >= 3) loops.push(loop);
+  }
+  return loops;
+}
+
+// Douglas–Peucker for a closed loop: split at the point farthest from the first
+function simplify(loop, tolerance) {
+  let far = 0, farDist = -1;
+  for (let i = 1; i < loop.length; i++) {
+    const d = Math.hypot(loop[i][0] - loop[0][0], loop[i][1] - loop[0][1]);
+    if (d > farDist) {
+      farDist = d;
+      far = i;
+    }
+  }
+  const keep = new Uint8Array(loop.length + 1);
+  keep[0] = keep[far] = keep[loop.length] = 1;
+  const point = (i) => loop[i % loop.length];
+  const stack = [[0, far], [far, loop.length]];
+  while (stack.length) {
+    const [start, end] = stack.pop();
+    const [ax, ay] = point(start), [bx, by] = point(end);
+    const len = Math.hypot(bx - ax, by - ay) || 1;
+    let worst = -1, worstDist = tolerance;
+    for (let i = start + 1; i < end; i++) {
+      const [px, py] = point(i);
+      const d = Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / len;
+      if (d > worstDist) {
+        worstDist = d;
+        worst = i;
+      }
+    }
+    if (worst < 0) continue;
+    keep[worst] = 1;
+    stack.push([start, worst], [worst, end]);
+  }
+  return loop.filter((_, i) => keep[i]);
+}
+
+function signedArea(poly) {
+  let sum = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const [x1, y1] = poly[i], [x2, y2] = poly[(i + 1) % poly.length];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return sum / 2;
+}
+
+module.exports = { tracePockets, signedArea };
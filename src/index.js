@@ -4,34 +4,114 @@ const express = require('express');
 const path = require('path');
 const db = require('./db');
 const webhookRouter = require('./webhook');
+const paymentsRouter = require('./payments/webhook');
+const payments = require('./payments');
+const jobs = require('./jobs');
+const orderStatus = require('./orderStatus');
+const notifications = require('./notifications');
+const tracking = require('./tracking');
 const pipeline = require('./pipeline');
+const quoteSelection = require('./quoteSelection');
+const pricing = require('./pricing');
+const conversation = require('./conversation');
+const auth = require('./auth');
+const customers = require('./customers');
+const operator = require('./operator');
+const events = require('./events');
+const orderEdits = require('./orderEdits');
+const refunds = require('./refunds');
+const insertSettings = require('./insertSettings');
+const preview = require('./preview');
+const storage = require('./storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // --- Middleware ---
-app.use(express.json());
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// Static files: uploaded photos
-app.use('/uploads', express.static(path.join(__dirname, '..', 'uploads')));
-
 // --- Routes ---
 
+// Stored photos, STLs and previews — only through signed, expiring links (storage.signedUrl)
+app.get('/files/*', async (req, res) => {
+  const key = req.params[0];
+  if (!storage.verifyUrl(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'This link is invalid or has expired' });
+  }
+  try {
+    const artifact = db.getArtifact(key);
+    if (!artifact) return res.status(404).json({ error: 'File not found' });
+    const data = await storage.read(key);
+    const disposition = artifact.mime.startsWith('image/') ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': artifact.mime,
+      'Content-Disposition': `${disposition}; filename="${artifact.order_id || artifact.psid}-${path.basename(key)}"`,
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(data);
+  } catch (err) {
+    console.error('[API] /files error:', err);
+    res.status(err.statusCode === 404 ? 404 : 500).json({ error: 'Failed to load file' });
+  }
+});
+
 // Facebook Messenger webhook
 app.use('/webhook', webhookRouter);
 
-// Dashboard
-app.get('/dashboard', (req, res) => {
+// Payment provider webhook + checkout landing pages
+app.use('/payments', paymentsRouter);
+
+// Login page + dashboard
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'login.html'));
+});
+
+app.get('/dashboard', auth.requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'dashboard.html'));
 });
 
 // --- API endpoints for dashboard ---
 
+// Login / logout / user management, then everything else under /api needs a session
+app.use('/api', auth.router);
+app.use('/api', auth.requireAuth);
+
+// Statuses a helper may set — everything else is owner-only
+const HELPER_STATUSES = ['in-progress', 'shipped'];
+
+// An order as the dashboard lists it, with signed links to its files
+function orderView(o) {
+  const orderPhotos = db.getOrderPhotos(o.order_id);
+  const photos = o.photo_count > 1 ? orderPhotos.map(p => p.path) : [o.photo_path].filter(Boolean);
+  // Files a rebuild replaced are listed until the storage sweep removes them
+  const current = [o.stl_path, o.preview_path, ...photos, ...orderPhotos.map(p => p.stl_path)];
+  return {
+    ...o,
+    photo_urls: photos.map(storage.signedUrl),
+    preview_url: storage.signedUrl(o.preview_path),
+    next_statuses: orderStatus.nextStatuses(o.status),
+    editable: orderEdits.canEdit(o),
+    insert_summary: insertSettings.describe(o),
+    revisions: db.getOrderRevisions(o.order_id).map(r => ({ ...r, preview_url: storage.signedUrl(r.preview_path) })),
+    files: db.getOrderArtifacts(o.order_id).map(a => ({
+      name: path.basename(a.key),
+      kind: a.kind,
+      size_bytes: a.size_bytes,
+      mime: a.mime,
+      created_at: a.created_at,
+      current: current.includes(a.key),
+      url: storage.signedUrl(a.key)
+    }))
+  };
+}
+
 app.get('/api/orders', (req, res) => {
   try {
-    const orders = db.getAllOrders();
-    res.json(orders);
+    res.json(db.getAllOrders().map(orderView));
   } catch (err) {
     console.error('[API] /api/orders error:', err);
     res.status(500).json({ error: 'Failed to load orders' });
@@ -48,6 +128,37 @@ app.get('/api/stats', (req, res) => {
   }
 });
 
+// Live updates: order, message, job and pipeline events as Server-Sent Events
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = events.subscribe(({ type, data }) => {
+    try {
+      let payload = data;
+      if (type === 'order') {
+        const order = db.getOrder(data.orderId);
+        if (!order) return;
+        payload = { action: data.action, order: orderView(order) };
+      }
+      res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    } catch (err) {
+      console.error('[API] events error:', err);
+    }
+  });
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
 app.get('/api/orders/:orderId/messages', (req, res) => {
   try {
     const order = db.getOrder(req.params.orderId);
@@ -60,38 +171,467 @@ app.get('/api/orders/:orderId/messages', (req, res) => {
   }
 });
 
-app.post('/api/orders/:orderId/status', (req, res) => {
+app.get('/api/orders/:orderId/events', (req, res) => {
+  try {
+    const order = db.getOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    res.json(db.getOrderEvents(req.params.orderId));
+  } catch (err) {
+    console.error('[API] events error:', err);
+    res.status(500).json({ error: 'Failed to load order history' });
+  }
+});
+
+app.get('/api/orders/:orderId/changes', (req, res) => {
+  try {
+    const order = db.getOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    res.json(db.getOrderChanges(req.params.orderId));
+  } catch (err) {
+    console.error('[API] changes error:', err);
+    res.status(500).json({ error: 'Failed to load order changes' });
+  }
+});
+
+app.post('/api/orders/:orderId/status', auth.requireRole('owner', 'helper'), async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['new', 'confirmed', 'in-progress', 'shipped', 'cancelled', 'error'];
-    if (!validStatuses.includes(status)) {
+    const { status, reason, trackingNumber, notify } = req.body;
+    if (!orderStatus.STATUSES.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
-    db.updateOrder(req.params.orderId, { status });
-    res.json({ ok: true });
+    if (req.user.role !== 'owner' && !HELPER_STATUSES.includes(status)) {
+      return res.status(403).json({ error: 'Not allowed for your role' });
+    }
+    // Save the tracking number first so the "shipped" notification can include it
+    const order = db.getOrder(req.params.orderId);
+    // An order coming back from `error` can reach in-progress too — never unpaid
+    if (order && status === 'in-progress' && order.status !== 'in-progress' && order.payment_status !== 'paid') {
+      return res.status(409).json({ error: `${order.order_id} isn't paid yet` });
+    }
+    if (order && status === 'shipped' && orderStatus.canTransition(order.status, status)
+        && typeof trackingNumber === 'string' && trackingNumber.trim()) {
+      db.updateOrder(req.params.orderId, { tracking_number: trackingNumber.trim() });
+    }
+    const result = orderStatus.transition(req.params.orderId, status, {
+      actor: `user:${req.user.username}`,
+      reason: typeof reason === 'string' ? reason.trim() : '',
+      notify: notify !== false
+    });
+    if (status === 'cancelled') {
+      refunds.markDue(req.params.orderId, `cancelled by ${req.user.username}`);
+      await payments.cancelCheckout(req.params.orderId);
+    }
+    res.json({ ok: true, ...result });
   } catch (err) {
+    if (err instanceof orderStatus.TransitionError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     console.error('[API] status update error:', err);
     res.status(500).json({ error: 'Failed to update status' });
   }
 });
 
-// Run pipeline for an order
-app.post('/api/orders/:orderId/run-pipeline', async (req, res) => {
+// Pull the latest Craftcloud status for a cloud order now
+app.post('/api/orders/:orderId/sync-tracking', auth.requireRole('owner'), async (req, res) => {
+  try {
+    const order = db.getOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (!order.craftcloud_order_id) return res.status(400).json({ error: 'No Craftcloud order to track' });
+    res.json(await tracking.syncOrder(req.params.orderId));
+  } catch (err) {
+    console.error('[API] sync-tracking error:', err);
+    res.status(502).json({ error: err.message || 'Tracking sync failed' });
+  }
+});
+
+// --- Craftcloud quotes ---
+
+app.get('/api/orders/:orderId/quotes', (req, res) => {
+  try {
+    const order = db.getOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    res.json({
+      quotes: db.getCraftcloudQuotes(req.params.orderId),
+      policy: order.quote_policy || '',
+      defaultPolicy: quoteSelection.defaultPolicy(),
+      policies: quoteSelection.POLICIES,
+      neededBy: order.needed_by || '',
+      placed: !!order.craftcloud_order_id,
+    });
+  } catch (err) {
+    console.error('[API] quotes error:', err);
+    res.status(500).json({ error: 'Failed to load quotes' });
+  }
+});
+
+// Owner override — this quote is used when the order is placed
+app.post('/api/orders/:orderId/quotes/:quoteRowId/select', auth.requireRole('owner'), (req, res) => {
+  try {
+    const order = db.getOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (order.craftcloud_order_id) return res.status(409).json({ error: 'Craftcloud order already placed' });
+
+    const picked = db.selectCraftcloudQuote(req.params.orderId, Number(req.params.quoteRowId), `user:${req.user.username}`);
+    if (!picked) return res.status(404).json({ error: 'Quote not found' });
+    const { quote, reason } = pipeline.chooseCloudQuote(req.params.orderId);
+    if (!quote || quote.id !== picked.id) return res.status(409).json({ error: 'That quote has expired' });
+    res.json({ ok: true, quote, reason });
+  } catch (err) {
+    console.error('[API] select quote error:', err);
+    res.status(500).json({ error: 'Failed to select quote' });
+  }
+});
+
+app.post('/api/orders/:orderId/quote-policy', auth.requireRole('owner'), (req, res) => {
+  try {
+    const order = db.getOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const policy = req.body.policy || '';
+    const neededBy = req.body.neededBy || '';
+    if (policy && !quoteSelection.POLICIES.includes(policy)) {
+      return res.status(400).json({ error: `Policy must be one of: ${quoteSelection.POLICIES.join(', ')}` });
+    }
+    if (neededBy && Number.isNaN(new Date(neededBy).getTime())) {
+      return res.status(400).json({ error: 'Invalid needed-by date' });
+    }
+    db.updateOrder(req.params.orderId, { quote_policy: policy, needed_by: neededBy });
+
+    // Re-pick from stored quotes under the new policy (an owner pick still wins)
+    let result = { quote: null, reason: 'No quotes yet' };
+    if (!order.craftcloud_order_id && db.getCraftcloudQuotes(req.params.orderId).length > 0) {
+      result = pipeline.chooseCloudQuote(req.params.orderId);
+    }
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('[API] quote policy error:', err);
+    res.status(500).json({ error: 'Failed to update quote policy' });
+  }
+});
+
+// Toggle rush / CAD add-ons, re-price, and optionally resend the quote to the customer
+app.post('/api/orders/:orderId/addons', auth.requireRole('owner'), async (req, res) => {
+  try {
+    const order = db.getOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (['paid', 'balance_due'].includes(order.payment_status)) {
+      return res.status(409).json({ error: 'Order is already paid — add-ons can no longer change' });
+    }
+    if (!order.size || !order.material || !order.fulfillment_type) {
+      return res.status(409).json({ error: 'Order has no quote yet' });
+    }
+
+    const { rush, cadDesign, resend } = req.body || {};
+    // Checked before anything changes, so a refused resend leaves the order as it was
+    if (resend && db.getState(order.psid).pending_order_id !== req.params.orderId) {
+      return res.status(409).json({ error: 'Customer is no longer on this order — quote not sent, nothing changed' });
+    }
+    const fields = {};
+    if (rush !== undefined) fields.rush = rush ? 1 : 0;
+    if (cadDesign !== undefined) fields.cad_design = cadDesign ? 1 : 0;
+    db.updateOrder(req.params.orderId, fields);
+
+    if (resend) {
+      await conversation.sendQuote(order.psid, req.params.orderId);
+    } else {
+      conversation.quoteOrder(req.params.orderId);
+    }
+
+    const updated = db.getOrder(req.params.orderId);
+    const changes = ['rush', 'cad_design', 'total']
+      .filter((field) => updated[field] !== order[field])
+      .map((field) => ({ field, from: order[field], to: updated[field] }));
+    if (changes.length) db.recordOrderChanges(req.params.orderId, changes, `user:${req.user.username}`);
+    console.log(`[API] ${req.user.username} set add-ons on ${req.params.orderId} (rush=${updated.rush}, cad=${updated.cad_design}) → $${updated.total.toFixed(2)}${resend ? ', quote resent' : ''}`);
+    res.json({ ok: true, total: updated.total, resent: !!resend });
+  } catch (err) {
+    console.error('[API] addons error:', err);
+    res.status(500).json({ error: 'Failed to update add-ons' });
+  }
+});
+
+// Insert type, depth, clearance, drawer size and finger notches; re-prices, and
+// drops an STL generated for the old settings
+app.put('/api/orders/:orderId/insert-settings', auth.requireRole('owner'), (req, res) => {
+  try {
+    const fields = {};
+    for (const field of insertSettings.FIELDS) {
+      if (req.body && req.body[field] !== undefined) fields[field] = req.body[field];
+    }
+    const { order, changes, balanceDue } = orderEdits.editOrder(req.params.orderId, fields, `user:${req.user.username}`);
+    res.json({ ok: true, order: orderView(order), changes, balanceDue });
+  } catch (err) {
+    if (err instanceof orderEdits.EditError) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[API] insert settings error:', err);
+    res.status(500).json({ error: 'Failed to update insert settings' });
+  }
+});
+
+// Owner accepts a low margin at the current vendor cost — lets the order auto-place
+app.post('/api/orders/:orderId/release-margin-hold', auth.requireRole('owner'), (req, res) => {
   try {
     const order = db.getOrder(req.params.orderId);
     if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (!order.margin_hold) return res.status(400).json({ error: 'Order is not on hold' });
+
+    db.updateOrder(req.params.orderId, {
+      margin_hold: 0,
+      margin_hold_reason: '',
+      margin_released_cost: order.craftcloud_cost,
+    });
+    console.log(`[API] ${req.user.username} released margin hold on ${req.params.orderId} (margin $${order.margin.toFixed(2)})`);
+    const job = jobs.enqueue('pipeline', req.params.orderId);
+    res.json({ ok: true, job: jobs.describe(job) });
+  } catch (err) {
+    console.error('[API] release-margin-hold error:', err);
+    res.status(500).json({ error: 'Failed to release hold' });
+  }
+});
 
-    const result = await pipeline.runOrderPipeline(req.params.orderId);
+// Owner has sent a refund back (from the payment provider's dashboard)
+app.post('/api/orders/:orderId/refunded', auth.requireRole('owner'), (req, res) => {
+  try {
+    const order = db.getOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (!(order.refund_due > 0)) return res.status(400).json({ error: 'No refund is due on this order' });
+
+    const amount = refunds.markRefunded(req.params.orderId, `user:${req.user.username}`);
+    res.json({ ok: true, refunded: amount });
+  } catch (err) {
+    console.error('[API] refunded error:', err);
+    res.status(500).json({ error: 'Failed to record the refund' });
+  }
+});
+
+// Owner approves the outline preview for the customer — queues the pipeline to print / order it
+app.post('/api/orders/:orderId/preview/approve', auth.requireRole('owner'), (req, res) => {
+  try {
+    const order = db.getOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (!order.preview_path) return res.status(400).json({ error: 'No preview has been made for this order yet' });
+
+    preview.approve(req.params.orderId, `user:${req.user.username}`);
+    const job = jobs.enqueue('pipeline', req.params.orderId);
+    res.json({ ok: true, job: jobs.describe(job) });
+  } catch (err) {
+    console.error('[API] preview approve error:', err);
+    res.status(500).json({ error: 'Failed to approve preview' });
+  }
+});
+
+// --- Customers ---
+
+app.get('/api/customers', (req, res) => {
+  try {
+    res.json(db.getCustomers());
+  } catch (err) {
+    console.error('[API] customers error:', err);
+    res.status(500).json({ error: 'Failed to load customers' });
+  }
+});
+
+app.get('/api/customers/:psid', (req, res) => {
+  try {
+    const customer = db.getCustomer(req.params.psid);
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+    res.json({ customer, orders: db.getOrdersByPsid(req.params.psid, 50) });
+  } catch (err) {
+    console.error('[API] customer error:', err);
+    res.status(500).json({ error: 'Failed to load customer' });
+  }
+});
+
+app.put('/api/customers/:psid', auth.requireRole('owner'), (req, res) => {
+  if (!db.getCustomer(req.params.psid)) return res.status(404).json({ error: 'Customer not found' });
+  try {
+    customers.updateDetails(req.params.psid, req.body || {});
+    res.json({ ok: true, customer: db.getCustomer(req.params.psid) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/customers/:psid/messages', auth.requireRole('owner'), async (req, res) => {
+  try {
+    if (!db.getCustomer(req.params.psid)) return res.status(404).json({ error: 'Customer not found' });
+    await operator.sendOperatorMessage(req.params.psid, req.body.text, req.user.username);
+    res.json({ ok: true, messages: db.getMessages(req.params.psid) });
+  } catch (err) {
+    if (err instanceof operator.ChatError) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[API] send message error:', err);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+app.put('/api/customers/:psid/human-mode', auth.requireRole('owner'), (req, res) => {
+  try {
+    if (!db.getCustomer(req.params.psid)) return res.status(404).json({ error: 'Customer not found' });
+    if (typeof req.body.on !== 'boolean') return res.status(400).json({ error: 'on must be true or false' });
+    operator.setHumanMode(req.params.psid, req.body.on, `user:${req.user.username}`);
+    res.json({ ok: true, customer: db.getCustomer(req.params.psid) });
+  } catch (err) {
+    console.error('[API] human-mode error:', err);
+    res.status(500).json({ error: 'Failed to change human mode' });
+  }
+});
+
+app.post('/api/customers/:psid/refresh-profile', auth.requireRole('owner'), async (req, res) => {
+  try {
+    if (!db.getCustomer(req.params.psid)) return res.status(404).json({ error: 'Customer not found' });
+    const ok = await customers.refreshProfile(req.params.psid);
+    if (!ok) return res.status(502).json({ error: 'Could not fetch the Messenger profile' });
+    res.json({ ok: true, customer: db.getCustomer(req.params.psid) });
+  } catch (err) {
+    console.error('[API] refresh-profile error:', err);
+    res.status(500).json({ error: 'Failed to refresh profile' });
+  }
+});
+
+// --- Customer notification templates ---
+
+app.get('/api/notification-templates', (req, res) => {
+  try {
+    res.json({ templates: notifications.getTemplates(), placeholders: notifications.PLACEHOLDERS });
+  } catch (err) {
+    console.error('[API] templates error:', err);
+    res.status(500).json({ error: 'Failed to load templates' });
+  }
+});
+
+app.put('/api/notification-templates/:key', auth.requireRole('owner'), (req, res) => {
+  try {
+    notifications.saveTemplate(req.params.key, req.body.body, req.user.username);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// --- Pricing config ---
+
+app.get('/api/pricing', (req, res) => {
+  try {
+    res.json({
+      active: pricing.getActiveConfig(),
+      history: db.getPricingConfigHistory(20),
+      sizes: pricing.SIZES,
+      materials: pricing.MATERIALS,
+    });
+  } catch (err) {
+    console.error('[API] pricing error:', err);
+    res.status(500).json({ error: 'Failed to load pricing' });
+  }
+});
+
+app.get('/api/pricing/:version', (req, res) => {
+  try {
+    const version = pricing.getConfigVersion(Number(req.params.version));
+    if (!version) return res.status(404).json({ error: 'Pricing version not found' });
+    res.json(version);
+  } catch (err) {
+    console.error('[API] pricing version error:', err);
+    res.status(500).json({ error: 'Failed to load pricing version' });
+  }
+});
+
+// Save a new pricing version — existing orders keep the version they were quoted under
+app.post('/api/pricing', auth.requireRole('owner'), (req, res) => {
+  try {
+    const { config, note } = req.body || {};
+    const version = pricing.saveConfig(config, req.user.username, note);
+    console.log(`[API] ${req.user.username} saved pricing v${version}${note ? ` (${note})` : ''}`);
+    res.json({ version });
+  } catch (err) {
+    res.status(400).json({ error: err.message, errors: err.errors || [err.message] });
+  }
+});
+
+// Quote an example order under the active config and, optionally, an unsaved draft
+app.post('/api/pricing/preview', (req, res) => {
+  try {
+    const { config } = req.body || {};
+    const order = (req.body && req.body.order) || {};
+    const opts = {
+      size: order.size || 'medium',
+      material: order.material || 'pla',
+      fulfillment: order.fulfillment || 'SELF',
+      rush: !!order.rush,
+      cadDesign: !!order.cadDesign,
+    };
+    const notText = ['size', 'material', 'fulfillment'].filter((field) => typeof opts[field] !== 'string');
+    if (notText.length) return res.status(400).json({ error: `Example order ${notText.join(', ')} must be text` });
+
+    const result = { current: pricing.calculateQuote(opts) };
+    if (config) {
+      const errors = pricing.validateConfig(config);
+      if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+      result.draft = pricing.calculateQuote(opts, { version: null, config });
+    }
     res.json(result);
+  } catch (err) {
+    console.error('[API] pricing preview error:', err);
+    res.status(500).json({ error: 'Failed to preview pricing' });
+  }
+});
+
+// Queue the pipeline for an order — progress is polled via /api/jobs/:jobId
+app.post('/api/orders/:orderId/run-pipeline', auth.requireRole('owner'), (req, res) => {
+  try {
+    const order = db.getOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const job = jobs.enqueue('pipeline', req.params.orderId);
+    res.status(202).json(jobs.describe(job));
   } catch (err) {
     console.error('[API] run-pipeline error:', err);
-    res.status(500).json({ error: err.message || 'Pipeline failed' });
+    res.status(500).json({ error: err.message || 'Failed to queue pipeline' });
+  }
+});
+
+app.get('/api/jobs', (req, res) => {
+  try {
+    res.json(db.getRecentJobs(100).map(jobs.describe));
+  } catch (err) {
+    console.error('[API] /api/jobs error:', err);
+    res.status(500).json({ error: 'Failed to load jobs' });
+  }
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+  try {
+    const job = db.getJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(jobs.describe(job));
+  } catch (err) {
+    console.error('[API] job error:', err);
+    res.status(500).json({ error: 'Failed to load job' });
+  }
+});
+
+app.get('/api/orders/:orderId/jobs', (req, res) => {
+  try {
+    res.json(db.getJobsForOrder(req.params.orderId).map(jobs.describe));
+  } catch (err) {
+    console.error('[API] order jobs error:', err);
+    res.status(500).json({ error: 'Failed to load jobs' });
   }
 });
 
 // --- Init & Start ---
 
+// No default payment provider — a misconfigured deploy must not fall back to one that accepts anything
+try {
+  console.log(`[PAYMENTS] Using the ${payments.getProvider().name} provider`);
+} catch (err) {
+  console.error(`[PAYMENTS] ${err.message} — set PAYMENT_PROVIDER (stripe; fake outside production)`);
+  process.exit(1);
+}
+
 db.init();
+auth.bootstrapOwner();
+jobs.start();
+tracking.start();
+storage.start();
 
 app.listen(PORT, () => {
   console.log(`
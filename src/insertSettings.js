@@ -0,0 +1,189 @@
+/**
+ * Per-order insert settings
+ * What the generated insert looks like: a shadow box or a Gridfinity bin,
+ * pocket depth, clearance around each tool, finger notches, and the drawer it
+ * has to fit. Stored on the order — empty means the generator's defaults —
+ * and set from the conversation ("30mm deep, gridfinity, drawer is 40 x 50 cm")
+ * or the dashboard. The STL generators build to them and pricing charges for
+ * them.
+ */
+
+const INSERT_TYPES = {
+  'shadow-box': 'Shadow box',
+  'gridfinity': 'Gridfinity bin',
+};
+
+const NUMBER_FIELDS = ['insert_depth_mm', 'insert_clearance_mm', 'drawer_width_mm', 'drawer_length_mm', 'drawer_height_mm'];
+const FIELDS = ['insert_type', ...NUMBER_FIELDS, 'finger_notches'];
+
+// Accepted range per field, mm
+const LIMITS = {
+  insert_depth_mm: [5, 100],
+  insert_clearance_mm: [0, 5],
+  drawer_width_mm: [50, 1500],
+  drawer_length_mm: [50, 1500],
+  drawer_height_mm: [10, 300],
+};
+
+// Names used in replies and the change history
+const LABELS = {
+  insert_type: 'insert type',
+  insert_depth_mm: 'depth',
+  insert_clearance_mm: 'clearance',
+  drawer_width_mm: 'drawer width',
+  drawer_length_mm: 'drawer length',
+  drawer_height_mm: 'drawer height',
+  finger_notches: 'finger notches',
+};
+
+// Material under the pockets when checking a drawer's height (outline generator default)
+const FLOOR_MM = 3;
+
+class SettingsError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SettingsError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Check and clean settings from the dashboard or a parsed message. Only the
+ * fields given are returned; '' or null resets a number to the default.
+ * @param {object} fields - Any of FIELDS
+ * @returns {object} order fields
+ * @throws {SettingsError}
+ */
+function normalize(fields) {
+  const clean = {};
+  for (const field of FIELDS) {
+    const value = fields[field];
+    if (value === undefined) continue;
+
+    if (field === 'insert_type') {
+      const type = String(value || '').toLowerCase().trim();
+      if (type && !INSERT_TYPES[type]) throw new SettingsError(`Insert type must be one of: ${Object.keys(INSERT_TYPES).join(', ')}.`);
+      clean[field] = type;
+    } else if (field === 'finger_notches') {
+      clean[field] = value && value !== '0' && value !== 'false' ? 1 : 0;
+    } else if (value === '' || value === null) {
+      clean[field] = null;
+    } else {
+      const n = Number(value);
+      const [min, max] = LIMITS[field];
+      if (!Number.isFinite(n) || n < min || n > max) throw new SettingsError(`The ${LABELS[field]} must be between ${min} and ${max} mm.`);
+      clean[field] = Math.round(n * 10) / 10;
+    }
+  }
+  return clean;
+}
+
+/**
+ * Check the settings an order would end up with, taken together.
+ * @throws {SettingsError}
+ */
+function checkCombination(settings) {
+  const depth = settings.insert_depth_mm || 20;
+  if (settings.drawer_height_mm && depth + FLOOR_MM > settings.drawer_height_mm) {
+    throw new SettingsError(`A ${depth} mm deep pocket needs at least ${depth + FLOOR_MM} mm of drawer height, but the drawer is ${settings.drawer_height_mm} mm tall.`);
+  }
+  if (!settings.drawer_width_mm !== !settings.drawer_length_mm) {
+    throw new SettingsError('The drawer size needs both the width and the length.');
+  }
+}
+
+/**
+ * An order's settings in the shape pricing and the generators use; null
+ * where the order uses the default.
+ * @returns {{ type, depthMm, clearanceMm, fingerNotches, drawerWidthMm, drawerLengthMm, drawerHeightMm }}
+ */
+function fromOrder(order) {
+  return {
+    type: order.insert_type || 'shadow-box',
+    depthMm: order.insert_depth_mm ?? null,
+    clearanceMm: order.insert_clearance_mm ?? null,
+    fingerNotches: !!order.finger_notches,
+    drawerWidthMm: order.drawer_width_mm ?? null,
+    drawerLengthMm: order.drawer_length_mm ?? null,
+    drawerHeightMm: order.drawer_height_mm ?? null,
+  };
+}
+
+/**
+ * Options for generators.generate(): only what the order sets, so each
+ * backend's own defaults apply to the rest.
+ */
+function generatorOptions(order) {
+  const s = fromOrder(order);
+  const opts = { insertType: s.type, fingerNotches: s.fingerNotches };
+  for (const key of ['depthMm', 'clearanceMm', 'drawerWidthMm', 'drawerLengthMm', 'drawerHeightMm']) {
+    if (s[key] != null) opts[key] = s[key];
+  }
+  return opts;
+}
+
+/**
+ * One-line summary for quotes and status replies ('' when nothing is set).
+ */
+function describe(order) {
+  const s = fromOrder(order);
+  const parts = [];
+  if (order.insert_type) parts.push(INSERT_TYPES[s.type]);
+  if (s.depthMm != null) parts.push(`${s.depthMm} mm deep`);
+  if (s.clearanceMm != null) parts.push(`${s.clearanceMm} mm clearance`);
+  if (s.fingerNotches) parts.push('finger notches');
+  if (s.drawerWidthMm != null) {
+    parts.push(`fits a ${[s.drawerWidthMm, s.drawerLengthMm, s.drawerHeightMm].filter((v) => v != null).join(' × ')} mm drawer`);
+  }
+  return parts.join(' · ');
+}
+
+// --- Free-text parsing ---
+
+const UNIT_MM = { mm: 1, cm: 10, in: 25.4, inch: 25.4, inches: 25.4, '"': 25.4 };
+const NUM = '(\\d+(?:\\.\\d+)?)';
+const UNIT = '\\s*(mm|cm|inches|inch|in\\b|")?';
+
+function toMm(value, unit) {
+  return Math.round(Number(value) * (UNIT_MM[unit] || 1) * 10) / 10;
+}
+
+/**
+ * Pick insert settings out of a message: "40mm deep", "depth 3 cm",
+ * "gridfinity", "with finger notches", "clearance 2mm",
+ * "drawer is 400 x 500 x 60 mm". Values aren't range-checked here.
+ * @returns {object} order fields found (empty when none)
+ */
+function parseSettings(text) {
+  const lower = ` ${(text || '').toLowerCase().replace(/[’‘]/g, "'").replace(/×/g, 'x')} `;
+  const fields = {};
+
+  if (/\bgridfinity\b/.test(lower)) fields.insert_type = 'gridfinity';
+  else if (/\bshadow[\s-]?box\b/.test(lower)) fields.insert_type = 'shadow-box';
+
+  const depth = new RegExp(`${NUM}${UNIT}\\s*(?:deep|depth)\\b`).exec(lower)
+    || new RegExp(`\\b(?:depth|deep)\\s*(?:of|to|is|:|=)?\\s*${NUM}${UNIT}`).exec(lower);
+  if (depth) fields.insert_depth_mm = toMm(depth[1], depth[2]);
+
+  const clearance = new RegExp(`\\b(?:clearance|tolerance|gap)\\s*(?:of|to|is|:|=)?\\s*${NUM}${UNIT}`).exec(lower)
+    || new RegExp(`${NUM}${UNIT}\\s*(?:of\\s+)?(?:clearance|tolerance)\\b`).exec(lower);
+  if (clearance) fields.insert_clearance_mm = toMm(clearance[1], clearance[2]);
+
+  const notch = /\b(no|without|remove|drop|skip)?\s*(?:the\s+)?finger\s*(?:notch(?:es)?|holes?|cut-?outs?|slots?|grips?)\b/.exec(lower);
+  if (notch) fields.finger_notches = notch[1] ? 0 : 1;
+
+  const drawer = new RegExp(`\\bdrawer\\b[^0-9]{0,20}${NUM}${UNIT}\\s*(?:x|by)\\s*${NUM}${UNIT}(?:\\s*(?:x|by)\\s*${NUM}${UNIT})?`).exec(lower);
+  if (drawer) {
+    // A unit given only at the end applies to every dimension ("40 x 50 cm")
+    const unit = drawer[6] || drawer[4] || drawer[2];
+    fields.drawer_width_mm = toMm(drawer[1], drawer[2] || unit);
+    fields.drawer_length_mm = toMm(drawer[3], drawer[4] || unit);
+    if (drawer[5]) fields.drawer_height_mm = toMm(drawer[5], drawer[6] || unit);
+  }
+  return fields;
+}
+
+module.exports = {
+  INSERT_TYPES, FIELDS, LIMITS, LABELS, SettingsError,
+  normalize, checkCombination, fromOrder, generatorOptions, describe, parseSettings,
+};
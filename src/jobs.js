@@ -0,0 +1,181 @@
+/**
+ * Durable job queue (SQLite-backed) + worker loop
+ * Jobs survive restarts: a job left `running` is re-queued on startup and
+ * resumes after its last completed step.
+ *
+ * States: queued → running → done | failed
+ * A failed step goes back to `queued` with exponential backoff until
+ * max_attempts is reached, then the job (and its order) is marked failed.
+ */
+
+const db = require('./db');
+const pipeline = require('./pipeline');
+const orderStatus = require('./orderStatus');
+const events = require('./events');
+
+const POLL_MS = Number(process.env.JOB_POLL_MS) || 2000;
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const BACKOFF_BASE_MS = Number(process.env.JOB_BACKOFF_MS) || 30000;
+
+// Job types → ordered steps { name, label, run(orderId, report) }
+const JOB_TYPES = {
+  pipeline: pipeline.STEPS,
+};
+
+let timer = null;
+let busy = false;
+
+/**
+ * Queue a job for an order. Returns the existing job if one is already queued or running.
+ * @param {string} type    - Key of JOB_TYPES (e.g. 'pipeline')
+ * @param {string} orderId
+ * @returns {object} job row
+ */
+function enqueue(type, orderId) {
+  if (!JOB_TYPES[type]) throw new Error(`Unknown job type: ${type}`);
+  const existing = db.getActiveJob(type, orderId);
+  if (existing) return existing;
+
+  const job = db.createJob(type, orderId, MAX_ATTEMPTS);
+  console.log(`[JOBS] Queued ${type} job #${job.id} for ${orderId}`);
+  events.publish('job', describe(job));
+  return job;
+}
+
+/**
+ * Dashboard-friendly view of a job row.
+ */
+function describe(job) {
+  if (!job) return null;
+  const steps = JOB_TYPES[job.type] || [];
+  const completed = JSON.parse(job.completed_steps || '[]');
+  const current = steps.find((s) => s.name === job.current_step);
+  return {
+    id: job.id,
+    type: job.type,
+    orderId: job.order_id,
+    state: job.state,
+    step: job.current_step,
+    stepLabel: current ? current.label : '',
+    stepIndex: current ? steps.indexOf(current) + 1 : completed.length,
+    stepCount: steps.length,
+    completedSteps: completed,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    runAt: job.run_at,
+    progress: job.progress,
+    error: job.last_error || null,
+    result: job.result ? JSON.parse(job.result) : null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+  };
+}
+
+// Save job fields and push the job's new state to live dashboards
+function update(jobId, fields) {
+  db.updateJob(jobId, fields);
+  events.publish('job', describe(db.getJob(jobId)));
+}
+
+function sqlTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Run the remaining steps of a claimed job.
+ */
+async function runJob(job) {
+  const steps = JOB_TYPES[job.type];
+  const completed = JSON.parse(job.completed_steps || '[]');
+  let result = job.result ? JSON.parse(job.result) : null;
+
+  for (const step of steps) {
+    if (completed.includes(step.name)) continue;
+
+    update(job.id, { current_step: step.name, progress: step.label });
+    events.publish('pipeline', { orderId: job.order_id, message: step.label });
+    const report = (msg) => {
+      update(job.id, { progress: msg });
+      events.publish('pipeline', { orderId: job.order_id, message: msg });
+    };
+    console.log(`[JOBS] #${job.id} ${job.order_id}: ${step.name} (attempt ${job.attempts + 1}/${job.max_attempts})`);
+
+    try {
+      result = await step.run(job.order_id, report);
+    } catch (err) {
+      const attempts = job.attempts + 1;
+      if (attempts >= job.max_attempts) {
+        console.error(`[JOBS] #${job.id} failed at ${step.name} after ${attempts} attempts:`, err.message);
+        update(job.id, { state: 'failed', attempts, last_error: err.message, progress: `Failed: ${step.label}` });
+        try {
+          orderStatus.transition(job.order_id, 'error', { actor: 'jobs', reason: `${step.name}: ${err.message}` });
+        } catch (_) { /* shipped/cancelled orders stay put */ }
+        return;
+      }
+      const delay = BACKOFF_BASE_MS * 2 ** (attempts - 1);
+      console.warn(`[JOBS] #${job.id} ${step.name} failed (${err.message}) — retrying in ${Math.round(delay / 1000)}s`);
+      update(job.id, {
+        state: 'queued',
+        attempts,
+        last_error: err.message,
+        run_at: sqlTime(Date.now() + delay),
+        progress: `Retrying ${step.label} (attempt ${attempts + 1}/${job.max_attempts})`,
+      });
+      return;
+    }
+
+    completed.push(step.name);
+    job.attempts = 0;
+    update(job.id, {
+      completed_steps: JSON.stringify(completed),
+      attempts: 0,
+      last_error: '',
+      result: JSON.stringify(result ?? null),
+    });
+  }
+
+  update(job.id, { state: 'done', current_step: '', progress: 'Done' });
+  console.log(`[JOBS] #${job.id} ${job.order_id} done`);
+}
+
+/**
+ * Claim and run due jobs one at a time until the queue is empty.
+ */
+async function tick() {
+  if (busy) return;
+  busy = true;
+  try {
+    let job;
+    while ((job = db.claimNextJob())) {
+      events.publish('job', describe(job));
+      try {
+        await runJob(job);
+      } catch (err) {
+        console.error(`[JOBS] #${job.id} crashed:`, err);
+        update(job.id, { state: 'failed', last_error: err.message });
+      }
+    }
+  } finally {
+    busy = false;
+  }
+}
+
+/**
+ * Start the worker loop. Jobs interrupted by a restart are re-queued first.
+ */
+function start() {
+  if (timer) return;
+  const resumed = db.requeueRunningJobs();
+  if (resumed) console.log(`[JOBS] Re-queued ${resumed} interrupted job(s)`);
+  timer = setInterval(() => {
+    tick().catch((err) => console.error('[JOBS] Worker error:', err));
+  }, POLL_MS);
+  console.log(`[JOBS] Worker started (poll every ${POLL_MS}ms)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { enqueue, describe, start, stop, tick };
@@ -1,52 +1,211 @@
 const axios = require('axios');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const FormData = require('form-data');
+const { detectFormat } = require('./photoCheck');
 
 const PAGE_ACCESS_TOKEN = process.env.PAGE_ACCESS_TOKEN;
-const GRAPH_URL = 'https://graph.facebook.com/v19.0/me/messages';
+const GRAPH_BASE = 'https://graph.facebook.com/v19.0';
+const GRAPH_URL = `${GRAPH_BASE}/me/messages`;
+
+// Sent as message metadata and returned on the echo, so the webhook can tell
+// our own sends apart from replies typed in the Page inbox
+const ECHO_METADATA = 'formfit';
+
+// Larger than any phone photo Messenger passes on
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+// The customer's reply waits on the profile lookup, so give up on it quickly
+const PROFILE_TIMEOUT_MS = 3000;
 
 /**
  * Send a text message to a PSID via Facebook Messenger.
+ * With MESSENGER_DRY_RUN=1 the message is only logged (used by the replay harness).
+ * @param {string} psid
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {string} [opts.tag] - Message tag (e.g. 'POST_PURCHASE_UPDATE') for sends
+ *                              outside the 24-hour messaging window
+ * @returns {Promise<boolean>} true if the message was accepted
+ */
+async function sendText(psid, text, opts = {}) {
+  return await send(psid, { text }, opts, text);
+}
+
+/**
+ * Send a text message with quick-reply buttons. Tapping one sends its title
+ * back as text with `quick_reply.payload` set.
+ * @param {string} psid
+ * @param {string} text
+ * @param {Array<{ title: string, payload: string }>} replies - Up to 13; titles are cut to 20 chars
+ * @param {object} [opts] - Same as sendText
+ * @returns {Promise<boolean>}
+ */
+async function sendQuickReplies(psid, text, replies, opts = {}) {
+  const message = {
+    text,
+    quick_replies: replies.slice(0, 13).map((r) => ({
+      content_type: 'text',
+      title: r.title.slice(0, 20),
+      payload: r.payload,
+    })),
+  };
+  const choices = replies.map((r) => r.title).join(' | ');
+  return await send(psid, message, opts, `${text} [${choices}]`);
+}
+
+/**
+ * Send a button template: text with up to 3 buttons. A button with `url`
+ * opens a link; one with `payload` sends a postback.
+ * @param {string} psid
+ * @param {string} text - Up to 640 characters
+ * @param {Array<{ title: string, payload?: string, url?: string }>} buttons
+ * @param {object} [opts] - Same as sendText
+ * @returns {Promise<boolean>}
  */
-async function sendText(psid, text) {
+async function sendButtons(psid, text, buttons, opts = {}) {
+  const message = {
+    attachment: {
+      type: 'template',
+      payload: {
+        template_type: 'button',
+        text: text.slice(0, 640),
+        buttons: buttons.slice(0, 3).map((b) => (b.url
+          ? { type: 'web_url', url: b.url, title: b.title.slice(0, 20) }
+          : { type: 'postback', payload: b.payload, title: b.title.slice(0, 20) })),
+      },
+    },
+  };
+  const choices = buttons.map((b) => b.title).join(' | ');
+  return await send(psid, message, opts, `${text} [${choices}]`);
+}
+
+/**
+ * Send a receipt template.
+ * @param {string} psid
+ * @param {object} receipt - Receipt template fields: recipient_name, order_number,
+ *                           currency, payment_method, elements, address, summary, ...
+ * @param {object} [opts] - Same as sendText
+ * @returns {Promise<boolean>}
+ */
+async function sendReceipt(psid, receipt, opts = {}) {
+  const message = {
+    attachment: {
+      type: 'template',
+      payload: { template_type: 'receipt', ...receipt },
+    },
+  };
+  return await send(psid, message, opts, `[receipt ${receipt.order_number}] total ${receipt.summary.total_cost} ${receipt.currency}`);
+}
+
+/**
+ * Send an image file as an attachment, uploaded with the message.
+ * @param {string} psid
+ * @param {string} filePath
+ * @param {object} [opts] - Same as sendText
+ * @returns {Promise<boolean>}
+ */
+async function sendImage(psid, filePath, opts = {}) {
+  const logText = `[image ${path.basename(filePath)}]`;
+  if (process.env.MESSENGER_DRY_RUN === '1') {
+    console.log(`[MSG OUT DRY RUN] → ${psid}${opts.tag ? ` [${opts.tag}]` : ''}: ${logText}`);
+    return true;
+  }
+  const form = new FormData();
+  form.append('recipient', JSON.stringify({ id: psid }));
+  form.append('message', JSON.stringify({
+    attachment: { type: 'image', payload: { is_reusable: false } },
+    metadata: ECHO_METADATA,
+  }));
+  if (opts.tag) {
+    form.append('messaging_type', 'MESSAGE_TAG');
+    form.append('tag', opts.tag);
+  }
+  form.append('filedata', fs.createReadStream(filePath));
   try {
-    await axios.post(GRAPH_URL, {
-      recipient: { id: psid },
-      message: { text }
-    }, {
+    await axios.post(GRAPH_URL, form, {
+      params: { access_token: PAGE_ACCESS_TOKEN },
+      headers: form.getHeaders(),
+    });
+    console.log(`[MSG OUT] → ${psid}: ${logText}`);
+    return true;
+  } catch (err) {
+    console.error('[MSG OUT ERROR]', err.response?.data || err.message);
+    return false;
+  }
+}
+
+async function send(psid, message, opts, logText) {
+  if (process.env.MESSENGER_DRY_RUN === '1') {
+    console.log(`[MSG OUT DRY RUN] → ${psid}${opts.tag ? ` [${opts.tag}]` : ''}: ${logText.slice(0, 80)}...`);
+    return true;
+  }
+  const body = {
+    recipient: { id: psid },
+    message: { ...message, metadata: ECHO_METADATA }
+  };
+  if (opts.tag) {
+    body.messaging_type = 'MESSAGE_TAG';
+    body.tag = opts.tag;
+  }
+  try {
+    await axios.post(GRAPH_URL, body, {
       params: { access_token: PAGE_ACCESS_TOKEN }
     });
-    console.log(`[MSG OUT] → ${psid}: ${text.slice(0, 80)}...`);
+    console.log(`[MSG OUT] → ${psid}: ${logText.slice(0, 80)}...`);
+    return true;
   } catch (err) {
     console.error('[MSG OUT ERROR]', err.response?.data || err.message);
+    return false;
   }
 }
 
 /**
- * Download an image attachment and save to uploads/.
- * Returns the local file path.
+ * Download an image attachment to a temporary file, named for the file type
+ * its contents show (.bin when unknown). The caller stores or deletes it.
+ * Returns the file's path, or '' when the download failed or was empty.
  */
 async function downloadAttachment(url, psid) {
   try {
-    const resp = await axios.get(url, { responseType: 'stream' });
-    const ext = '.jpg';
-    const filename = `${psid}_${Date.now()}${ext}`;
-    const filePath = path.join(__dirname, '..', 'uploads', filename);
-
-    const writer = fs.createWriteStream(filePath);
-    resp.data.pipe(writer);
+    const resp = await axios.get(url, { responseType: 'arraybuffer', maxContentLength: MAX_ATTACHMENT_BYTES });
+    const data = Buffer.from(resp.data);
+    if (data.length === 0) throw new Error('Empty attachment');
+    const format = detectFormat(data);
+    const filePath = path.join(os.tmpdir(), `formfit-${psid}_${Date.now()}${format ? format.ext : '.bin'}`);
+    fs.writeFileSync(filePath, data);
 
-    await new Promise((resolve, reject) => {
-      writer.on('finish', resolve);
-      writer.on('error', reject);
-    });
-
-    console.log(`[DOWNLOAD] Saved attachment to ${filePath}`);
-    return `uploads/${filename}`;
+    console.log(`[DOWNLOAD] Saved ${format ? format.name : 'unknown'} attachment to ${filePath}`);
+    return filePath;
   } catch (err) {
     console.error('[DOWNLOAD ERROR]', err.message);
     return '';
   }
 }
 
-module.exports = { sendText, downloadAttachment };
+/**
+ * Fetch a user's public profile (name and picture) from the Graph API.
+ * Returns null in dry-run mode or when the lookup fails or takes longer
+ * than PROFILE_TIMEOUT_MS.
+ * @param {string} psid
+ * @returns {Promise<{ firstName: string, lastName: string, profilePic: string }|null>}
+ */
+async function getUserProfile(psid) {
+  if (process.env.MESSENGER_DRY_RUN === '1') return null;
+  try {
+    const resp = await axios.get(`${GRAPH_BASE}/${encodeURIComponent(psid)}`, {
+      params: { fields: 'first_name,last_name,profile_pic', access_token: PAGE_ACCESS_TOKEN },
+      timeout: PROFILE_TIMEOUT_MS,
+    });
+    return {
+      firstName: resp.data.first_name || '',
+      lastName: resp.data.last_name || '',
+      profilePic: resp.data.profile_pic || '',
+    };
+  } catch (err) {
+    console.error('[PROFILE ERROR]', err.response?.data || err.message);
+    return null;
+  }
+}
+
+module.exports = { ECHO_METADATA, sendText, sendQuickReplies, sendButtons, sendImage, sendReceipt, downloadAttachment, getUserProfile };
@@ -0,0 +1,116 @@
+/**
+ * Customer notifications on order status changes
+ * Templated Messenger messages for printing started / shipped / cancelled.
+ * Templates live in `notification_templates` (editable from the dashboard)
+ * and fall back to the defaults below.
+ *
+ * Messenger only allows free-form messages within 24 hours of the customer's
+ * last message. Outside that window we either send with a message tag
+ * (NOTIFY_OUTSIDE_WINDOW=tag, the default) or skip the send (=skip).
+ */
+
+const db = require('./db');
+const { sendText } = require('./messenger');
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+const MESSAGE_TAG = 'POST_PURCHASE_UPDATE';
+
+// Template key → the status that triggers it
+const TEMPLATES = {
+  printing_started: {
+    status: 'in-progress',
+    label: 'Printing started',
+    body: "Good news! 🖨️ Your FormFit order {{orderId}} is now being printed. We'll message you again when it ships.",
+  },
+  shipped: {
+    status: 'shipped',
+    label: 'Shipped',
+    body: '📦 Your FormFit order {{orderId}} has shipped! Tracking number: {{trackingNumber}}',
+  },
+  cancelled: {
+    status: 'cancelled',
+    label: 'Cancelled',
+    body: 'Your FormFit order {{orderId}} has been cancelled. Reason: {{reason}}\nQuestions? Just reply here.',
+  },
+};
+
+const PLACEHOLDERS = ['orderId', 'name', 'trackingNumber', 'reason', 'total'];
+
+/**
+ * All templates with their current (possibly edited) bodies.
+ */
+function getTemplates() {
+  const saved = {};
+  for (const row of db.getNotificationTemplates()) saved[row.key] = row;
+
+  return Object.entries(TEMPLATES).map(([key, t]) => ({
+    key,
+    status: t.status,
+    label: t.label,
+    body: saved[key] ? saved[key].body : t.body,
+    defaultBody: t.body,
+    updatedBy: saved[key] ? saved[key].updated_by : '',
+    updatedAt: saved[key] ? saved[key].updated_at : null,
+  }));
+}
+
+function saveTemplate(key, body, updatedBy) {
+  if (!TEMPLATES[key]) throw new Error(`Unknown template: ${key}`);
+  if (typeof body !== 'string' || !body.trim()) throw new Error('Template body is required');
+  if (body.length > 2000) throw new Error('Template is too long (Messenger limit is 2000 characters)');
+  db.saveNotificationTemplate(key, body.trim(), updatedBy);
+}
+
+function render(body, vars) {
+  return body.replace(/{{\s*(\w+)\s*}}/g, (_, name) => (vars[name] != null ? String(vars[name]) : ''));
+}
+
+function withinWindow(psid) {
+  const last = db.getLastInboundAt(psid);
+  if (!last) return false;
+  return Date.now() - new Date(last.replace(' ', 'T') + 'Z').getTime() < WINDOW_MS;
+}
+
+/**
+ * Notify the customer about a status change, if a template exists for it.
+ * @param {string} orderId
+ * @param {string} status - The new status
+ * @param {object} [opts]
+ * @param {string} [opts.reason]
+ * @returns {Promise<{ sent: boolean, skipped?: string }>}
+ */
+async function notifyStatusChange(orderId, status, { reason = '' } = {}) {
+  const entry = Object.entries(TEMPLATES).find(([, t]) => t.status === status);
+  if (!entry) return { sent: false, skipped: 'no template' };
+  const [key] = entry;
+
+  const order = db.getOrder(orderId);
+  if (!order) return { sent: false, skipped: 'order not found' };
+
+  const template = getTemplates().find((t) => t.key === key);
+  const text = render(template.body, {
+    orderId,
+    name: order.name || '',
+    trackingNumber: order.tracking_number || order.tracking_url || "we'll send it shortly",
+    reason: reason || 'not specified',
+    total: `$${(order.total || 0).toFixed(2)}`,
+  });
+
+  let tag = null;
+  if (!withinWindow(order.psid)) {
+    if ((process.env.NOTIFY_OUTSIDE_WINDOW || 'tag') === 'skip') {
+      console.log(`[NOTIFY] Skipped ${key} for ${orderId} — outside the 24h messaging window`);
+      return { sent: false, skipped: 'outside 24h window' };
+    }
+    tag = MESSAGE_TAG;
+  }
+
+  const sent = await sendText(order.psid, text, tag ? { tag } : {});
+  if (!sent) return { sent: false, skipped: 'send failed' };
+
+  db.saveMessage(order.psid, 'out', text);
+  console.log(`[NOTIFY] Sent ${key} for ${orderId}${tag ? ` (tag ${tag})` : ''}`);
+  return { sent: true };
+}
+
+module.exports = { TEMPLATES, PLACEHOLDERS, MESSAGE_TAG, getTemplates, saveTemplate, render, withinWindow, notifyStatusChange };
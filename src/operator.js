@@ -0,0 +1,70 @@
+/**
+ * Operator live chat and human handoff
+ * Someone on the team can reply to a customer from the dashboard, or from
+ * the Facebook Page inbox (those replies reach us as message echoes). Either
+ * way the customer is put in human mode: handleIncoming records their
+ * messages but the bot stops answering until human mode is turned off.
+ *
+ * Outside the 24-hour messaging window dashboard replies go out with the
+ * HUMAN_AGENT tag, which Messenger accepts for up to 7 days.
+ */
+
+const db = require('./db');
+const { sendText } = require('./messenger');
+const { withinWindow } = require('./notifications');
+
+const HUMAN_AGENT_TAG = 'HUMAN_AGENT';
+
+class ChatError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ChatError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Turn human mode on or off for a customer.
+ * @param {string} psid
+ * @param {boolean} on
+ * @param {string} actor - 'user:<name>', 'page inbox', ...
+ * @returns {boolean} true if the flag changed
+ */
+function setHumanMode(psid, on, actor) {
+  const customer = db.getCustomer(psid);
+  if (customer && !!customer.human_mode === on) return false;
+  db.setHumanMode(psid, on);
+  console.log(`[HANDOFF] ${psid}: human mode ${on ? 'on' : 'off'} by ${actor}`);
+  return true;
+}
+
+/**
+ * Send a message to the customer as an operator and pause the bot.
+ * @param {string} psid
+ * @param {string} text
+ * @param {string} username - Dashboard user sending it
+ * @throws {ChatError} when the text is empty or too long, or Messenger refuses it
+ */
+async function sendOperatorMessage(psid, text, username) {
+  const body = typeof text === 'string' ? text.trim() : '';
+  if (!body) throw new ChatError('Message is empty');
+  if (body.length > 2000) throw new ChatError('Message is too long (Messenger limit is 2000 characters)');
+
+  const opts = withinWindow(psid) ? {} : { tag: HUMAN_AGENT_TAG };
+  const sent = await sendText(psid, body, opts);
+  if (!sent) throw new ChatError('Messenger did not accept the message', 502);
+
+  db.saveMessage(psid, 'out', body, `operator:${username}`);
+  setHumanMode(psid, true, `user:${username}`);
+  console.log(`[OPERATOR] ${username} → ${psid}${opts.tag ? ` (tag ${opts.tag})` : ''}: ${body.slice(0, 80)}`);
+}
+
+/**
+ * Record a reply someone sent from the Page inbox (an echo without our metadata).
+ */
+function recordInboxReply(psid, text) {
+  db.saveMessage(psid, 'out', text, 'operator');
+  setHumanMode(psid, true, 'page inbox');
+}
+
+module.exports = { HUMAN_AGENT_TAG, ChatError, setHumanMode, sendOperatorMessage, recordInboxReply };
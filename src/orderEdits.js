@@ -0,0 +1,154 @@
+/**
+ * Customer order edits and cancellation
+ * Material, color, size and the insert settings (insertSettings.js) can
+ * change while an order is new or confirmed (paid, but not yet in production
+ * or placed with Craftcloud). The order is re-priced after an edit; a paid
+ * order that now costs more gets a balance to collect, and one that costs
+ * less a refund due (refunds.js). Changing the insert
+ * settings also drops an STL already generated for the old ones, and waits
+ * while a pipeline job is building one. CANCEL works in the same window.
+ *
+ * Drafts can also take more photos (more drawers, more inserts).
+ *
+ * Every edited field — and the total, when it moves — is recorded in
+ * `order_changes`.
+ */
+
+const db = require('./db');
+const orderStatus = require('./orderStatus');
+const requote = require('./requote');
+const refunds = require('./refunds');
+const insertSettings = require('./insertSettings');
+
+const EDITABLE_STATUSES = ['new', 'confirmed'];
+const EDITABLE_FIELDS = ['material', 'color', 'size', ...insertSettings.FIELDS];
+
+class EditError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'EditError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Why an order can't be edited or cancelled right now.
+ * @returns {string|null} null when it can
+ */
+function blockedReason(order) {
+  if (order.status === 'in-progress') return "it's already being made";
+  if (order.status === 'shipped') return 'it has already shipped';
+  if (order.status === 'cancelled') return "it's already cancelled";
+  if (!EDITABLE_STATUSES.includes(order.status)) return "it's being looked at by our team";
+  if (order.craftcloud_order_id) return "it's already been sent to our print partner";
+  if (order.requote_status === 'pending') return 'a revised quote is waiting for your answer';
+  return null;
+}
+
+function canEdit(order) {
+  return blockedReason(order) === null;
+}
+
+/**
+ * Change an order's details and re-price it.
+ * @param {string} orderId
+ * @param {object} fields - Any of EDITABLE_FIELDS
+ * @param {string} actor  - 'customer', 'user:<name>', ...
+ * @returns {{ order, changes: Array<{ field, from, to }>, previousTotal, balanceDue, refund }}
+ * @throws {EditError} when the order is missing, can no longer change, or an
+ *   insert setting is out of range (400)
+ */
+function editOrder(orderId, fields, actor) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new EditError(`Order ${orderId} not found`, 404);
+  const reason = blockedReason(order);
+  if (reason) throw new EditError(`Order ${orderId} can't be changed — ${reason}.`);
+
+  let values;
+  try {
+    values = { ...fields, ...insertSettings.normalize(fields) };
+    insertSettings.checkCombination({ ...order, ...values });
+  } catch (err) {
+    if (!(err instanceof insertSettings.SettingsError)) throw err;
+    throw new EditError(err.message, 400);
+  }
+
+  const changes = EDITABLE_FIELDS
+    .filter((field) => values[field] !== undefined && values[field] !== order[field])
+    .map((field) => ({ field, from: order[field], to: values[field] }));
+  if (changes.length === 0) {
+    return { order, changes, previousTotal: order.total, balanceDue: 0, refund: 0 };
+  }
+
+  // A running pipeline job would save an STL built from the old settings
+  if (changes.some((c) => insertSettings.FIELDS.includes(c.field)) && db.getActiveJob('pipeline', orderId)) {
+    throw new EditError(`Order ${orderId}'s insert is being built right now — try that change again in a few minutes.`);
+  }
+
+  const updates = {};
+  for (const c of changes) updates[c.field] = c.to;
+  db.updateOrder(orderId, updates);
+  if (order.stl_path && changes.some((c) => insertSettings.FIELDS.includes(c.field))) {
+    db.clearOrderStl(orderId);
+    console.log(`[EDIT] ${orderId}: insert settings changed — STL will be generated again`);
+  }
+  return reprice(order, changes, actor);
+}
+
+/**
+ * Attach another photo — another drawer, priced as another insert — to an
+ * order that hasn't been paid for yet.
+ * @returns {{ order, changes, previousTotal, balanceDue, refund }}
+ * @throws {EditError}
+ */
+function addPhoto(orderId, photoPath, actor) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new EditError(`Order ${orderId} not found`, 404);
+  const reason = blockedReason(order) || (order.amount_paid > 0 ? "it's already paid for" : null);
+  if (reason) throw new EditError(`Photos can't be added to order ${orderId} — ${reason}.`);
+
+  const count = db.addOrderPhoto(orderId, photoPath);
+  return reprice(order, [{ field: 'photo_count', from: count - 1, to: count }], actor);
+}
+
+// Re-price after an edit and record the changes (plus the total, if it moved)
+function reprice(order, changes, actor) {
+  const orderId = order.order_id;
+  // Orders that haven't been quoted yet have nothing to re-price
+  let balanceDue = 0;
+  let refund = 0;
+  if (order.total > 0) {
+    const edited = db.getOrder(orderId);
+    const quote = requote.priceOrder(edited);
+    if (quote.total !== order.total) {
+      const repriced = requote.repriceFields(edited, quote);
+      db.updateOrder(orderId, repriced.fields);
+      balanceDue = repriced.balanceDue;
+      refund = refunds.markDue(orderId, `re-priced $${order.total.toFixed(2)} → $${quote.total.toFixed(2)} after an edit`);
+      changes.push({ field: 'total', from: order.total, to: quote.total });
+    }
+  }
+
+  db.recordOrderChanges(orderId, changes, actor);
+  console.log(`[EDIT] ${orderId} by ${actor}: ${changes.map((c) => `${c.field} ${c.from || '—'} → ${c.to}`).join(', ')}`);
+  return { order: db.getOrder(orderId), changes, previousTotal: order.total, balanceDue, refund };
+}
+
+/**
+ * Cancel an order on the customer's request.
+ * @returns {{ refund: number }} amount already paid, now due back
+ * @throws {EditError}
+ */
+function cancelOrder(orderId, actor) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new EditError(`Order ${orderId} not found`, 404);
+  // A pending revised quote blocks edits, not cancelling — that's one of its answers
+  const reason = blockedReason({ ...order, requote_status: '' });
+  if (reason) throw new EditError(`Order ${orderId} can't be cancelled — ${reason}.`);
+
+  if (order.requote_status === 'pending') db.updateOrder(orderId, { requote_status: 'declined' });
+  orderStatus.transition(orderId, 'cancelled', { actor, reason: 'Cancelled by customer' });
+  return { refund: refunds.markDue(orderId, 'cancelled by the customer') };
+}
+
+module.exports = { EDITABLE_STATUSES, EDITABLE_FIELDS, EditError, blockedReason, canEdit, editOrder, addPhoto, cancelOrder };
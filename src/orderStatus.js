@@ -0,0 +1,81 @@
+/**
+ * Order status lifecycle
+ * Every status change goes through transition(), which enforces the allowed
+ * transitions below and records who changed what in `order_events`.
+ *
+ *   new ──→ confirmed ──→ in-progress ──→ shipped
+ *    │          │              │
+ *    └──────────┴──────────────┴──→ cancelled
+ *   (any open status) ──→ error ──→ back to new / confirmed / in-progress
+ */
+
+const db = require('./db');
+const notifications = require('./notifications');
+
+const STATUSES = ['new', 'confirmed', 'in-progress', 'shipped', 'cancelled', 'error'];
+
+const TRANSITIONS = {
+  // Production starts only once an order is confirmed (paid) — see payments/
+  'new':         ['confirmed', 'cancelled', 'error'],
+  'confirmed':   ['in-progress', 'cancelled', 'error'],
+  'in-progress': ['shipped', 'cancelled', 'error'],
+  'error':       ['new', 'confirmed', 'in-progress', 'cancelled'],
+  'shipped':     [],
+  'cancelled':   [],
+};
+
+class TransitionError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'TransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function nextStatuses(from) {
+  return TRANSITIONS[from] || [];
+}
+
+/**
+ * Move an order to a new status and record the change.
+ * Setting the status an order already has is a no-op.
+ * @param {string} orderId
+ * @param {string} to
+ * @param {object} opts
+ * @param {string} opts.actor  - Who made the change: 'customer', 'pipeline', 'user:<name>', ...
+ * @param {string} [opts.reason]
+ * @param {boolean} [opts.notify] - Message the customer about the change (default: unless
+ *                                  the customer made it themselves)
+ * @returns {{ from, to, changed }}
+ * @throws {TransitionError} when the order is missing or the transition isn't allowed
+ */
+function transition(orderId, to, { actor, reason = '', notify = actor !== 'customer' } = {}) {
+  if (!STATUSES.includes(to)) throw new TransitionError(`Invalid status: ${to}`, 400);
+
+  const order = db.getOrder(orderId);
+  if (!order) throw new TransitionError(`Order ${orderId} not found`, 404);
+
+  const from = order.status;
+  if (from === to) return { from, to, changed: false };
+  if (!canTransition(from, to)) {
+    throw new TransitionError(`Cannot move ${orderId} from ${from} to ${to}`);
+  }
+
+  if (!db.changeOrderStatus(orderId, from, to, actor || 'system', reason)) {
+    // Someone else changed it between our read and write
+    throw new TransitionError(`${orderId} changed while updating — please retry`);
+  }
+  console.log(`[STATUS] ${orderId}: ${from} → ${to} by ${actor || 'system'}${reason ? ` (${reason})` : ''}`);
+
+  if (notify) {
+    notifications.notifyStatusChange(orderId, to, { reason })
+      .catch((err) => console.error(`[STATUS] Notification failed for ${orderId}:`, err.message));
+  }
+  return { from, to, changed: true };
+}
+
+module.exports = { STATUSES, TRANSITIONS, TransitionError, canTransition, nextStatuses, transition };
@@ -0,0 +1,44 @@
+/**
+ * Fake payment provider — no network, no real money.
+ * Checkout links point at a local page (/payments/fake/:sessionId) with
+ * Pay / Fail buttons, so the whole flow can be exercised in development and tests.
+ */
+
+const crypto = require('crypto');
+
+const name = 'fake';
+
+/**
+ * Create a checkout session.
+ * @param {object} opts
+ * @param {string} opts.orderId
+ * @param {number} opts.amount      - Amount in cents
+ * @param {string} opts.currency
+ * @param {string} opts.description
+ * @param {string} opts.baseUrl     - Public URL of this server
+ * @returns {{ sessionId, url }}
+ */
+async function createCheckout({ baseUrl }) {
+  const sessionId = `fake_cs_${crypto.randomBytes(8).toString('hex')}`;
+  return {
+    sessionId,
+    url: `${baseUrl}/payments/fake/${sessionId}`,
+  };
+}
+
+/**
+ * Parse a webhook request into a normalized payment event.
+ * Body: { type: 'payment.succeeded' | 'payment.failed', sessionId, amount }
+ * @returns {{ type, sessionId, amount }}
+ */
+function parseWebhook(req) {
+  const body = req.body || {};
+  if (!body.sessionId) throw new Error('Missing sessionId');
+  return {
+    type: body.type,
+    sessionId: body.sessionId,
+    amount: body.amount != null ? Number(body.amount) : null,
+  };
+}
+
+module.exports = { name, createCheckout, parseWebhook };
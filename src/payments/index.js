@@ -0,0 +1,283 @@
+/**
+ * Payment subsystem
+ * Pluggable providers implement:
+ *   name
+ *   createCheckout({ orderId, amount, currency, description, baseUrl }) → { sessionId, url }
+ *   parseWebhook(req) → { type: 'payment.succeeded' | 'payment.failed' | 'ignored', sessionId, amount }
+ *   expireCheckout(sessionId) (optional) — so the link can't be paid any more
+ * Select one with PAYMENT_PROVIDER — required, the server won't start without it.
+ * The fake provider accepts unauthenticated payments, so it only exists
+ * outside production (NODE_ENV !== 'production').
+ */
+
+const db = require('../db');
+const { sendText, sendReceipt } = require('../messenger');
+const orderStatus = require('../orderStatus');
+const preview = require('../preview');
+const refunds = require('../refunds');
+const events = require('../events');
+
+const FAKE_ENABLED = process.env.NODE_ENV !== 'production';
+
+const providers = {
+  stripe: require('./stripe'),
+};
+if (FAKE_ENABLED) providers.fake = require('./fake');
+
+const CURRENCY = 'USD';
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function getProvider(name) {
+  const key = (name || process.env.PAYMENT_PROVIDER || '').toLowerCase();
+  if (!key) throw new Error('PAYMENT_PROVIDER not set');
+  const provider = providers[key];
+  if (!provider) {
+    throw new Error(key === 'fake' ? 'The fake payment provider is disabled in production' : `Unknown payment provider: ${key}`);
+  }
+  return provider;
+}
+
+function getBaseUrl() {
+  return (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+}
+
+/**
+ * What's still owed on an order: its total, less anything already paid.
+ * @param {object} order
+ * @returns {number} dollars
+ */
+function amountDue(order) {
+  return round((order.total || 0) - (order.amount_paid || 0));
+}
+
+/**
+ * Create a checkout session for what's still owed on an order (its total,
+ * or the balance after a re-quote) and store it on the order.
+ * @param {string} orderId
+ * @returns {{ sessionId, url }}
+ */
+async function startCheckout(orderId) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  if (order.payment_status === 'paid') throw new Error(`Order ${orderId} is already paid`);
+  const due = amountDue(order);
+  if (!(due > 0)) throw new Error(`Order ${orderId} has no total to charge`);
+
+  const provider = getProvider();
+  const session = await provider.createCheckout({
+    orderId,
+    amount: Math.round(due * 100),
+    currency: CURRENCY,
+    description: order.amount_paid > 0 ? `FormFit Custom order ${orderId} (balance)` : `FormFit Custom order ${orderId}`,
+    baseUrl: getBaseUrl(),
+  });
+
+  db.updateOrder(orderId, {
+    payment_status: 'pending',
+    payment_provider: provider.name,
+    payment_session_id: session.sessionId,
+    payment_url: session.url,
+  });
+  console.log(`[PAYMENTS] Checkout ${session.sessionId} (${provider.name}) created for ${orderId}`);
+  return session;
+}
+
+/**
+ * Stop an order's open checkout link from being paid (the order was
+ * cancelled). If the provider can't expire it — most likely because it was
+ * just paid — the session stays on the order so that payment is still
+ * matched to it, and refunded.
+ * @param {string} orderId
+ */
+async function cancelCheckout(orderId) {
+  const order = db.getOrder(orderId);
+  if (!order || !order.payment_session_id || order.payment_status === 'paid') return;
+
+  const provider = providers[order.payment_provider];
+  try {
+    if (provider && provider.expireCheckout) await provider.expireCheckout(order.payment_session_id);
+  } catch (err) {
+    console.warn(`[PAYMENTS] Couldn't expire checkout ${order.payment_session_id} for ${orderId}: ${err.message}`);
+    return;
+  }
+  db.updateOrder(orderId, {
+    payment_status: order.amount_paid > 0 ? 'balance_due' : 'unpaid',
+    payment_session_id: '',
+    payment_url: '',
+  });
+  console.log(`[PAYMENTS] Checkout ${order.payment_session_id} for ${orderId} expired`);
+}
+
+/**
+ * Messenger receipt template fields for a paid order.
+ */
+function buildReceipt(order) {
+  const addons = [order.rush && 'Rush', order.cad_design && 'CAD design'].filter(Boolean);
+  const elements = [{
+    title: `Custom insert — ${order.size || 'custom'}`,
+    subtitle: [order.material, order.color].filter(Boolean).join(' · '),
+    quantity: 1,
+    price: order.base_price || 0,
+    currency: CURRENCY,
+  }];
+  if (order.addons_price > 0) {
+    elements.push({ title: 'Add-ons', subtitle: addons.join(', '), quantity: 1, price: order.addons_price, currency: CURRENCY });
+  }
+
+  const receipt = {
+    recipient_name: order.ship_name || 'FormFit customer',
+    order_number: order.order_id,
+    currency: CURRENCY,
+    payment_method: order.payment_provider === 'stripe' ? 'Card' : (order.payment_provider || 'Online'),
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    elements,
+    summary: {
+      subtotal: Math.round(((order.base_price || 0) + (order.addons_price || 0)) * 100) / 100,
+      shipping_cost: order.shipping || 0,
+      total_cost: order.total,
+    },
+  };
+  // Paid beyond the total (re-priced lower) — shown as the refund it's owed
+  if (order.refund_due > 0) receipt.adjustments = [{ name: 'Refund due', amount: order.refund_due }];
+  if (order.ship_line1) {
+    receipt.address = {
+      street_1: order.ship_line1,
+      street_2: order.ship_line2 || '',
+      city: order.ship_city,
+      postal_code: order.ship_zip,
+      state: order.ship_state,
+      country: order.ship_country || 'US',
+    };
+  }
+  return receipt;
+}
+
+/**
+ * A payment for less than was due — the provider charged a different amount
+ * from the one the checkout asked for. It counts toward the order, which
+ * stays unconfirmed with the rest as a balance due, and the owner is alerted.
+ * @returns {{ handled: true, orderId }}
+ */
+async function paidShort(order, amountPaid, due) {
+  const orderId = order.order_id;
+  const balance = round(due - amountPaid);
+  db.updateOrder(orderId, {
+    payment_status: 'balance_due',
+    amount_paid: round((order.amount_paid || 0) + amountPaid),
+    paid_at: new Date().toISOString(),
+    payment_session_id: '',
+    payment_url: '',
+  });
+  const message = `${orderId} was paid $${amountPaid.toFixed(2)} but $${due.toFixed(2)} was due — $${balance.toFixed(2)} still to collect`;
+  console.warn(`[PAYMENTS] ${message}`);
+  events.publish('alert', { orderId, message });
+
+  const focused = db.getState(order.psid).pending_order_id === orderId;
+  if (!focused) db.updateOrder(orderId, { conversation_stage: 'AWAITING_PAYMENT' });
+  const reply = `We received $${amountPaid.toFixed(2)} for order ${orderId}, but it comes to $${due.toFixed(2)}. `
+    + (focused ? `Reply PAY for a link for the remaining $${balance.toFixed(2)}.` : `Reply "switch to ${orderId}" for a link for the remaining $${balance.toFixed(2)}.`);
+  await sendText(order.psid, reply);
+  db.saveMessage(order.psid, 'out', reply);
+  return { handled: true, orderId };
+}
+
+/**
+ * A payment landed on an order that can't be confirmed — usually one the
+ * customer cancelled with the checkout page still open. Nothing goes ahead:
+ * the payment becomes a refund due, the customer is told, and anything else
+ * is left to the owner.
+ * @returns {{ handled: true, orderId }}
+ */
+async function paidButNotConfirmed(orderId, amountPaid, why) {
+  const order = db.getOrder(orderId);
+  const refund = refunds.markDue(orderId, `paid after the order was ${order.status}`);
+  if (!(refund > 0)) {
+    const message = `${orderId} was paid $${amountPaid.toFixed(2)} but can't be confirmed: ${why}`;
+    console.warn(`[PAYMENTS] ${message}`);
+    events.publish('alert', { orderId, message });
+    return { handled: true, orderId };
+  }
+
+  if (db.getState(order.psid).pending_order_id === orderId) db.setState(order.psid, 'NEW', '');
+  const reply = `We received your payment for order ${orderId}, but it had already been ${order.status}, so we'll refund your $${refund.toFixed(2)}. Send a new photo anytime to start a fresh quote!`;
+  await sendText(order.psid, reply);
+  db.saveMessage(order.psid, 'out', reply);
+  console.log(`[PAYMENTS] ${orderId} paid $${amountPaid.toFixed(2)} after it was ${order.status} — refund due`);
+  return { handled: true, orderId };
+}
+
+/**
+ * Apply a normalized payment event to its order.
+ * Only a successful payment of what was due moves the order to `confirmed`:
+ * less leaves a balance to collect, more a refund due.
+ * @param {{ type, sessionId, amount }} event
+ * @returns {{ handled: boolean, orderId?: string }}
+ */
+async function handleEvent(event) {
+  if (!event || event.type === 'ignored') return { handled: false };
+
+  const order = db.getOrderByPaymentSession(event.sessionId);
+  if (!order) {
+    console.warn(`[PAYMENTS] No order for session ${event.sessionId}`);
+    return { handled: false };
+  }
+  const orderId = order.order_id;
+
+  if (order.payment_status === 'paid') {
+    console.log(`[PAYMENTS] ${orderId} already paid — ignoring duplicate ${event.type}`);
+    return { handled: true, orderId };
+  }
+
+  if (event.type === 'payment.succeeded') {
+    const previouslyPaid = order.amount_paid || 0;
+    const due = amountDue(order);
+    // A provider that doesn't report the amount charged what the checkout asked for
+    const amountPaid = event.amount != null ? event.amount / 100 : due;
+    if (amountPaid < due && order.status !== 'cancelled') return await paidShort(order, amountPaid, due);
+
+    db.updateOrder(orderId, {
+      payment_status: 'paid',
+      amount_paid: round(previouslyPaid + amountPaid),
+      paid_at: new Date().toISOString(),
+    });
+    try {
+      orderStatus.transition(orderId, 'confirmed', { actor: `payments:${order.payment_provider}`, reason: 'Payment received' });
+    } catch (err) {
+      if (!(err instanceof orderStatus.TransitionError)) throw err;
+      return await paidButNotConfirmed(orderId, amountPaid, err.message);
+    }
+    const refund = amountPaid > due ? refunds.markDue(orderId, `paid $${amountPaid.toFixed(2)} when $${due.toFixed(2)} was due`) : 0;
+
+    const state = db.getState(order.psid);
+    if (state.pending_order_id === orderId) db.setState(order.psid, 'CONFIRMED', orderId);
+    else db.updateOrder(orderId, { conversation_stage: 'CONFIRMED' });
+
+    let reply = previouslyPaid > 0
+      ? `Balance received — thank you! 🎉 Order ${orderId} is back in the print queue.`
+      : `Payment received — thank you! 🎉 You're confirmed. We'll message you here when printing starts and again when it ships. Order ID: ${orderId}`;
+    if (refund > 0) reply += ` You paid $${refund.toFixed(2)} more than the total — we'll refund it.`;
+    await sendText(order.psid, reply);
+    db.saveMessage(order.psid, 'out', reply);
+    await sendReceipt(order.psid, buildReceipt(db.getOrder(orderId)));
+    console.log(`[PAYMENTS] ${orderId} paid $${amountPaid.toFixed(2)}`);
+    // Paying for this order may have been all that held back another's preview
+    await preview.sendHeld(order.psid);
+    return { handled: true, orderId };
+  }
+
+  if (event.type === 'payment.failed') {
+    db.updateOrder(orderId, { payment_status: 'failed' });
+
+    const reply = "Your payment didn't go through. Reply PAY and I'll send you a fresh payment link.";
+    await sendText(order.psid, reply);
+    db.saveMessage(order.psid, 'out', reply);
+    console.log(`[PAYMENTS] ${orderId} payment failed`);
+    return { handled: true, orderId };
+  }
+
+  console.warn(`[PAYMENTS] Unknown event type: ${event.type}`);
+  return { handled: false };
+}
+
+module.exports = { FAKE_ENABLED, getProvider, amountDue, startCheckout, cancelCheckout, handleEvent };
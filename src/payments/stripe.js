@@ -0,0 +1,129 @@
+/**
+ * Stripe-style checkout-link provider.
+ * Creates hosted Checkout Sessions and verifies signed webhook events.
+ * Point STRIPE_API_BASE at a stand-in server to test without Stripe.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const name = 'stripe';
+const DEFAULT_API_BASE = 'https://api.stripe.com';
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+function getApiBase() {
+  return (process.env.STRIPE_API_BASE || DEFAULT_API_BASE).replace(/\/$/, '');
+}
+
+function getHeaders() {
+  const key = process.env.STRIPE_SECRET_KEY;
+  if (!key) throw new Error('STRIPE_SECRET_KEY not set');
+  return {
+    Authorization: `Bearer ${key}`,
+    'Content-Type': 'application/x-www-form-urlencoded',
+  };
+}
+
+/**
+ * Create a hosted checkout session.
+ * @param {object} opts
+ * @param {string} opts.orderId
+ * @param {number} opts.amount      - Amount in cents
+ * @param {string} opts.currency
+ * @param {string} opts.description
+ * @param {string} opts.baseUrl     - Public URL of this server
+ * @returns {{ sessionId, url }}
+ */
+async function createCheckout({ orderId, amount, currency, description, baseUrl }) {
+  const form = new URLSearchParams({
+    mode: 'payment',
+    client_reference_id: orderId,
+    'metadata[order_id]': orderId,
+    'line_items[0][quantity]': '1',
+    'line_items[0][price_data][currency]': currency.toLowerCase(),
+    'line_items[0][price_data][unit_amount]': String(amount),
+    'line_items[0][price_data][product_data][name]': description,
+    success_url: `${baseUrl}/payments/success?order=${encodeURIComponent(orderId)}`,
+    cancel_url: `${baseUrl}/payments/cancelled?order=${encodeURIComponent(orderId)}`,
+  });
+
+  const res = await axios.post(`${getApiBase()}/v1/checkout/sessions`, form.toString(), {
+    headers: getHeaders(),
+    timeout: 30000,
+  });
+
+  const { id, url } = res.data || {};
+  if (!id || !url) throw new Error('Checkout session response missing id or url');
+  console.log(`[STRIPE] Checkout session ${id} created for ${orderId}`);
+  return { sessionId: id, url };
+}
+
+/**
+ * Expire an open checkout session so it can't be paid.
+ * Fails if the session has already been paid.
+ * @param {string} sessionId
+ */
+async function expireCheckout(sessionId) {
+  await axios.post(`${getApiBase()}/v1/checkout/sessions/${encodeURIComponent(sessionId)}/expire`, '', {
+    headers: getHeaders(),
+    timeout: 30000,
+  });
+  console.log(`[STRIPE] Checkout session ${sessionId} expired`);
+}
+
+/**
+ * Verify the Stripe-Signature header against the raw request body.
+ * Header format: t=<unix>,v1=<hex hmac>[,v1=...]
+ */
+function verifySignature(rawBody, header, secret) {
+  if (!header) throw new Error('Missing Stripe-Signature header');
+  const parts = {};
+  for (const item of header.split(',')) {
+    const [k, v] = item.split('=');
+    if (!k || !v) continue;
+    (parts[k.trim()] = parts[k.trim()] || []).push(v.trim());
+  }
+  const timestamp = parts.t && parts.t[0];
+  const signatures = parts.v1 || [];
+  if (!timestamp || signatures.length === 0) throw new Error('Malformed Stripe-Signature header');
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!(age <= SIGNATURE_TOLERANCE_SEC)) throw new Error('Stripe signature timestamp outside tolerance');
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest();
+  const matched = signatures.some((sig) => {
+    const given = Buffer.from(sig, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  if (!matched) throw new Error('Stripe signature mismatch');
+}
+
+/**
+ * Parse and verify a webhook request into a normalized payment event.
+ * @returns {{ type, sessionId, amount }}
+ */
+function parseWebhook(req) {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) throw new Error('STRIPE_WEBHOOK_SECRET not set');
+  verifySignature(req.rawBody || '', req.get('stripe-signature'), secret);
+
+  const event = req.body || {};
+  const session = event.data?.object || {};
+  let type = 'ignored';
+  if (event.type === 'checkout.session.completed' || event.type === 'checkout.session.async_payment_succeeded') {
+    type = session.payment_status === 'paid' ? 'payment.succeeded' : 'ignored';
+  } else if (event.type === 'checkout.session.async_payment_failed' || event.type === 'checkout.session.expired') {
+    type = 'payment.failed';
+  }
+
+  return {
+    type,
+    sessionId: session.id,
+    amount: session.amount_total != null ? Number(session.amount_total) : null,
+  };
+}
+
+module.exports = { name, createCheckout, expireCheckout, parseWebhook };
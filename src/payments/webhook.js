@@ -0,0 +1,82 @@
+const express = require('express');
+const db = require('../db');
+const payments = require('./index');
+
+const router = express.Router();
+
+// Payment provider webhook — moves orders to `confirmed` once paid
+router.post('/webhook', async (req, res) => {
+  let event;
+  try {
+    event = payments.getProvider().parseWebhook(req);
+  } catch (err) {
+    console.warn('[PAYMENTS WEBHOOK] Rejected:', err.message);
+    return res.status(400).json({ error: 'Invalid payment webhook' });
+  }
+
+  try {
+    const result = await payments.handleEvent(event);
+    res.json({ received: true, handled: result.handled });
+  } catch (err) {
+    console.error('[PAYMENTS WEBHOOK ERROR]', err);
+    res.status(500).json({ error: 'Failed to process payment event' });
+  }
+});
+
+// Landing pages for hosted checkout redirects
+router.get('/success', (req, res) => {
+  res.send(page('Payment received', 'Thanks! You can close this window and head back to Messenger.'));
+});
+
+router.get('/cancelled', (req, res) => {
+  res.send(page('Payment cancelled', 'No charge was made. Reply PAY in Messenger for a new link.'));
+});
+
+// Fake provider checkout page (PAYMENT_PROVIDER=fake, never registered in production)
+if (payments.FAKE_ENABLED) {
+  router.get('/fake/:sessionId', (req, res) => {
+    if (payments.getProvider().name !== 'fake') return res.sendStatus(404);
+    const order = db.getOrderByPaymentSession(req.params.sessionId);
+    if (!order) return res.status(404).send(page('Not found', 'Unknown checkout session.'));
+
+    const sessionId = escapeHtml(req.params.sessionId);
+    res.send(page(
+      `Pay $${payments.amountDue(order).toFixed(2)} for ${escapeHtml(order.order_id)}`,
+      `<form method="POST" action="/payments/fake/${sessionId}/pay" style="display:inline"><button>Pay</button></form>
+       <form method="POST" action="/payments/fake/${sessionId}/fail" style="display:inline"><button>Fail</button></form>`
+    ));
+  });
+
+  router.post('/fake/:sessionId/:outcome', async (req, res) => {
+    if (payments.getProvider().name !== 'fake') return res.sendStatus(404);
+    const { sessionId, outcome } = req.params;
+    if (outcome !== 'pay' && outcome !== 'fail') return res.sendStatus(404);
+
+    try {
+      const order = db.getOrderByPaymentSession(sessionId);
+      const result = await payments.handleEvent({
+        type: outcome === 'pay' ? 'payment.succeeded' : 'payment.failed',
+        sessionId,
+        amount: order ? Math.round(payments.amountDue(order) * 100) : null,
+      });
+      if (!result.handled) return res.status(404).send(page('Not found', 'Unknown checkout session.'));
+      res.redirect(outcome === 'pay' ? '/payments/success' : '/payments/cancelled');
+    } catch (err) {
+      console.error('[PAYMENTS FAKE ERROR]', err);
+      res.status(500).send(page('Error', 'Failed to process payment.'));
+    }
+  });
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>FormFit Custom — ${escapeHtml(title)}</title></head>
+<body style="font-family:sans-serif;text-align:center;padding:60px;"><h2>${escapeHtml(title)}</h2><p>${body}</p></body></html>`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+module.exports = router;
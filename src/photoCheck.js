@@ -0,0 +1,186 @@
+/**
+ * Photo checks
+ * Every photo a customer sends is checked before an order is made from it:
+ * the real file type (from its first bytes, not the URL), resolution, the
+ * sheet of letter / A4 paper used for scale, blur, and tools hanging over the
+ * paper's edge. A photo that fails gets a retake request with the reason
+ * instead of an order the pipeline can't trace.
+ *
+ * The checks use the same paper finding and flattening as the outline
+ * generator. SKIP_PHOTO_CHECKS=1 turns off everything past the file type.
+ */
+
+const fs = require('fs');
+const { readPhoto, otsu, components } = require('./generators/image');
+const paper = require('./generators/paper');
+
+// Signatures for what phones and Messenger actually send
+const FORMATS = [
+  { name: 'jpeg', ext: '.jpg', mime: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { name: 'png', ext: '.png', mime: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { name: 'gif', ext: '.gif', mime: 'image/gif', test: (b) => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { name: 'webp', ext: '.webp', mime: 'image/webp', test: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+  { name: 'heic', ext: '.heic', mime: 'image/heic', test: (b) => b.subarray(4, 8).toString('latin1') === 'ftyp' && /^(heic|heix|hevc|heim|heis|mif1|msf1)$/.test(b.subarray(8, 12).toString('latin1')) },
+  { name: 'bmp', ext: '.bmp', mime: 'image/bmp', test: (b) => b.subarray(0, 2).toString('latin1') === 'BM' },
+  { name: 'tiff', ext: '.tif', mime: 'image/tiff', test: (b) => ['II*\0', 'MM\0*'].includes(b.subarray(0, 4).toString('latin1')) },
+  { name: 'pdf', ext: '.pdf', mime: 'application/pdf', test: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' },
+];
+// What the tracer can decode
+const SUPPORTED = ['jpeg', 'png'];
+
+const MIN_SIDE_PX = 600;
+// Letter is 1.29 : 1 and A4 1.41 : 1; the range allows for perspective
+const PAPER_RATIO = [1.15, 1.6];
+// Flattened sheet resolution — the same the outline generator traces at
+const CHECK_MM_PER_PX = 0.5;
+// Estimated edge blur (Gaussian sigma) above this and outlines are guesswork
+const MAX_BLUR_MM = 1;
+const MIN_CONTRAST = 40;
+const MIN_TOOL_AREA_MM2 = 40;
+// A tool within this of the sheet's edge, reaching at least OVERHANG_DEPTH_MM in, runs off it
+const EDGE_BAND_MM = 3;
+const OVERHANG_DEPTH_MM = 8;
+
+const RETAKES = {
+  'missing': "Sorry, I couldn't download that photo. 😕 Could you send it again?",
+  'format': (format) => `That ${format ? `${format.name.toUpperCase()} file` : 'file'} isn't a photo I can read. 📷 Could you send a regular photo (JPEG or PNG) instead?`,
+  'unreadable': "Sorry, that photo seems to be damaged — I couldn't open it. Could you send it again?",
+  'resolution': "That photo is too small for me to measure your tools accurately. 📏 Could you send it at full size (not a thumbnail or screenshot)?",
+  'no-paper': "I couldn't find the sheet of paper in that photo. 📄 Lay your tools on a plain white letter or A4 sheet on a darker surface, and take the photo from straight above.",
+  'paper-cut-off': "The sheet of paper runs off the edge of the photo. Could you step back a little so the whole sheet and all four corners are in the frame?",
+  'paper-size': "That doesn't look like a letter or A4 sheet. 📄 I use the paper's size to measure your tools, so please use a standard sheet of printer paper.",
+  'paper-too-small': "The paper is too small in the photo for accurate measurements. Could you move closer so the sheet fills most of the frame?",
+  'blurry': "That photo is a little blurry. 🔍 Could you take it again holding the phone steady — tap the screen on the tools to focus first?",
+  'no-tools': "I can't make out any tools on the paper. Could you retake it with the tools laid flat on the sheet, in good light and without strong shadows?",
+  'overhang': "It looks like a tool is hanging over the edge of the paper. ✂️ Everything needs to be fully on the sheet so I can measure it — could you rearrange and retake the photo? (Use two sheets side by side for longer tools.)",
+};
+
+/**
+ * File type from a file's first bytes.
+ * @param {Buffer} buf
+ * @returns {{ name, ext, mime }|null}
+ */
+function detectFormat(buf) {
+  if (!buf || buf.length < 12) return null;
+  const format = FORMATS.find((f) => f.test(buf));
+  return format ? { name: format.name, ext: format.ext, mime: format.mime } : null;
+}
+
+function fail(problem, detail, format) {
+  const retake = RETAKES[problem];
+  return { ok: false, problem, detail, reply: typeof retake === 'function' ? retake(format) : retake };
+}
+
+/**
+ * Check a downloaded photo.
+ * @param {string} filePath
+ * @returns {{ ok: true, format, width, height, blurMm? } | { ok: false, problem, detail, reply }}
+ *   reply is the retake request for the customer
+ */
+function checkPhoto(filePath) {
+  if (!filePath || !fs.existsSync(filePath) || fs.statSync(filePath).size === 0) return fail('missing', 'no file');
+
+  const fd = fs.openSync(filePath, 'r');
+  const head = Buffer.alloc(16);
+  fs.readSync(fd, head, 0, head.length, 0);
+  fs.closeSync(fd);
+  const format = detectFormat(head);
+  if (!format || !SUPPORTED.includes(format.name)) return fail('format', format ? format.name : 'unknown', format);
+
+  let photo;
+  try {
+    photo = readPhoto(filePath);
+  } catch (err) {
+    return fail('unreadable', err.message);
+  }
+  const { width, height } = photo.gray;
+  if (process.env.SKIP_PHOTO_CHECKS === '1') return { ok: true, format: format.name, width, height };
+  if (Math.min(width, height) < MIN_SIDE_PX) return fail('resolution', `${width}×${height}`);
+
+  let corners, sheet;
+  try {
+    corners = paper.findPaper(photo.white);
+    const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+    const across = (dist(corners[0], corners[1]) + dist(corners[3], corners[2])) / 2;
+    const down = (dist(corners[1], corners[2]) + dist(corners[0], corners[3])) / 2;
+    const ratio = Math.max(across, down) / Math.min(across, down);
+    if (ratio < PAPER_RATIO[0] || ratio > PAPER_RATIO[1]) return fail('paper-size', `sides ${ratio.toFixed(2)} : 1`);
+    sheet = paper.rectify(photo.gray, corners, paper.getPaperSize(), CHECK_MM_PER_PX);
+  } catch (err) {
+    if (!(err instanceof paper.PaperError)) throw err;
+    const problem = { 'cut-off': 'paper-cut-off', 'too-small': 'paper-too-small' }[err.problem] || 'no-paper';
+    return fail(problem, err.message);
+  }
+
+  const tools = findTools(sheet);
+  if (tools.length === 0) return fail('no-tools', 'nothing dark on the sheet');
+  const blurMm = estimateBlurMm(sheet);
+  if (blurMm > MAX_BLUR_MM) return fail('blurry', `edges blurred over ~${blurMm.toFixed(1)} mm`);
+  if (tools.some((t) => t.overhangs)) return fail('overhang', `${tools.filter((t) => t.overhangs).length} tool(s) at the edge`);
+
+  return { ok: true, format: format.name, width, height, blurMm: Math.round(blurMm * 100) / 100 };
+}
+
+/**
+ * How far edges are smeared, in mm. A step of contrast C blurred by a
+ * Gaussian of sigma s has a steepest slope of C / (s·√2π), so the steepest
+ * slopes on the sheet (tool edges) give s.
+ */
+function estimateBlurMm({ width, height, data, mmPerPx }) {
+  const margin = Math.ceil(EDGE_BAND_MM / mmPerPx);
+  const { darkMean, brightMean } = otsu(data);
+  const slopes = [];
+  for (let y = margin; y < height - margin; y++) {
+    for (let x = margin; x < width - margin; x++) {
+      const i = y * width + x;
+      slopes.push(Math.hypot(data[i + 1] - data[i - 1], data[i + width] - data[i - width]) / 2);
+    }
+  }
+  if (slopes.length === 0) return 0;
+  slopes.sort((a, b) => b - a);
+  // A high percentile rather than the maximum, which is usually noise
+  const steepest = slopes[Math.floor(slopes.length * 0.001)];
+  if (!steepest) return Infinity;
+  return ((brightMean - darkMean) / (Math.sqrt(2 * Math.PI) * steepest)) * mmPerPx;
+}
+
+/**
+ * Dark regions on the flattened sheet big enough to be tools.
+ * @returns {Array<{ areaMm2, overhangs: boolean }>}
+ */
+function findTools({ width, height, data, mmPerPx }) {
+  const band = Math.ceil(EDGE_BAND_MM / mmPerPx);
+  const interior = new Uint8Array(width * height);
+  for (let y = band; y < height - band; y++) interior.fill(1, y * width + band, (y + 1) * width - band);
+  const { threshold, darkMean, brightMean } = otsu(data, interior);
+  if (brightMean - darkMean < MIN_CONTRAST) return [];
+
+  const dark = Uint8Array.from(data, (v) => (v < threshold ? 1 : 0));
+  const { labels, sizes } = components(dark, width, height);
+  // Per region: how close it comes to the sheet's edge, and how far in it reaches
+  const nearest = new Array(sizes.length).fill(Infinity);
+  const deepest = new Array(sizes.length).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const label = labels[y * width + x];
+      if (!label) continue;
+      const fromEdge = Math.min(x, y, width - 1 - x, height - 1 - y);
+      if (fromEdge < nearest[label]) nearest[label] = fromEdge;
+      if (fromEdge > deepest[label]) deepest[label] = fromEdge;
+    }
+  }
+
+  const minPx = MIN_TOOL_AREA_MM2 / mmPerPx ** 2;
+  const tools = [];
+  sizes.forEach((size, label) => {
+    // Regions that stay in the edge band are shadow or table showing past the corners
+    if (!label || size < minPx || deepest[label] < band) return;
+    tools.push({
+      areaMm2: Math.round(size * mmPerPx ** 2),
+      overhangs: nearest[label] < band && deepest[label] * mmPerPx >= OVERHANG_DEPTH_MM,
+    });
+  });
+  return tools;
+}
+
+module.exports = { RETAKES, detectFormat, checkPhoto };
@@ -1,134 +1,355 @@
 /**
  * Pipeline Orchestrator
- * Runs the full order automation: ToolTrace → Craftcloud → fulfillment
+ * Runs the full order automation: STL generation → measure & re-quote →
+ * customer preview → Craftcloud → fulfillment
  */
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const db = require('./db');
-const tooltrace = require('./tooltrace');
+const generators = require('./generators');
 const craftcloud = require('./craftcloud');
+const address = require('./address');
+const orderStatus = require('./orderStatus');
+const quoteSelection = require('./quoteSelection');
+const pricing = require('./pricing');
+const stl = require('./stl');
+const insertSettings = require('./insertSettings');
+const requote = require('./requote');
+const preview = require('./preview');
+const storage = require('./storage');
 
-const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
 
 /**
- * Run the full order pipeline for an approved order.
- * @param {string} orderId - The FormFit order ID (e.g., 'FFC-12345')
- * @returns {{ success, orderId, stlPath, craftcloudQuote, error }}
+ * Pipeline steps, in order. Each step is idempotent so a job can resume
+ * from its last completed step (see jobs.js).
+ * run(orderId, report) — report(message) records progress for the dashboard.
  */
-async function runOrderPipeline(orderId) {
-  console.log(`[PIPELINE] Starting pipeline for ${orderId}`);
-  let order;
+const STEPS = [
+  { name: 'generate-stl', label: 'Generating STL', run: generateStl },
+  { name: 'analyze-stl', label: 'Measuring STL', run: analyzeStl },
+  { name: 'preview', label: 'Sending preview', run: sendPreview },
+  { name: 'fulfill', label: 'Routing fulfillment', run: fulfill },
+];
 
-  try {
-    order = db.getOrder(orderId);
-    if (!order) throw new Error(`Order ${orderId} not found`);
+// --- Step 1: Generate STL if needed (STL_GENERATOR backend) ---
+async function generateStl(orderId, report) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
 
-    let stlPath = order.stl_path || '';
+  if (order.stl_path) {
+    console.log(`[PIPELINE] STL already exists: ${order.stl_path}`);
+    return { stlPath: order.stl_path };
+  }
 
-    // --- Step 1: Generate STL via ToolTrace if needed ---
-    if (!stlPath) {
-      const photoPath = order.photo_path;
-      if (!photoPath) throw new Error('Order has no photo — cannot generate STL');
+  const photos = db.getOrderPhotos(orderId);
+  if (photos.length === 0) throw new Error('Order has no photo — cannot generate STL');
 
-      console.log(`[PIPELINE] No STL yet. Running ToolTrace on ${photoPath}...`);
-      const traceResult = await tooltrace.processImage(photoPath, UPLOADS_DIR);
+  // Generators write into a scratch folder; what they make is stored with the order
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `formfit-${orderId}-`));
+  let stlPath;
+  try {
+    // One STL per photo; photos already traced on an earlier attempt are skipped
+    for (const [i, photo] of photos.entries()) {
+      if (photo.stl_path) continue;
+      const generator = generators.getGenerator();
+      console.log(`[PIPELINE] No STL yet. Running ${generator.name} on ${photo.path}...`);
+      const which = photos.length > 1 ? `photo ${i + 1} of ${photos.length}` : 'the customer photo';
+      report(`Generating the insert from ${which}`);
+      const traceResult = await generators.generate(await storage.localPath(photo.path), workDir, {
+        report: (msg) => report(`STL (${which}): ${msg}`),
+        ...insertSettings.generatorOptions(order),
+      });
 
       if (!traceResult.success) {
-        throw new Error(`ToolTrace failed: ${traceResult.error}`);
+        throw new Error(`STL generation (${traceResult.generator}) failed: ${traceResult.error}`);
       }
+      checkDrawerFit(traceResult.stlPath, order);
+      const { key } = await storage.saveFile(traceResult.stlPath, { kind: 'stl', orderId });
+      db.setPhotoStl(photo.id, key);
+      photo.stl_path = key;
+    }
 
-      stlPath = traceResult.stlPath;
-      db.updateOrder(orderId, { stl_path: stlPath });
-      console.log(`[PIPELINE] STL generated: ${stlPath}`);
-    } else {
-      console.log(`[PIPELINE] STL already exists: ${stlPath}`);
+    stlPath = photos[0].stl_path;
+    if (photos.length > 1) {
+      report(`Combining ${photos.length} inserts into one STL`);
+      const files = await Promise.all(photos.map((p) => storage.localPath(p.stl_path)));
+      const combined = stl.combineFiles(files, path.join(workDir, `${orderId}-combined.stl`));
+      stlPath = (await storage.saveFile(combined, { kind: 'stl', orderId })).key;
     }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  db.updateOrder(orderId, { stl_path: stlPath });
+  console.log(`[PIPELINE] STL generated: ${stlPath}`);
+  return { stlPath };
+}
 
-    // --- Step 2: Route by fulfillment type ---
-    const fulfillment = (order.fulfillment_type || '').toUpperCase();
-
-    if (fulfillment === 'CLOUD') {
-      return await handleCloudFulfillment(orderId, order, stlPath);
-    } else if (fulfillment === 'SELF') {
-      return handleSelfFulfillment(orderId, stlPath);
-    } else {
-      // Default to self-print if no fulfillment type set
-      console.log(`[PIPELINE] No fulfillment type set — defaulting to SELF`);
-      return handleSelfFulfillment(orderId, stlPath);
+// Not every backend can be told the drawer size, so measure what came back
+function checkDrawerFit(stlPath, order) {
+  const s = insertSettings.fromOrder(order);
+  if (!s.drawerWidthMm && !s.drawerHeightMm) return;
+  const { bbox } = stl.analyzeFile(stlPath);
+  const round = (mm) => Math.round(mm * 10) / 10;
+  if (s.drawerWidthMm) {
+    const fits = (bbox.x <= s.drawerWidthMm && bbox.y <= s.drawerLengthMm) || (bbox.y <= s.drawerWidthMm && bbox.x <= s.drawerLengthMm);
+    if (!fits) {
+      throw new Error(`The insert (${round(bbox.x)} × ${round(bbox.y)} mm) doesn't fit the ${s.drawerWidthMm} × ${s.drawerLengthMm} mm drawer`);
     }
-  } catch (err) {
-    console.error(`[PIPELINE] Error for ${orderId}:`, err.message);
-    // Mark order as error in DB
-    try { db.updateOrder(orderId, { status: 'error' }); } catch (_) {}
-    return {
-      success: false,
-      orderId,
-      stlPath: null,
-      craftcloudQuote: null,
-      error: err.message,
-    };
+  }
+  if (s.drawerHeightMm && bbox.z > s.drawerHeightMm) {
+    throw new Error(`The insert is ${round(bbox.z)} mm tall but the drawer is only ${s.drawerHeightMm} mm`);
+  }
+}
+
+// --- Step 2: Measure the STL and re-price from real geometry ---
+async function analyzeStl(orderId, report) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  if (!order.stl_path) throw new Error('Order has no STL — run generate-stl first');
+
+  if (order.stl_volume_cm3 == null) {
+    report('Measuring STL geometry');
+    // Measure inserts one by one — the combined layout's bounding box means nothing
+    const perPhoto = db.getOrderPhotos(orderId).map((p) => p.stl_path).filter(Boolean);
+    const keys = perPhoto.length > 1 ? perPhoto : [order.stl_path];
+    const geometry = stl.analyzeFiles(await Promise.all(keys.map((k) => storage.localPath(k))), order.material);
+    db.updateOrder(orderId, {
+      stl_bbox_x: geometry.bbox.x,
+      stl_bbox_y: geometry.bbox.y,
+      stl_bbox_z: geometry.bbox.z,
+      stl_volume_cm3: geometry.volumeCm3,
+      stl_area_cm2: geometry.surfaceAreaCm2,
+      print_hours: geometry.printHours,
+      filament_grams: geometry.filamentGrams,
+    });
+    console.log(`[PIPELINE] ${orderId} measured ${geometry.bbox.x}×${geometry.bbox.y}×${geometry.bbox.z} mm, ${geometry.volumeCm3} cm³, ~${geometry.filamentGrams} g, ~${geometry.printHours} h`);
+  }
+
+  report('Checking price against measured geometry');
+  const { status, total } = await requote.requoteFromGeometry(orderId);
+  return { stlPath: order.stl_path, requote: status, total };
+}
+
+// --- Step 3: Render the preview and send it for the customer's approval ---
+async function sendPreview(orderId, report) {
+  let order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  if (!order.stl_path) throw new Error('Order has no STL — run generate-stl first');
+
+  if (!order.preview_path) {
+    report('Rendering the outline preview');
+    await preview.render(orderId);
+    order = db.getOrder(orderId);
+  }
+
+  // Answered already, or waiting on the customer or a rework
+  if (order.preview_status) return { stlPath: order.stl_path, preview: order.preview_status };
+  // One question at a time, and nothing to approve on an unpaid order — a later run sends it
+  const hold = paymentHold(order);
+  if (hold) {
+    console.log(`[PIPELINE] ${orderId} preview rendered — sending it after ${hold}`);
+    return { stlPath: order.stl_path, preview: '' };
+  }
+
+  report('Sending the preview to the customer');
+  const sent = await preview.send(orderId);
+  return { stlPath: order.stl_path, preview: sent ? 'pending' : 'held' };
+}
+
+// --- Step 4: Route by fulfillment type ---
+
+// Nothing is printed or ordered for an order that isn't paid and confirmed —
+// including the customer's OK (and any balance) when the measured price went up
+function paymentHold(order) {
+  if (order.requote_status === 'pending') return 'approval of the revised quote';
+  if (order.payment_status === 'balance_due') return 'the balance payment';
+  if (order.payment_status !== 'paid') return 'payment';
+  if (!['confirmed', 'in-progress'].includes(order.status)) return `the order to be confirmed (it's ${order.status})`;
+  return null;
+}
+
+// ...and not before the customer has approved the preview
+function waitingOn(order) {
+  const hold = paymentHold(order);
+  if (hold) return hold;
+  if (order.preview_status === 'changes-requested') return 'the insert to be reworked';
+  if (order.preview_status !== 'approved') return 'approval of the preview';
+  return null;
+}
+
+async function fulfill(orderId, report) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  const stlPath = order.stl_path;
+  if (!stlPath) throw new Error('Order has no STL — run generate-stl first');
+
+  const waitingFor = waitingOn(order);
+  if (waitingFor) {
+    console.log(`[PIPELINE] ${orderId} waiting for ${waitingFor} — not fulfilling yet`);
+    return { success: true, orderId, stlPath, awaitingCustomer: waitingFor };
+  }
+
+  const fulfillment = (order.fulfillment_type || '').toUpperCase();
+
+  if (fulfillment === 'CLOUD') {
+    report('Requesting Craftcloud quotes');
+    return await handleCloudFulfillment(orderId, order, stlPath);
+  } else if (fulfillment === 'SELF') {
+    return handleSelfFulfillment(orderId, stlPath);
+  } else {
+    // Default to self-print if no fulfillment type set
+    console.log(`[PIPELINE] No fulfillment type set — defaulting to SELF`);
+    return handleSelfFulfillment(orderId, stlPath);
   }
 }
 
 async function handleCloudFulfillment(orderId, order, stlPath) {
-  const material = order.material || 'PLA';
-  console.log(`[PIPELINE] Cloud fulfillment — getting Craftcloud quote for ${material}...`);
+  if (order.craftcloud_order_id) {
+    console.log(`[PIPELINE] Craftcloud order ${order.craftcloud_order_id} already placed — skipping`);
+    return cloudResult(orderId, stlPath, db.getCraftcloudQuotes(orderId).find((q) => q.selected));
+  }
 
-  const quoteResult = await craftcloud.uploadAndQuote(stlPath, material);
-  const best = quoteResult.bestQuote;
+  // Reuse stored quotes unless they've all expired
+  const stored = db.getCraftcloudQuotes(orderId).map(toQuote);
+  if (stored.length === 0 || stored.every((q) => quoteSelection.isExpired(q))) {
+    const material = order.material || 'PLA';
+    console.log(`[PIPELINE] Cloud fulfillment — getting Craftcloud quotes for ${material}...`);
+    const quoteResult = await craftcloud.uploadAndQuote(await storage.localPath(stlPath), material);
+    if (quoteResult.allQuotes.length === 0) throw new Error('No Craftcloud quotes returned');
 
-  if (!best) throw new Error('No Craftcloud quotes returned');
+    const ttlHours = Number(process.env.CRAFTCLOUD_QUOTE_TTL_HOURS) || 24;
+    const fallbackExpiry = new Date(Date.now() + ttlHours * 3600 * 1000).toISOString();
+    db.saveCraftcloudQuotes(orderId, quoteResult.allQuotes.map((q) => ({
+      ...q,
+      expiresAt: q.expiresAt || fallbackExpiry,
+    })));
+  }
 
-  // Save quote info to DB
-  db.updateOrder(orderId, {
-    craftcloud_cost: best.totalPrice,
-    craftcloud_quote_id: best.quoteId,
-  });
-  console.log(`[PIPELINE] Cloud quote ready: $${best.totalPrice.toFixed(2)}`);
+  const { quote: best, reason } = chooseCloudQuote(orderId);
+  if (!best) throw new Error('No usable Craftcloud quotes');
+  console.log(`[PIPELINE] Cloud quote ready: $${best.total_price.toFixed(2)} from ${best.vendor_id} (${reason})`);
+
+  // Nothing is ordered until the owner has picked a quote, unless CRAFTCLOUD_REVIEW_QUOTES=0
+  if (process.env.CRAFTCLOUD_REVIEW_QUOTES !== '0' && !isOwnerPick(best)) {
+    console.log(`[PIPELINE] ${orderId} waiting for the owner to review Craftcloud quotes before ordering`);
+    return { ...cloudResult(orderId, stlPath, best), awaitingReview: true };
+  }
+
+  const held = db.getOrder(orderId);
+  if (held.margin_hold) {
+    console.warn(`[PIPELINE] ${orderId} not auto-ordering — ${held.margin_hold_reason}`);
+    return { ...cloudResult(orderId, stlPath, best), marginHold: true };
+  }
 
-  // Auto-place order if API key is set
-  if (process.env.CRAFTCLOUD_API_KEY) {
+  // Auto-place order if API key is set and we know where to ship it
+  const shipTo = address.fromOrder(order);
+  if (!process.env.CRAFTCLOUD_API_KEY) {
+    console.log('[PIPELINE] Set CRAFTCLOUD_API_KEY to enable auto-ordering');
+  } else if (!shipTo) {
+    console.warn(`[PIPELINE] ${orderId} has no shipping address on file — not auto-ordering. Quote is saved — can order manually.`);
+  } else {
     console.log(`[PIPELINE] Auto-placing Craftcloud order...`);
     try {
       const orderResult = await craftcloud.placeOrder(
-        best.quoteId,
-        {
-          name: order.name || 'FormFit Customer',
-          line1: '123 Main St',
-          city: 'Anytown',
-          state: 'TX',
-          zip: '78701',
-          country: 'US',
-        },
+        best.quote_id,
+        shipTo,
         orderId,
-        best.shippingId
+        best.shipping_id || null
       );
-      db.updateOrder(orderId, { status: 'in-progress' });
+      db.updateOrder(orderId, {
+        craftcloud_order_id: orderResult.orderId || '',
+        estimated_delivery: orderResult.estimatedDelivery || '',
+      });
+      orderStatus.transition(orderId, 'in-progress', {
+        actor: 'pipeline',
+        reason: `Craftcloud order ${orderResult.orderId} placed`,
+      });
       console.log(`[PIPELINE] Craftcloud order placed: ${orderResult.orderId}`);
     } catch (placeErr) {
       console.error(`[PIPELINE] Auto-order failed: ${placeErr.message}. Quote is saved — can order manually.`);
     }
-  } else {
-    console.log('[PIPELINE] Set CRAFTCLOUD_API_KEY to enable auto-ordering');
   }
 
+  return cloudResult(orderId, stlPath, best);
+}
+
+/**
+ * Pick the Craftcloud quote for an order and save it as the order's quote.
+ * An unexpired quote picked by a dashboard user wins; otherwise the order's
+ * policy (or the default policy) decides.
+ * @returns {{ quote, reason }} quote is a craftcloud_quotes row, or null
+ */
+function chooseCloudQuote(orderId) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  const rows = db.getCraftcloudQuotes(orderId);
+
+  const ownerPick = rows.find((r) => r.selected && isOwnerPick(r));
+  if (ownerPick && !quoteSelection.isExpired(toQuote(ownerPick))) {
+    saveChosenQuote(orderId, ownerPick);
+    return { quote: ownerPick, reason: `Picked by ${ownerPick.selected_by}` };
+  }
+
+  const { quote, policy, reason } = quoteSelection.selectQuote(rows.map(toQuote), {
+    policy: order.quote_policy,
+    neededBy: order.needed_by,
+  });
+  if (!quote) return { quote: null, reason };
+
+  const row = db.selectCraftcloudQuote(orderId, quote.id, `policy:${policy}`);
+  saveChosenQuote(orderId, row);
+  return { quote: row, reason };
+}
+
+// The real vendor cost is in — recompute margin and hold the order if it's too thin
+function saveChosenQuote(orderId, row) {
+  const order = db.getOrder(orderId);
+  const fields = pricing.vendorCostFields(order, row.total_price);
+  db.updateOrder(orderId, { ...fields, craftcloud_quote_id: row.quote_id });
+  if (fields.margin_hold && !order.margin_hold) {
+    console.warn(`[PIPELINE] ${orderId} held: ${fields.margin_hold_reason}`);
+  }
+}
+
+function isOwnerPick(row) {
+  return (row.selected_by || '').startsWith('user:');
+}
+
+// craftcloud_quotes row → the camelCase shape quoteSelection works with
+function toQuote(row) {
+  return {
+    id: row.id,
+    quoteId: row.quote_id,
+    vendorId: row.vendor_id,
+    totalPrice: row.total_price,
+    leadDays: row.lead_days,
+    shippingDays: row.shipping_days,
+    expiresAt: row.expires_at || null,
+  };
+}
+
+function cloudResult(orderId, stlPath, row) {
   return {
     success: true,
     orderId,
     stlPath,
-    craftcloudQuote: {
-      quoteId: best.quoteId,
-      totalPrice: best.totalPrice,
-      vendorId: best.vendorId,
-      leadDays: best.leadDays,
-    },
+    craftcloudQuote: row ? {
+      quoteId: row.quote_id,
+      totalPrice: row.total_price,
+      vendorId: row.vendor_id,
+      leadDays: row.lead_days,
+      selectedBy: row.selected_by,
+    } : null,
     error: null,
   };
 }
 
 function handleSelfFulfillment(orderId, stlPath) {
   console.log(`[PIPELINE] STL ready for self-printing at: ${stlPath}`);
-  db.updateOrder(orderId, { status: 'in-progress' });
+  orderStatus.transition(orderId, 'in-progress', { actor: 'pipeline', reason: 'STL ready for self-printing' });
 
   return {
     success: true,
@@ -139,4 +360,4 @@ function handleSelfFulfillment(orderId, stlPath) {
   };
 }
 
-module.exports = { runOrderPipeline };
+module.exports = { STEPS, chooseCloudQuote };
@@ -0,0 +1,311 @@
+/**
+ * Outline preview and customer approval
+ * Once the STL is built the pipeline renders a preview image: each photo,
+ * flattened, with the traced pocket outlines drawn over it, next to a top view
+ * of the STL shaded by depth. It's stored as a 'preview' artifact (storage/)
+ * and sent to the customer with Approve / Request changes buttons;
+ * fulfillment waits for the approval. What the customer asks to change is
+ * saved in `order_revisions`, along with the preview they were looking at.
+ *
+ * preview_status: '' (not sent) → [held] → pending → approved | changes-requested
+ * A preview isn't pushed on a customer who is partway through another order:
+ * it's held, and sent once their conversation is back at CONFIRMED
+ * (sendHeld). Building the STL again (db.clearOrderStl) clears the preview,
+ * so a new one goes out for the rebuilt insert.
+ */
+
+const fs = require('fs');
+const { PNG } = require('pngjs');
+const db = require('./db');
+const stl = require('./stl');
+const insertSettings = require('./insertSettings');
+const notifications = require('./notifications');
+const { readPhoto } = require('./generators/image');
+const paper = require('./generators/paper');
+const { tracePockets } = require('./generators/trace');
+const outline = require('./generators/outline');
+const storage = require('./storage');
+const { sendText, sendButtons, sendImage } = require('./messenger');
+
+const BUTTONS = [
+  { title: '✅ Approve', payload: 'PREVIEW_APPROVE' },
+  { title: '✏️ Request changes', payload: 'PREVIEW_CHANGES' },
+];
+
+// Same resolution the outline generator traces at
+const TRACE_MM_PER_PX = 0.5;
+// The top view is drawn at the trace resolution unless that's wider than this
+const TOP_VIEW_MAX_PX = 600;
+const MARGIN_PX = 16;
+// Depth steps steeper than this are drawn as edges in the top view
+const EDGE_STEP_MM = 0.5;
+
+const BACKGROUND = [255, 255, 255];
+const OUTLINE = [220, 38, 38];
+const TOP_HIGH = [226, 232, 240];
+const TOP_LOW = [71, 85, 105];
+
+/**
+ * Render the preview for an order's current STL and store it with the order.
+ * @returns {Promise<string>} the image's artifact key
+ * @throws {Error} when the order has no STL
+ */
+async function render(orderId) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  if (!order.stl_path) throw new Error('Order has no STL — run generate-stl first');
+
+  const settings = outline.getSettings(insertSettings.generatorOptions(order));
+  const panels = [];
+  for (const photo of db.getOrderPhotos(orderId)) {
+    try {
+      panels.push(outlinePanel(await storage.localPath(photo.path), settings.clearanceMm, !!order.finger_notches));
+    } catch (err) {
+      // The STL may come from a backend that sees the photo differently — show what we have
+      console.warn(`[PREVIEW] ${orderId}: couldn't trace ${photo.path} for the preview: ${err.message}`);
+    }
+  }
+  panels.push(topViewPanel(await storage.localPath(order.stl_path)));
+
+  const width = panels.reduce((sum, p) => sum + p.width, 0) + MARGIN_PX * (panels.length + 1);
+  const height = Math.max(...panels.map((p) => p.height)) + MARGIN_PX * 2;
+  const canvas = blank(width, height);
+  let x = MARGIN_PX;
+  for (const panel of panels) {
+    blit(canvas, panel, x, MARGIN_PX + Math.floor((height - 2 * MARGIN_PX - panel.height) / 2));
+    x += panel.width + MARGIN_PX;
+  }
+
+  const png = new PNG({ width, height });
+  png.data = Buffer.from(canvas.data.buffer);
+  const { key } = await storage.save(PNG.sync.write(png), { kind: 'preview', orderId });
+
+  db.updateOrder(orderId, { preview_path: key });
+  console.log(`[PREVIEW] ${orderId}: ${panels.length} panel(s) saved to ${key}`);
+  return key;
+}
+
+// The customer isn't in the middle of another order's questions
+function canTakeFocus(state) {
+  return !state.pending_order_id || ['NEW', 'CONFIRMED'].includes(state.stage);
+}
+
+/**
+ * Send the rendered preview to the customer and wait for their answer.
+ * Moves the conversation to PREVIEW_SENT — unless the customer is busy with
+ * another order, when the preview is held instead.
+ * @returns {Promise<boolean>} whether it was sent
+ */
+async function send(orderId) {
+  const order = db.getOrder(orderId);
+  if (!order || !order.preview_path) throw new Error(`No preview rendered for ${orderId}`);
+
+  const state = db.getState(order.psid);
+  if (!canTakeFocus(state)) {
+    if (order.preview_status !== 'held') db.updateOrder(orderId, { preview_status: 'held' });
+    console.log(`[PREVIEW] ${orderId}: customer is at ${state.stage} on ${state.pending_order_id} — holding the preview`);
+    return false;
+  }
+
+  // Usually sent well after the customer's last message
+  const opts = notifications.withinWindow(order.psid) ? {} : { tag: notifications.MESSAGE_TAG };
+  await sendImage(order.psid, await storage.localPath(order.preview_path), opts);
+
+  const photos = order.photo_count > 1 ? 'your photos' : 'your photo';
+  const text = `Here's a preview of your insert for order ${orderId} 👆\n`
+    + `Left: ${photos} with the pockets we traced outlined in red. Right: the insert from above — darker is deeper.\n\n`
+    + "Does it look right? We'll start making it as soon as you approve.";
+  const sent = await sendButtons(order.psid, text, BUTTONS, opts);
+  // Fall back to plain text if the template is rejected
+  if (!sent) await sendText(order.psid, `${text}\n\nReply APPROVE to go ahead, or tell us what to change.`, opts);
+  db.saveMessage(order.psid, 'out', text);
+
+  db.updateOrder(orderId, { preview_status: 'pending', preview_sent_at: new Date().toISOString() });
+  db.focusOrder(order.psid, orderId, 'PREVIEW_SENT');
+  console.log(`[PREVIEW] ${orderId}: sent to the customer for approval`);
+  return true;
+}
+
+/**
+ * Send a held preview once the customer is free to answer it. One at a
+ * time — the next waits until this one is answered.
+ */
+async function sendHeld(psid) {
+  if (!canTakeFocus(db.getState(psid))) return;
+  const held = db.getOpenOrdersByPsid(psid).find((o) => o.preview_status === 'held');
+  if (held) await send(held.order_id);
+}
+
+/**
+ * Approve the preview — the customer, or a dashboard user on their behalf.
+ * @throws {Error} when there's no preview to approve
+ */
+function approve(orderId, actor) {
+  const order = db.getOrder(orderId);
+  if (!order || !order.preview_path) throw new Error(`No preview to approve for ${orderId}`);
+  if (order.preview_status === 'approved') return;
+
+  db.updateOrder(orderId, { preview_status: 'approved' });
+  db.recordOrderChanges(orderId, [{ field: 'preview_status', from: order.preview_status, to: 'approved' }], actor);
+  console.log(`[PREVIEW] ${orderId}: approved by ${actor}`);
+}
+
+/**
+ * Save what should change on the insert. Fulfillment stays on hold until a
+ * rebuilt insert's preview is approved.
+ */
+function requestChanges(orderId, notes, actor) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+
+  db.addOrderRevision(orderId, notes, order.preview_path, actor);
+  if (order.preview_status !== 'changes-requested') {
+    db.updateOrder(orderId, { preview_status: 'changes-requested' });
+    db.recordOrderChanges(orderId, [{ field: 'preview_status', from: order.preview_status, to: 'changes-requested' }], actor);
+  }
+  console.log(`[PREVIEW] ${orderId}: changes requested by ${actor}: ${notes.slice(0, 80)}`);
+}
+
+// --- Drawing ---
+
+// An image to draw on: { width, height, data } with RGBA bytes per pixel
+function blank(width, height) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(BACKGROUND, i);
+    data[i + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+function blit(canvas, panel, x0, y0) {
+  for (let y = 0; y < panel.height; y++) {
+    const row = panel.data.subarray(y * panel.width * 4, (y + 1) * panel.width * 4);
+    canvas.data.set(row, ((y0 + y) * canvas.width + x0) * 4);
+  }
+}
+
+function blend(img, x, y, color, alpha) {
+  if (x < 0 || y < 0 || x >= img.width || y >= img.height) return;
+  const i = (y * img.width + x) * 4;
+  for (let c = 0; c < 3; c++) img.data[i + c] = Math.round(img.data[i + c] * (1 - alpha) + color[c] * alpha);
+}
+
+// Polygons given in pixels, filled even-odd one scanline at a time
+function fillPolygons(img, polys, color, alpha) {
+  for (let y = 0; y < img.height; y++) {
+    const cy = y + 0.5;
+    const crossings = [];
+    for (const poly of polys) {
+      for (let i = 0; i < poly.length; i++) {
+        const [x1, y1] = poly[i], [x2, y2] = poly[(i + 1) % poly.length];
+        if ((y1 <= cy) !== (y2 <= cy)) crossings.push(x1 + ((cy - y1) / (y2 - y1)) * (x2 - x1));
+      }
+    }
+    crossings.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      for (let x = Math.ceil(crossings[i] - 0.5); x < crossings[i + 1] - 0.5; x++) blend(img, x, y, color, alpha);
+    }
+  }
+}
+
+function strokePolygons(img, polys, color, widthPx) {
+  const r = widthPx / 2;
+  for (const poly of polys) {
+    for (let i = 0; i < poly.length; i++) {
+      const [x1, y1] = poly[i], [x2, y2] = poly[(i + 1) % poly.length];
+      const steps = Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1)));
+      for (let s = 0; s <= steps; s++) {
+        const x = x1 + ((x2 - x1) * s) / steps, y = y1 + ((y2 - y1) * s) / steps;
+        for (let dy = Math.floor(y - r); dy <= Math.ceil(y + r); dy++) {
+          for (let dx = Math.floor(x - r); dx <= Math.ceil(x + r); dx++) {
+            if (Math.hypot(dx + 0.5 - x, dy + 0.5 - y) <= r) blend(img, dx, dy, color, 1);
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * The photo's sheet, flattened, with the pockets traced from it drawn over it.
+ */
+function outlinePanel(photoPath, clearanceMm, fingerNotches) {
+  const photo = readPhoto(photoPath);
+  const corners = paper.findPaper(photo.white);
+  const sheet = paper.rectify(photo.gray, corners, paper.getPaperSize(), TRACE_MM_PER_PX);
+  const pockets = tracePockets(sheet, { clearanceMm, fingerNotches });
+
+  const panel = blank(sheet.width, sheet.height);
+  for (let i = 0; i < sheet.data.length; i++) panel.data.fill(sheet.data[i], i * 4, i * 4 + 3);
+  // Outlines are in mm with y up; the sheet's rows go down
+  const polys = pockets.map((poly) => poly.map(([x, y]) => [x / TRACE_MM_PER_PX, sheet.height - y / TRACE_MM_PER_PX]));
+  fillPolygons(panel, polys, OUTLINE, 0.2);
+  strokePolygons(panel, polys, OUTLINE, 2);
+  return panel;
+}
+
+/**
+ * The STL seen from above: the highest surface at each pixel, lighter the
+ * higher it is, with steps in depth drawn as edges.
+ */
+function topViewPanel(stlPath) {
+  const triangles = stl.parseStl(fs.readFileSync(stlPath));
+  if (triangles.length === 0) throw new Error(`STL has no triangles: ${stlPath}`);
+
+  let minX = Infinity, minY = Infinity, minZ = Infinity, maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (const t of triangles) {
+    for (let v = 0; v < 9; v += 3) {
+      minX = Math.min(minX, t[v]); maxX = Math.max(maxX, t[v]);
+      minY = Math.min(minY, t[v + 1]); maxY = Math.max(maxY, t[v + 1]);
+      minZ = Math.min(minZ, t[v + 2]); maxZ = Math.max(maxZ, t[v + 2]);
+    }
+  }
+  const mmPerPx = Math.max(TRACE_MM_PER_PX, Math.max(maxX - minX, maxY - minY) / TOP_VIEW_MAX_PX);
+  const width = Math.max(1, Math.ceil((maxX - minX) / mmPerPx));
+  const height = Math.max(1, Math.ceil((maxY - minY) / mmPerPx));
+
+  const top = new Float64Array(width * height).fill(-Infinity);
+  for (const t of triangles) {
+    const ax = (t[0] - minX) / mmPerPx, ay = (maxY - t[1]) / mmPerPx;
+    const bx = (t[3] - minX) / mmPerPx, by = (maxY - t[4]) / mmPerPx;
+    const cx = (t[6] - minX) / mmPerPx, cy = (maxY - t[7]) / mmPerPx;
+    const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    // Walls are edge-on from above
+    if (Math.abs(area) < 1e-9) continue;
+
+    const x0 = Math.max(0, Math.floor(Math.min(ax, bx, cx))), x1 = Math.min(width - 1, Math.ceil(Math.max(ax, bx, cx)));
+    const y0 = Math.max(0, Math.floor(Math.min(ay, by, cy))), y1 = Math.min(height - 1, Math.ceil(Math.max(ay, by, cy)));
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const px = x + 0.5, py = y + 0.5;
+        const wa = ((bx - px) * (cy - py) - (by - py) * (cx - px)) / area;
+        const wb = ((cx - px) * (ay - py) - (cy - py) * (ax - px)) / area;
+        const wc = 1 - wa - wb;
+        if (wa < -1e-9 || wb < -1e-9 || wc < -1e-9) continue;
+        const z = wa * t[2] + wb * t[5] + wc * t[8];
+        if (z > top[y * width + x]) top[y * width + x] = z;
+      }
+    }
+  }
+
+  const panel = blank(width, height);
+  const range = maxZ - minZ || 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const z = top[i];
+      if (z === -Infinity) continue;
+      const step = Math.max(
+        x + 1 < width && top[i + 1] !== -Infinity ? Math.abs(top[i + 1] - z) : 0,
+        y + 1 < height && top[i + width] !== -Infinity ? Math.abs(top[i + width] - z) : 0,
+      );
+      const t = (z - minZ) / range;
+      const shade = step > EDGE_STEP_MM ? 0.55 : 1;
+      for (let c = 0; c < 3; c++) panel.data[i * 4 + c] = Math.round((TOP_LOW[c] + (TOP_HIGH[c] - TOP_LOW[c]) * t) * shade);
+    }
+  }
+  return panel;
+}
+
+module.exports = { BUTTONS, render, send, sendHeld, approve, requestChanges };
@@ -1,60 +1,235 @@
 // Pricing engine for FormFit Custom orders
 // Two fulfillment modes: SELF (Ethan prints) and CLOUD (Craftcloud3D)
 
-const SELF_BASE = {
-  small:        35,
-  medium:       75,
-  'full drawer': 150
-};
+const db = require('./db');
+const insertSettings = require('./insertSettings');
 
-const MATERIAL_MULT = {
-  pla:   1.0,
-  'pla+': 1.1,
-  petg:  1.2
+// Built-in prices (pricing version 0). Edited versions live in `pricing_configs`.
+const DEFAULT_CONFIG = {
+  // SELF base price by size, before the material multiplier
+  selfBase: {
+    small:        35,
+    medium:       75,
+    'full drawer': 150
+  },
+  materialMult: {
+    pla:   1.0,
+    'pla+': 1.1,
+    petg:  1.2
+  },
+  selfShipping: {
+    small:        8,
+    medium:       8,
+    'full drawer': 15
+  },
+  rushFee: 25,
+  cadFee:  15,
+  // Craftcloud estimated costs (what we pay)
+  cloudCost: {
+    small:        20,
+    medium:       45,
+    'full drawer': 100
+  },
+  // Craftcloud sell prices (what the customer pays)
+  cloudSell: {
+    small:        55,
+    medium:       110,
+    'full drawer': 225
+  },
+  // SELF pricing once the generated STL has been measured (see stl.js)
+  selfGeometry: {
+    setupFee:            10,
+    perGram:             0.06,
+    perPrintHour:        1.0,
+    materialCostPerGram: 0.025
+  },
+  // Longest footprint side (mm) that still counts as that size; bigger is a full drawer
+  sizeMaxMm: {
+    small:  150,
+    medium: 300
+  },
+  // Insert settings: size-table prices assume standardDepthMm deep pockets;
+  // fees are per insert
+  insertOptions: {
+    standardDepthMm: 20,
+    gridfinityFee:   10,
+    fingerNotchFee:  5
+  }
 };
 
-const SELF_SHIPPING = {
-  small:        8,
-  medium:       8,
-  'full drawer': 15
+const SIZES = ['small', 'medium', 'full drawer'];
+const MATERIALS = ['pla', 'pla+', 'petg'];
+
+// Config key → the entries it must have (null = a single number)
+const CONFIG_SHAPE = {
+  selfBase: SIZES,
+  materialMult: MATERIALS,
+  selfShipping: SIZES,
+  rushFee: null,
+  cadFee: null,
+  cloudCost: SIZES,
+  cloudSell: SIZES,
+  selfGeometry: ['setupFee', 'perGram', 'perPrintHour', 'materialCostPerGram'],
+  sizeMaxMm: ['small', 'medium'],
+  insertOptions: ['standardDepthMm', 'gridfinityFee', 'fingerNotchFee']
 };
 
-const RUSH_FEE = 25;
-const CAD_FEE  = 15;
+const isAmount = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
 
-// Craftcloud estimated costs (what we pay)
-const CLOUD_COST = {
-  small:        20,
-  medium:       45,
-  'full drawer': 100
-};
+/**
+ * Check a pricing config.
+ * @returns {string[]} problems — empty if the config is usable
+ */
+function validateConfig(config) {
+  if (!config || typeof config !== 'object') return ['Config must be an object'];
+  const errors = [];
 
-// Craftcloud sell prices (what the customer pays)
-const CLOUD_SELL = {
-  small:        55,
-  medium:       110,
-  'full drawer': 225
-};
+  for (const [key, entries] of Object.entries(CONFIG_SHAPE)) {
+    const value = config[key];
+    if (!entries) {
+      if (!isAmount(value)) errors.push(`${key} must be a number ≥ 0`);
+      continue;
+    }
+    if (!value || typeof value !== 'object') {
+      errors.push(`${key} is missing`);
+      continue;
+    }
+    for (const entry of entries) {
+      if (!isAmount(value[entry])) errors.push(`${key}.${entry} must be a number ≥ 0`);
+    }
+  }
+  for (const key of Object.keys(config)) {
+    if (!(key in CONFIG_SHAPE)) errors.push(`Unknown setting: ${key}`);
+  }
+  if (errors.length) return errors;
+
+  for (const mat of MATERIALS) {
+    if (config.materialMult[mat] === 0) errors.push(`materialMult.${mat} must be above 0`);
+  }
+  for (const size of SIZES) {
+    if (config.cloudSell[size] < config.cloudCost[size]) {
+      errors.push(`cloudSell.${size} ($${config.cloudSell[size]}) is below cloudCost.${size} ($${config.cloudCost[size]})`);
+    }
+  }
+  if (config.sizeMaxMm.small >= config.sizeMaxMm.medium) {
+    errors.push('sizeMaxMm.small must be below sizeMaxMm.medium');
+  }
+  if (config.insertOptions.standardDepthMm === 0) errors.push('insertOptions.standardDepthMm must be above 0');
+  return errors;
+}
+
+/**
+ * The pricing config new quotes use: the latest saved version, or the
+ * built-in defaults (version 0) if none has been saved.
+ * @returns {{ version: number, config: object, note, createdBy, createdAt }}
+ */
+function getActiveConfig() {
+  const row = db.getLatestPricingConfig();
+  if (!row) return { version: 0, config: DEFAULT_CONFIG, note: 'Built-in defaults', createdBy: '', createdAt: null };
+  return describeConfig(row);
+}
+
+/**
+ * A specific version, for explaining historical quotes.
+ * @returns {object|null} same shape as getActiveConfig()
+ */
+function getConfigVersion(version) {
+  if (Number(version) === 0) return { version: 0, config: DEFAULT_CONFIG, note: 'Built-in defaults', createdBy: '', createdAt: null };
+  const row = db.getPricingConfig(version);
+  return row ? describeConfig(row) : null;
+}
+
+function describeConfig(row) {
+  return {
+    version: row.version,
+    // Settings added after a version was saved fall back to the defaults
+    config: { ...DEFAULT_CONFIG, ...JSON.parse(row.config) },
+    note: row.note,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Validate and save a new pricing version. New quotes use it right away;
+ * existing orders keep the version they were quoted under.
+ * @returns {number} the new version
+ * @throws {Error} with `errors` listing every problem when the config is invalid
+ */
+function saveConfig(config, createdBy, note) {
+  const errors = validateConfig(config);
+  if (errors.length) {
+    const err = new Error(errors.join('; '));
+    err.errors = errors;
+    throw err;
+  }
+  const clean = {};
+  for (const key of Object.keys(CONFIG_SHAPE)) clean[key] = config[key];
+  return db.createPricingConfig(clean, note, createdBy);
+}
+
+/**
+ * Size bucket for a measured part, from its longest footprint side.
+ * @param {{ bbox: { x, y } }} geometry
+ * @param {object} config - Pricing config
+ */
+function sizeFromGeometry(geometry, config) {
+  const longest = Math.max(geometry.bbox.x, geometry.bbox.y);
+  if (longest <= config.sizeMaxMm.small) return 'small';
+  if (longest <= config.sizeMaxMm.medium) return 'medium';
+  return 'full drawer';
+}
+
+/**
+ * Price factor and per-insert fee for an order's insert settings.
+ * Half of a size-table price is taken to scale with pocket depth (the rest
+ * is walls, floor and setup), so a 40 mm insert costs 1.5× a 20 mm one.
+ * @param {object} [insert] - insertSettings.fromOrder() shape
+ * @returns {{ depthMult, fee }}
+ */
+function insertAdjustments(insert, config) {
+  const o = config.insertOptions;
+  if (!insert) return { depthMult: 1, fee: 0 };
+  const depthMult = insert.depthMm ? 0.5 + 0.5 * insert.depthMm / o.standardDepthMm : 1;
+  const fee = (insert.type === 'gridfinity' ? o.gridfinityFee : 0) + (insert.fingerNotches ? o.fingerNotchFee : 0);
+  return { depthMult, fee };
+}
 
 /**
  * Calculate a quote for an order.
+ * With `geometry` (from stl.analyzeFile) the size comes from the measured
+ * footprint, and SELF prices come from filament grams and print hours
+ * instead of the size table. Before that, a drawer size in the insert
+ * settings sets the size, and the pocket depth scales the table price.
  * @param {object} opts
  * @param {string} opts.size       - 'small', 'medium', or 'full drawer'
  * @param {string} opts.material   - 'pla', 'pla+', or 'petg'
  * @param {string} opts.fulfillment - 'SELF' or 'CLOUD'
  * @param {boolean} opts.rush
  * @param {boolean} opts.cadDesign
- * @returns {object} { basePrice, addonsPrice, shipping, total, craftcloudCost, margin }
+ * @param {number} [opts.inserts] - Inserts in the order, one per photo (default 1)
+ * @param {object} [opts.geometry] - { bbox, filamentGrams, printHours } — bbox of the
+ *                                   largest insert, grams and hours for all of them
+ * @param {object} [opts.insert] - Insert settings, as insertSettings.fromOrder() returns them
+ * @param {{ version, config }} [pricingConfig] - Defaults to the active config
+ * @returns {object} { basePrice, addonsPrice, shipping, total, craftcloudCost, margin, pricingVersion, size }
  */
-function calculateQuote({ size, material, fulfillment, rush = false, cadDesign = false }) {
-  const sizeKey = size.toLowerCase();
+function calculateQuote({ size, material, fulfillment, rush = false, cadDesign = false, inserts = 1, geometry = null, insert = null }, pricingConfig = getActiveConfig()) {
+  const { version, config: c } = pricingConfig;
+  // A shadow box fills the drawer it's made for; Gridfinity bins are sized to the tools
+  const drawer = insert && insert.drawerWidthMm && insert.type !== 'gridfinity'
+    ? { bbox: { x: insert.drawerWidthMm, y: insert.drawerLengthMm } } : null;
+  const sizeKey = geometry ? sizeFromGeometry(geometry, c) : drawer ? sizeFromGeometry(drawer, c) : size.toLowerCase();
   const matKey  = material.toLowerCase();
   const mode    = (fulfillment || 'SELF').toUpperCase();
+  // Measured geometry already reflects the depth
+  const { depthMult, fee } = insertAdjustments(insert, c);
+  const tableMult = geometry ? 1 : depthMult;
 
   if (mode === 'CLOUD') {
-    const cost  = CLOUD_COST[sizeKey] || CLOUD_COST.medium;
-    const sell  = CLOUD_SELL[sizeKey] || CLOUD_SELL.medium;
-    const addons = (rush ? RUSH_FEE : 0) + (cadDesign ? CAD_FEE : 0);
+    const cost  = Math.round((c.cloudCost[sizeKey] ?? c.cloudCost.medium) * tableMult * inserts * 100) / 100;
+    const sell  = Math.round(((c.cloudSell[sizeKey] ?? c.cloudSell.medium) * tableMult + fee) * inserts * 100) / 100;
+    const addons = (rush ? c.rushFee : 0) + (cadDesign ? c.cadFee : 0);
     const total  = sell + addons;
     return {
       basePrice: sell,
@@ -62,20 +237,30 @@ function calculateQuote({ size, material, fulfillment, rush = false, cadDesign =
       shipping: 0,              // included in Craftcloud price
       total,
       craftcloudCost: cost,
-      margin: total - cost
+      margin: total - cost,
+      pricingVersion: version,
+      size: sizeKey
     };
   }
 
   // SELF fulfillment
-  const base     = SELF_BASE[sizeKey] || SELF_BASE.medium;
-  const mult     = MATERIAL_MULT[matKey] || 1.0;
-  const basePrice = Math.round(base * mult * 100) / 100;
-  const addons   = (rush ? RUSH_FEE : 0) + (cadDesign ? CAD_FEE : 0);
-  const shipping = SELF_SHIPPING[sizeKey] || SELF_SHIPPING.medium;
-  const total    = basePrice + addons + shipping;
-  // Rough material cost estimate for margin calc (~30% of base)
-  const materialCost = Math.round(base * 0.3 * 100) / 100;
-  const margin       = total - materialCost - shipping;
+  const mult     = c.materialMult[matKey] ?? 1.0;
+  let base, materialCost;
+  if (geometry) {
+    // Grams and hours already cover every insert
+    const g = c.selfGeometry;
+    base = g.setupFee + geometry.filamentGrams * g.perGram + geometry.printHours * g.perPrintHour;
+    materialCost = Math.round(geometry.filamentGrams * g.materialCostPerGram * 100) / 100;
+  } else {
+    base = (c.selfBase[sizeKey] ?? c.selfBase.medium) * tableMult * inserts;
+    // Rough material cost estimate for margin calc (~30% of base)
+    materialCost = Math.round(base * 0.3 * 100) / 100;
+  }
+  const basePrice = Math.round((base * mult + fee * inserts) * 100) / 100;
+  const addons   = (rush ? c.rushFee : 0) + (cadDesign ? c.cadFee : 0);
+  const shipping = c.selfShipping[sizeKey] ?? c.selfShipping.medium;
+  const total    = Math.round((basePrice + addons + shipping) * 100) / 100;
+  const margin   = Math.round((total - materialCost - shipping) * 100) / 100;
 
   return {
     basePrice,
@@ -83,20 +268,58 @@ function calculateQuote({ size, material, fulfillment, rush = false, cadDesign =
     shipping,
     total,
     craftcloudCost: 0,
-    margin
+    margin,
+    pricingVersion: version,
+    size: sizeKey
+  };
+}
+
+/**
+ * Lowest acceptable margin (dollars) once the real vendor cost is known.
+ * Configurable with MARGIN_FLOOR; defaults to 0 (flag negative margins).
+ */
+function marginFloor() {
+  const floor = Number(process.env.MARGIN_FLOOR);
+  return Number.isFinite(floor) ? floor : 0;
+}
+
+/**
+ * Order fields to save when a real vendor (Craftcloud) cost lands.
+ * Recomputes margin against the quoted total and flags the order for a hold
+ * when the margin drops below the floor — unless the owner already accepted
+ * a cost at least this high.
+ * @param {object} order       - orders row
+ * @param {number} vendorCost  - Real cost we pay, in dollars
+ * @param {number} [floor]
+ * @returns {{ craftcloud_cost, margin, margin_hold, margin_hold_reason }}
+ */
+function vendorCostFields(order, vendorCost, floor = marginFloor()) {
+  const margin = Math.round(((order.total || 0) - vendorCost) * 100) / 100;
+  const accepted = order.margin_released_cost != null && vendorCost <= order.margin_released_cost;
+  const low = margin < floor && !accepted;
+  return {
+    craftcloud_cost: vendorCost,
+    margin,
+    margin_hold: low ? 1 : 0,
+    margin_hold_reason: low
+      ? `Margin $${margin.toFixed(2)} is below the $${floor.toFixed(2)} floor (vendor cost $${vendorCost.toFixed(2)} vs. quoted $${(order.total || 0).toFixed(2)})`
+      : '',
   };
 }
 
 /**
  * Build a human-readable proposal string.
+ * @param {object} [fees] - { rushFee, cadFee } to offer add-ons the order doesn't have yet
  */
-function formatProposal(order, quote) {
+function formatProposal(order, quote, fees = null) {
   const lines = [
     `📋 *FormFit Custom Quote*`,
     ``,
     `Size: ${order.size}`,
+    ...(order.photo_count > 1 ? [`Inserts: ${order.photo_count} (one per photo)`] : []),
     `Material: ${order.material}`,
     `Color: ${order.color}`,
+    ...(insertSettings.describe(order) ? [`Insert: ${insertSettings.describe(order)}`] : []),
     `Fulfillment: ${order.fulfillment_type}`,
     ``,
     `Base price: $${quote.basePrice.toFixed(2)}`,
@@ -114,8 +337,52 @@ function formatProposal(order, quote) {
     lines.push(`Shipping: $${quote.shipping.toFixed(2)}`);
   }
   lines.push(``, `💰 Total: $${quote.total.toFixed(2)}`);
+  if (fees && (!order.rush || !order.cad_design)) {
+    lines.push(``, `Optional add-ons:`);
+    if (!order.rush) lines.push(`⚡ Rush turnaround: +$${fees.rushFee.toFixed(2)}`);
+    if (!order.cad_design) lines.push(`✏️ Custom CAD design: +$${fees.cadFee.toFixed(2)}`);
+  }
   lines.push(``, `Reply YES to confirm or NO to cancel.`);
   return lines.join('\n');
 }
 
-module.exports = { calculateQuote, formatProposal };
+/**
+ * Order fields to save for a quote.
+ */
+function orderFields(quote) {
+  return {
+    size: quote.size,
+    base_price: quote.basePrice,
+    addons_price: quote.addonsPrice,
+    shipping: quote.shipping,
+    total: quote.total,
+    craftcloud_cost: quote.craftcloudCost,
+    margin: quote.margin,
+    pricing_version: quote.pricingVersion
+  };
+}
+
+/**
+ * Human-readable revised quote after the STL was measured.
+ */
+function formatRevisedQuote(order, quote, geometry) {
+  const { x, y, z } = geometry.bbox;
+  return [
+    `📐 *Updated quote for ${order.order_id}*`,
+    ``,
+    order.photo_count > 1
+      ? `We measured your ${order.photo_count} insert designs — the largest is ${Math.round(x)} × ${Math.round(y)} × ${Math.round(z)} mm (${quote.size}).`
+      : `We measured your insert design: ${Math.round(x)} × ${Math.round(y)} × ${Math.round(z)} mm (${quote.size}).`,
+    `Print estimate: ~${geometry.filamentGrams} g of ${order.material}, ~${geometry.printHours} h.`,
+    ``,
+    `Original total: $${order.total.toFixed(2)}`,
+    `💰 Revised total: $${quote.total.toFixed(2)}`,
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_CONFIG, SIZES, MATERIALS,
+  validateConfig, getActiveConfig, getConfigVersion, saveConfig,
+  sizeFromGeometry, insertAdjustments, calculateQuote, orderFields, formatProposal, formatRevisedQuote,
+  marginFloor, vendorCostFields
+};
@@ -0,0 +1,76 @@
+/**
+ * Craftcloud quote selection policies
+ *   cheapest — lowest total price (default)
+ *   fastest  — shortest lead + shipping time, cheapest on ties
+ *   deadline — cheapest quote that arrives at least N days before the
+ *              customer's needed-by date; falls back to fastest if none do
+ *
+ * Default policy: CRAFTCLOUD_QUOTE_POLICY. N: CRAFTCLOUD_DEADLINE_BUFFER_DAYS.
+ * Orders can override the policy (quote_policy) and set a needed_by date.
+ */
+
+const POLICIES = ['cheapest', 'fastest', 'deadline'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function defaultPolicy() {
+  const policy = (process.env.CRAFTCLOUD_QUOTE_POLICY || 'cheapest').toLowerCase();
+  return POLICIES.includes(policy) ? policy : 'cheapest';
+}
+
+function bufferDays() {
+  const n = Number(process.env.CRAFTCLOUD_DEADLINE_BUFFER_DAYS);
+  return Number.isFinite(n) && n >= 0 ? n : 2;
+}
+
+function isExpired(quote, now = Date.now()) {
+  return !!quote.expiresAt && new Date(quote.expiresAt).getTime() <= now;
+}
+
+// Days until the part arrives; unknown lead times sort last
+function deliveryDays(quote) {
+  if (quote.leadDays == null) return Infinity;
+  return quote.leadDays + (quote.shippingDays || 0);
+}
+
+const byPrice = (a, b) => a.totalPrice - b.totalPrice;
+const bySpeed = (a, b) => deliveryDays(a) - deliveryDays(b) || byPrice(a, b);
+
+/**
+ * Pick a quote according to a policy. Expired quotes are never picked.
+ * @param {Array} quotes - { totalPrice, leadDays, shippingDays, expiresAt, ... }
+ * @param {object} [opts]
+ * @param {string} [opts.policy]   - One of POLICIES (default: CRAFTCLOUD_QUOTE_POLICY)
+ * @param {string} [opts.neededBy] - Customer deadline (ISO date), for the deadline policy
+ * @param {number} [opts.now]
+ * @returns {{ quote, policy, reason }} quote is null if nothing is usable
+ */
+function selectQuote(quotes, { policy, neededBy, now = Date.now() } = {}) {
+  const chosenPolicy = POLICIES.includes(policy) ? policy : defaultPolicy();
+  const usable = (quotes || []).filter((q) => !isExpired(q, now));
+  if (usable.length === 0) return { quote: null, policy: chosenPolicy, reason: 'No unexpired quotes' };
+
+  if (chosenPolicy === 'fastest') {
+    const quote = [...usable].sort(bySpeed)[0];
+    return { quote, policy: chosenPolicy, reason: 'Fastest delivery' };
+  }
+
+  if (chosenPolicy === 'deadline') {
+    const deadline = neededBy ? new Date(neededBy).getTime() : NaN;
+    if (Number.isNaN(deadline)) {
+      const quote = [...usable].sort(byPrice)[0];
+      return { quote, policy: chosenPolicy, reason: 'No needed-by date — picked cheapest' };
+    }
+    const availableDays = Math.floor((deadline - now) / DAY_MS) - bufferDays();
+    const inTime = usable.filter((q) => deliveryDays(q) <= availableDays).sort(byPrice);
+    if (inTime.length > 0) {
+      return { quote: inTime[0], policy: chosenPolicy, reason: `Cheapest arriving within ${availableDays} days` };
+    }
+    const quote = [...usable].sort(bySpeed)[0];
+    return { quote, policy: chosenPolicy, reason: `No quote arrives within ${availableDays} days — picked fastest` };
+  }
+
+  const quote = [...usable].sort(byPrice)[0];
+  return { quote, policy: chosenPolicy, reason: 'Cheapest total' };
+}
+
+module.exports = { POLICIES, defaultPolicy, isExpired, selectQuote };
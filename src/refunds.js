@@ -0,0 +1,71 @@
+/**
+ * Refunds owed to customers
+ * Money goes back by hand, from the payment provider's dashboard. Whenever an
+ * order ends up holding more than it costs — cancelled after payment,
+ * re-priced below what was paid, or paid for after it was cancelled — the
+ * difference is recorded as the order's `refund_due` and the owner is alerted.
+ * The owner marks it refunded once the money has been sent back.
+ */
+
+const db = require('./db');
+const events = require('./events');
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * What the order holds beyond its cost: everything paid if it's cancelled,
+ * otherwise anything paid above its total.
+ * @param {object} order
+ * @returns {number}
+ */
+function owed(order) {
+  const paid = order.amount_paid || 0;
+  return round(Math.max(0, order.status === 'cancelled' ? paid : paid - (order.total || 0)));
+}
+
+/**
+ * Record the refund an order now needs and alert the owner. Safe to call
+ * after any change to an order's total, payment or status.
+ * @param {string} orderId
+ * @param {string} reason - for the owner, e.g. 'Cancelled by customer'
+ * @returns {number} the refund due on the order (0 for none)
+ */
+function markDue(orderId, reason) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  const amount = owed(order);
+  if (amount === round(order.refund_due || 0)) return amount;
+
+  db.updateOrder(orderId, { refund_due: amount });
+  if (amount > 0) {
+    const message = `Refund $${amount.toFixed(2)} on ${orderId} — ${reason}`;
+    console.warn(`[REFUND] ${message}`);
+    events.publish('alert', { orderId, message });
+  }
+  return amount;
+}
+
+/**
+ * The owner has sent the money back.
+ * @param {string} orderId
+ * @param {string} actor
+ * @returns {number} the amount refunded
+ */
+function markRefunded(orderId, actor) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  const amount = order.refund_due || 0;
+  if (!(amount > 0)) return 0;
+
+  const amountPaid = round((order.amount_paid || 0) - amount);
+  db.updateOrder(orderId, {
+    refund_due: 0,
+    amount_paid: amountPaid,
+    ...(amountPaid <= 0 ? { payment_status: 'refunded' } : {}),
+  });
+  db.recordOrderChanges(orderId, [{ field: 'amount_paid', from: order.amount_paid, to: amountPaid }], actor);
+  console.log(`[REFUND] ${orderId}: $${amount.toFixed(2)} refunded by ${actor}`);
+  return amount;
+}
+
+module.exports = { owed, markDue, markRefunded };
@@ -0,0 +1,153 @@
+/**
+ * Re-quoting from measured geometry
+ * After the STL is generated the order is re-priced from its measured size
+ * and print estimate (see stl.js). Differences under REQUOTE_THRESHOLD
+ * dollars (default 5) are ignored. A lower price is applied right away; a
+ * higher one is sent to the customer and fulfillment waits for their YES.
+ *
+ * requote_status: unchanged | applied (cheaper) | pending → accepted | declined
+ */
+
+const db = require('./db');
+const pricing = require('./pricing');
+const insertSettings = require('./insertSettings');
+const orderStatus = require('./orderStatus');
+const refunds = require('./refunds');
+const { sendText, sendQuickReplies } = require('./messenger');
+
+const REPLIES = [
+  { title: '✅ Continue', payload: 'REQUOTE_YES' },
+  { title: '❌ Cancel order', payload: 'REQUOTE_CANCEL' },
+];
+
+function threshold() {
+  const n = Number(process.env.REQUOTE_THRESHOLD);
+  return Number.isFinite(n) && n >= 0 ? n : 5;
+}
+
+function geometryOf(order) {
+  return {
+    bbox: { x: order.stl_bbox_x, y: order.stl_bbox_y, z: order.stl_bbox_z },
+    volumeCm3: order.stl_volume_cm3,
+    surfaceAreaCm2: order.stl_area_cm2,
+    printHours: order.print_hours,
+    filamentGrams: order.filament_grams,
+  };
+}
+
+async function reply(psid, text) {
+  await sendText(psid, text);
+  db.saveMessage(psid, 'out', text);
+}
+
+/**
+ * Price an order as it stands, under the pricing version it was quoted with,
+ * using the measured geometry once the STL has been analyzed.
+ * @returns {object} the quote from calculateQuote
+ */
+function priceOrder(order) {
+  const pricingConfig = pricing.getConfigVersion(order.pricing_version) || pricing.getActiveConfig();
+  return pricing.calculateQuote({
+    size: order.size || 'medium',
+    material: order.material || 'pla',
+    fulfillment: order.fulfillment_type,
+    rush: !!order.rush,
+    cadDesign: !!order.cad_design,
+    inserts: order.photo_count || 1,
+    geometry: order.stl_volume_cm3 != null ? geometryOf(order) : undefined,
+    insert: insertSettings.fromOrder(order),
+  }, pricingConfig);
+}
+
+/**
+ * Order fields for a new price. Anything already paid counts toward the new
+ * total; a stale unpaid checkout is dropped so the next link is fresh.
+ * @returns {{ fields: object, balanceDue: number }} balanceDue is what's still
+ *   to collect from a customer who already paid part
+ */
+function repriceFields(order, quote) {
+  const fields = pricing.orderFields(quote);
+  const paid = order.amount_paid || 0;
+  let balanceDue = 0;
+  if (paid > 0 && quote.total > paid) {
+    balanceDue = Math.round((quote.total - paid) * 100) / 100;
+    Object.assign(fields, { payment_status: 'balance_due', payment_session_id: '', payment_url: '' });
+  } else if (paid === 0 && order.payment_status !== 'unpaid') {
+    Object.assign(fields, { payment_status: 'unpaid', payment_session_id: '', payment_url: '' });
+  } else if (paid > 0 && order.payment_status !== 'paid') {
+    // A balance that was still open is covered again
+    Object.assign(fields, { payment_status: 'paid', payment_session_id: '', payment_url: '' });
+  }
+  return { fields, balanceDue };
+}
+
+// Save a revised quote from the geometry check
+function applyQuote(order, quote, status) {
+  const { fields, balanceDue } = repriceFields(order, quote);
+  db.updateOrder(order.order_id, { ...fields, original_total: order.total, requote_status: status });
+  return balanceDue;
+}
+
+/**
+ * Re-price a measured order and tell the customer if the price moved.
+ * Runs once per order.
+ * @returns {{ status: string, total: number }}
+ */
+async function requoteFromGeometry(orderId) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  if (order.requote_status) return { status: order.requote_status, total: order.total };
+
+  const geometry = geometryOf(order);
+  const quote = priceOrder(order);
+
+  const diff = Math.round((quote.total - order.total) * 100) / 100;
+  if (Math.abs(diff) < threshold()) {
+    db.updateOrder(orderId, { requote_status: 'unchanged', requote_json: JSON.stringify(quote) });
+    console.log(`[REQUOTE] ${orderId}: measured price $${quote.total.toFixed(2)} is within $${threshold()} of $${order.total.toFixed(2)}`);
+    return { status: 'unchanged', total: order.total };
+  }
+
+  const summary = pricing.formatRevisedQuote(order, quote, geometry);
+
+  if (diff < 0) {
+    applyQuote(order, quote, 'applied');
+    const due = refunds.markDue(orderId, `measured price came in at $${quote.total.toFixed(2)}`);
+    const refund = due > 0 ? ` We'll refund the $${due.toFixed(2)} difference.` : '';
+    console.log(`[REQUOTE] ${orderId}: lowered $${order.total.toFixed(2)} → $${quote.total.toFixed(2)}`);
+    await reply(order.psid, `${summary}\n\nGood news — it came in cheaper, so we've updated your order.${refund}`);
+    return { status: 'applied', total: quote.total };
+  }
+
+  db.updateOrder(orderId, { requote_status: 'pending', requote_json: JSON.stringify(quote) });
+  db.focusOrder(order.psid, orderId, 'REQUOTE_SENT');
+  console.log(`[REQUOTE] ${orderId}: asking customer to approve $${order.total.toFixed(2)} → $${quote.total.toFixed(2)}`);
+  const text = `${summary}\n\nContinue at the revised price, or cancel${order.amount_paid > 0 ? ' for a full refund' : ''}?`;
+  await sendQuickReplies(order.psid, text, REPLIES);
+  db.saveMessage(order.psid, 'out', text);
+  return { status: 'pending', total: order.total };
+}
+
+/**
+ * Customer accepted a higher revised quote.
+ * @returns {{ balanceDue: number }} 0 when nothing more needs collecting now
+ */
+function accept(orderId) {
+  const order = db.getOrder(orderId);
+  if (!order || order.requote_status !== 'pending') throw new Error(`No revised quote pending for ${orderId}`);
+  const balanceDue = applyQuote(order, JSON.parse(order.requote_json), 'accepted');
+  console.log(`[REQUOTE] ${orderId}: customer accepted revised quote`);
+  return { balanceDue };
+}
+
+/**
+ * Customer turned down a higher revised quote — the order is cancelled.
+ * @returns {{ refund: number }} amount already paid, now due back
+ */
+function decline(orderId) {
+  db.updateOrder(orderId, { requote_status: 'declined' });
+  orderStatus.transition(orderId, 'cancelled', { actor: 'customer', reason: 'Declined revised quote' });
+  return { refund: refunds.markDue(orderId, 'customer declined the revised quote') };
+}
+
+module.exports = { REPLIES, threshold, priceOrder, repriceFields, requoteFromGeometry, accept, decline };
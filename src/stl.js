@@ -0,0 +1,214 @@
+/**
+ * STL analysis
+ * Reads binary or ASCII STL (units: mm) and measures the part: bounding box,
+ * volume, surface area, plus a rough print time and filament estimate.
+ */
+
+const fs = require('fs');
+
+// g/cm³
+const DENSITY = {
+  pla:   1.24,
+  'pla+': 1.24,
+  petg:  1.27
+};
+
+// Shadow-box inserts print with thick walls and a floor — about half solid
+const FILL_RATIO = 0.5;
+// Typical 0.4mm nozzle / 0.2mm layer throughput, cm³ of plastic per hour
+const FLOW_CM3_PER_HOUR = 12;
+// Heat-up, first layer, travel moves
+const OVERHEAD_HOURS = 0.25;
+// Space between inserts laid out side by side in a combined STL, mm
+const COMBINE_GAP_MM = 10;
+
+/**
+ * Parse an STL buffer into triangles.
+ * @param {Buffer} buf
+ * @returns {Float64Array[]} each triangle as [x1,y1,z1, x2,y2,z2, x3,y3,z3]
+ */
+function parseStl(buf) {
+  if (isBinary(buf)) return parseBinary(buf);
+  return parseAscii(buf.toString('utf8'));
+}
+
+// Binary STLs may also start with "solid", so trust the size check first
+function isBinary(buf) {
+  if (buf.length < 84) return false;
+  const count = buf.readUInt32LE(80);
+  if (84 + count * 50 === buf.length) return true;
+  return !buf.slice(0, 5).toString('ascii').toLowerCase().startsWith('solid');
+}
+
+function parseBinary(buf) {
+  const count = buf.readUInt32LE(80);
+  if (84 + count * 50 > buf.length) throw new Error('Truncated binary STL');
+
+  const triangles = [];
+  for (let i = 0; i < count; i++) {
+    const offset = 84 + i * 50 + 12; // skip the normal
+    const tri = new Float64Array(9);
+    for (let j = 0; j < 9; j++) tri[j] = buf.readFloatLE(offset + j * 4);
+    triangles.push(tri);
+  }
+  return triangles;
+}
+
+function parseAscii(text) {
+  const re = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  const coords = [];
+  let m;
+  while ((m = re.exec(text))) coords.push(Number(m[1]), Number(m[2]), Number(m[3]));
+  if (coords.length === 0 || coords.length % 9 !== 0) throw new Error('Not a valid ASCII STL');
+  if (coords.some((c) => !Number.isFinite(c))) throw new Error('ASCII STL has non-numeric vertices');
+
+  const triangles = [];
+  for (let i = 0; i < coords.length; i += 9) triangles.push(Float64Array.from(coords.slice(i, i + 9)));
+  return triangles;
+}
+
+/**
+ * Measure a mesh.
+ * @param {Float64Array[]} triangles
+ * @returns {{ triangles, bbox: { x, y, z }, volumeCm3, surfaceAreaCm2 }}
+ */
+function measure(triangles) {
+  if (triangles.length === 0) throw new Error('STL has no triangles');
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  let volume = 0;
+  let area = 0;
+
+  for (const t of triangles) {
+    for (let v = 0; v < 9; v += 3) {
+      for (let axis = 0; axis < 3; axis++) {
+        if (t[v + axis] < min[axis]) min[axis] = t[v + axis];
+        if (t[v + axis] > max[axis]) max[axis] = t[v + axis];
+      }
+    }
+
+    const [ax, ay, az, bx, by, bz, cx, cy, cz] = t;
+    // Signed volume of the tetrahedron (origin, a, b, c)
+    volume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+
+    const ux = bx - ax, uy = by - ay, uz = bz - az;
+    const vx = cx - ax, vy = cy - ay, vz = cz - az;
+    const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+    area += Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+  }
+
+  const round = (n, places = 1) => Math.round(n * 10 ** places) / 10 ** places;
+  return {
+    triangles: triangles.length,
+    bbox: { x: round(max[0] - min[0]), y: round(max[1] - min[1]), z: round(max[2] - min[2]) },
+    volumeCm3: round(Math.abs(volume) / 1000, 2),
+    surfaceAreaCm2: round(area / 100, 2),
+  };
+}
+
+/**
+ * Rough print estimate for a measured part.
+ * @param {number} volumeCm3
+ * @param {string} [material] - 'pla', 'pla+', or 'petg'
+ * @returns {{ printHours, filamentGrams }}
+ */
+function estimatePrint(volumeCm3, material = 'pla') {
+  const density = DENSITY[(material || '').toLowerCase()] || DENSITY.pla;
+  const plasticCm3 = volumeCm3 * FILL_RATIO;
+  return {
+    printHours: Math.round((plasticCm3 / FLOW_CM3_PER_HOUR + OVERHEAD_HOURS) * 10) / 10,
+    filamentGrams: Math.round(plasticCm3 * density),
+  };
+}
+
+/**
+ * Analyze an STL file.
+ * @param {string} filePath
+ * @param {string} [material]
+ * @returns {{ triangles, bbox, volumeCm3, surfaceAreaCm2, printHours, filamentGrams }}
+ */
+function analyzeFile(filePath, material) {
+  const geometry = measure(parseStl(fs.readFileSync(filePath)));
+  return { ...geometry, ...estimatePrint(geometry.volumeCm3, material) };
+}
+
+/**
+ * Analyze the inserts of a multi-photo order together: the bounding box of
+ * the largest footprint, with volume, area, grams and hours summed.
+ * @param {string[]} filePaths
+ * @param {string} [material]
+ * @returns {{ triangles, bbox, volumeCm3, surfaceAreaCm2, printHours, filamentGrams }}
+ */
+function analyzeFiles(filePaths, material) {
+  const parts = filePaths.map((p) => analyzeFile(p, material));
+  if (parts.length === 1) return parts[0];
+
+  const largest = parts.reduce((a, b) => (b.bbox.x * b.bbox.y > a.bbox.x * a.bbox.y ? b : a));
+  const sum = (key, places) => Math.round(parts.reduce((t, p) => t + p[key], 0) * 10 ** places) / 10 ** places;
+  return {
+    triangles: sum('triangles', 0),
+    bbox: largest.bbox,
+    volumeCm3: sum('volumeCm3', 2),
+    surfaceAreaCm2: sum('surfaceAreaCm2', 2),
+    printHours: sum('printHours', 1),
+    filamentGrams: sum('filamentGrams', 0),
+  };
+}
+
+/**
+ * Lay several STLs out side by side along X and write them as one binary
+ * STL, so a multi-insert order goes to the printer or Craftcloud as one file.
+ * @param {string[]} filePaths
+ * @param {string} outPath
+ * @returns {string} outPath
+ */
+function combineFiles(filePaths, outPath) {
+  const all = [];
+  let offsetX = 0;
+  for (const filePath of filePaths) {
+    const triangles = parseStl(fs.readFileSync(filePath));
+    const min = [Infinity, Infinity, Infinity];
+    let maxX = -Infinity;
+    for (const t of triangles) {
+      for (let v = 0; v < 9; v += 3) {
+        for (let axis = 0; axis < 3; axis++) min[axis] = Math.min(min[axis], t[v + axis]);
+        maxX = Math.max(maxX, t[v]);
+      }
+    }
+    for (const t of triangles) {
+      const moved = new Float64Array(9);
+      for (let v = 0; v < 9; v += 3) {
+        moved[v] = t[v] - min[0] + offsetX;
+        moved[v + 1] = t[v + 1] - min[1];
+        moved[v + 2] = t[v + 2] - min[2];
+      }
+      all.push(moved);
+    }
+    offsetX += maxX - min[0] + COMBINE_GAP_MM;
+  }
+
+  return writeBinary(all, outPath, 'FormFit combined inserts');
+}
+
+/**
+ * Write triangles as a binary STL.
+ * @param {Float64Array[]} triangles - As parseStl returns them
+ * @param {string} outPath
+ * @param {string} [header] - Up to 80 ASCII characters
+ * @returns {string} outPath
+ */
+function writeBinary(triangles, outPath, header = 'FormFit') {
+  const buf = Buffer.alloc(84 + triangles.length * 50);
+  buf.write(header.slice(0, 80), 0, 'ascii');
+  buf.writeUInt32LE(triangles.length, 80);
+  triangles.forEach((t, i) => {
+    // Normals left at zero — slicers recompute them
+    const offset = 84 + i * 50 + 12;
+    for (let j = 0; j < 9; j++) buf.writeFloatLE(t[j], offset + j * 4);
+  });
+  fs.writeFileSync(outPath, buf);
+  return outPath;
+}
+
+module.exports = { parseStl, measure, estimatePrint, analyzeFile, analyzeFiles, combineFiles, writeBinary };
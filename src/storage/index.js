@@ -0,0 +1,282 @@
+/**
+ * Artifact storage
+ * Customer photos, generated STLs and previews are artifacts: stored in a
+ * folder per order (orders/<orderId>/photos|stl|previews/), named by their
+ * content hash, with a row in `artifacts` (kind, size, mime type, SHA-256).
+ * Orders, photos and revisions hold the artifact's key. A photo that arrives
+ * before its order exists waits under customers/<psid>/inbox/ until
+ * moveToOrder().
+ *
+ * Pluggable drivers implement:
+ *   name
+ *   put(key, data, { mime }) / get(key) → Buffer / remove(key)
+ *   localPath(key) → file on this disk (optional)
+ * Select one with STORAGE_DRIVER (default: local).
+ *
+ * Nothing is served from a public folder: the dashboard gets signed links
+ * that expire (signedUrl). Artifacts nothing refers to any more are swept
+ * after STORAGE_ORPHAN_HOURS.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../db');
+const { detectFormat } = require('../photoCheck');
+
+const drivers = {
+  local: require('./local'),
+  s3: require('./s3'),
+};
+
+const ROOT = path.join(__dirname, '..', '..');
+const KINDS = {
+  photo: { folder: 'photos', ext: '.bin', mime: 'application/octet-stream' },
+  stl: { folder: 'stl', ext: '.stl', mime: 'model/stl' },
+  preview: { folder: 'previews', ext: '.png', mime: 'image/png' },
+};
+const URL_TTL_MINUTES = Number(process.env.STORAGE_URL_TTL_MINUTES) || 60;
+const ORPHAN_HOURS = Number(process.env.STORAGE_ORPHAN_HOURS) || 24;
+const SWEEP_MINUTES = 60;
+
+let timer = null;
+let urlSecret = null;
+
+function getDriver(name) {
+  const key = (name || process.env.STORAGE_DRIVER || 'local').toLowerCase();
+  const driver = drivers[key];
+  if (!driver) throw new Error(`Unknown storage driver: ${key}`);
+  return driver;
+}
+
+function getCacheDir() {
+  return process.env.STORAGE_CACHE_DIR || path.join(os.tmpdir(), 'formfit-storage-cache');
+}
+
+function keyFor(kind, { orderId, psid }, sha256, ext) {
+  const name = `${sha256.slice(0, 16)}${ext}`;
+  if (orderId) return `orders/${orderId}/${KINDS[kind].folder}/${name}`;
+  if (psid) return `customers/${psid}/inbox/${name}`;
+  throw new Error('An artifact needs an order or a customer');
+}
+
+/**
+ * Store a file's contents. The same contents for the same order (or
+ * customer inbox) are stored once.
+ * @param {Buffer} data
+ * @param {{ kind: 'photo'|'stl'|'preview', orderId?, psid?, ext?, mime? }} opts
+ * @returns {object} the artifacts row
+ */
+async function save(data, { kind, orderId, psid, ext, mime }) {
+  if (!KINDS[kind]) throw new Error(`Unknown artifact kind: ${kind}`);
+  if (!data || data.length === 0) throw new Error(`Refusing to store an empty ${kind}`);
+  const format = kind === 'photo' ? detectFormat(data) : null;
+  ext = ext || (format ? format.ext : KINDS[kind].ext);
+  mime = mime || (format ? format.mime : KINDS[kind].mime);
+
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  const key = keyFor(kind, { orderId, psid }, sha256, ext);
+  const existing = db.getArtifact(key);
+  if (existing) return existing;
+
+  const driver = getDriver();
+  await driver.put(key, data, { mime });
+  const artifact = db.createArtifact({ key, orderId, psid, kind, driver: driver.name, sha256, size: data.length, mime });
+  console.log(`[STORAGE] Stored ${kind} ${key} (${data.length} bytes, ${driver.name})`);
+  return artifact;
+}
+
+/**
+ * Store a file from disk (a download or a generator's output).
+ * @param {string} filePath
+ * @param {object} opts - as for save(); ext defaults to the file's
+ */
+async function saveFile(filePath, opts) {
+  const data = await fs.promises.readFile(filePath);
+  return save(data, { ext: path.extname(filePath) || undefined, ...opts });
+}
+
+/**
+ * An artifact's contents.
+ * @param {string} key
+ * @returns {Promise<Buffer>}
+ */
+async function read(key) {
+  const artifact = db.getArtifact(key);
+  if (!artifact) {
+    const err = new Error(`No stored file ${key}`);
+    err.statusCode = 404;
+    throw err;
+  }
+  return getDriver(artifact.driver).get(key);
+}
+
+/**
+ * A path on this disk for an artifact, for code that works on files (the
+ * generators, photo checks, Craftcloud uploads). Remote artifacts are
+ * downloaded into a cache named by their hash. Paths stored before artifact
+ * storage existed are used where they are.
+ * @param {string} key
+ * @returns {Promise<string>}
+ */
+async function localPath(key) {
+  const artifact = db.getArtifact(key);
+  if (!artifact) {
+    const legacy = path.resolve(ROOT, key);
+    if (key && fs.existsSync(legacy)) return legacy;
+    throw new Error(`No stored file ${key}`);
+  }
+  const driver = getDriver(artifact.driver);
+  if (driver.localPath) return driver.localPath(key);
+
+  const cached = path.join(getCacheDir(), `${artifact.sha256}${path.extname(key)}`);
+  if (!fs.existsSync(cached)) {
+    await fs.promises.mkdir(getCacheDir(), { recursive: true });
+    const partial = `${cached}.${process.pid}.partial`;
+    await fs.promises.writeFile(partial, await driver.get(key));
+    await fs.promises.rename(partial, cached);
+  }
+  return cached;
+}
+
+/**
+ * Move an inbox photo (or any artifact) into an order's folder, updating
+ * everything that refers to it.
+ * @returns {Promise<string>} the new key
+ */
+async function moveToOrder(key, orderId) {
+  const artifact = db.getArtifact(key);
+  if (!artifact) throw new Error(`No stored file ${key}`);
+  if (artifact.order_id === orderId) return key;
+
+  const newKey = keyFor(artifact.kind, { orderId }, artifact.sha256, path.extname(key));
+  const driver = getDriver(artifact.driver);
+  if (!db.getArtifact(newKey)) await driver.put(newKey, await driver.get(key), { mime: artifact.mime });
+  db.moveArtifact(key, newKey, orderId);
+  await driver.remove(key);
+  console.log(`[STORAGE] Moved ${key} to ${newKey}`);
+  return newKey;
+}
+
+/**
+ * Delete an artifact and its row.
+ */
+async function remove(key) {
+  const artifact = db.getArtifact(key);
+  if (!artifact) return;
+  await getDriver(artifact.driver).remove(key);
+  db.deleteArtifact(key);
+}
+
+function getUrlSecret() {
+  if (process.env.STORAGE_URL_SECRET) return process.env.STORAGE_URL_SECRET;
+  if (!urlSecret) {
+    urlSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('[STORAGE] STORAGE_URL_SECRET not set — file links stop working when the server restarts');
+  }
+  return urlSecret;
+}
+
+function urlSignature(key, expires) {
+  return crypto.createHmac('sha256', getUrlSecret()).update(`${key}\n${expires}`).digest('hex');
+}
+
+/**
+ * A link to an artifact that works for STORAGE_URL_TTL_MINUTES.
+ * @param {string} key
+ * @returns {string} /files/<key>?expires=…&signature=…
+ */
+function signedUrl(key) {
+  if (!key) return '';
+  // Rounded up to 5 minutes so a page refreshed often gets the same (cacheable) link
+  const expires = Math.ceil((Date.now() / 1000 + URL_TTL_MINUTES * 60) / 300) * 300;
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `/files/${encodedKey}?expires=${expires}&signature=${urlSignature(key, expires)}`;
+}
+
+/**
+ * Check a signed link's expiry and signature.
+ * @returns {boolean}
+ */
+function verifyUrl(key, expires, signature) {
+  if (!key || !/^\d+$/.test(String(expires)) || !signature) return false;
+  if (Number(expires) < Date.now() / 1000) return false;
+  const given = Buffer.from(String(signature), 'hex');
+  const expected = Buffer.from(urlSignature(key, expires), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Delete artifacts nothing refers to any more (failed photos, STLs and
+ * previews replaced by a rebuild) and stale cached downloads.
+ * @returns {Promise<number>} how many artifacts were deleted
+ */
+async function sweep() {
+  let deleted = 0;
+  for (const artifact of db.getUnreferencedArtifacts(ORPHAN_HOURS)) {
+    try {
+      await remove(artifact.key);
+      deleted++;
+    } catch (err) {
+      console.error(`[STORAGE] Couldn't delete ${artifact.key}:`, err.message);
+    }
+  }
+  if (deleted) console.log(`[STORAGE] Swept ${deleted} unreferenced file(s)`);
+
+  const cacheDir = getCacheDir();
+  const cutoff = Date.now() - ORPHAN_HOURS * 3600 * 1000;
+  for (const name of fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : []) {
+    const file = path.join(cacheDir, name);
+    if (fs.statSync(file).mtimeMs < cutoff) fs.rmSync(file, { force: true });
+  }
+  return deleted;
+}
+
+/**
+ * Store the files orders referred to by path before artifact storage
+ * existed (uploads/<psid>_<time>.jpg, uploads/<time>.stl, …) and point the
+ * orders at the stored copies. Missing files are left as they are.
+ * @returns {Promise<number>} how many files were stored
+ */
+async function importLegacyFiles() {
+  let imported = 0;
+  for (const ref of db.getUnstoredReferences()) {
+    const file = path.resolve(ROOT, ref.ref);
+    if (!fs.existsSync(file)) continue;
+    try {
+      const artifact = await saveFile(file, { kind: ref.kind, orderId: ref.order_id, psid: ref.psid });
+      db.replaceArtifactKey(ref.ref, artifact.key);
+      fs.rmSync(file, { force: true });
+      imported++;
+    } catch (err) {
+      console.error(`[STORAGE] Couldn't import ${ref.ref}:`, err.message);
+    }
+  }
+  if (imported) console.log(`[STORAGE] Imported ${imported} file(s) from before artifact storage`);
+  return imported;
+}
+
+/**
+ * Import older files, then sweep unreferenced artifacts every hour.
+ */
+function start() {
+  if (timer) return;
+  importLegacyFiles()
+    .then(() => sweep())
+    .catch((err) => console.error('[STORAGE] Startup import failed:', err));
+  timer = setInterval(() => {
+    sweep().catch((err) => console.error('[STORAGE] Sweep error:', err));
+  }, SWEEP_MINUTES * 60 * 1000);
+  console.log(`[STORAGE] Using the ${getDriver().name} driver; unreferenced files are kept ${ORPHAN_HOURS} h`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  save, saveFile, read, localPath, moveToOrder, remove,
+  signedUrl, verifyUrl, sweep, importLegacyFiles, start, stop,
+};
@@ -0,0 +1,43 @@
+/**
+ * Local disk storage driver.
+ * Each artifact is a file at its key under STORAGE_DIR (default: uploads/).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const name = 'local';
+
+function getRoot() {
+  return path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads'));
+}
+
+function filePath(key) {
+  const root = getRoot();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return file;
+}
+
+async function put(key, data) {
+  const file = filePath(key);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  // Written aside and renamed, so a reader never sees half a file
+  const partial = `${file}.${process.pid}.partial`;
+  await fs.promises.writeFile(partial, data);
+  await fs.promises.rename(partial, file);
+}
+
+async function get(key) {
+  return fs.promises.readFile(filePath(key));
+}
+
+async function remove(key) {
+  await fs.promises.rm(filePath(key), { force: true });
+}
+
+function localPath(key) {
+  return filePath(key);
+}
+
+module.exports = { name, put, get, remove, localPath };
@@ -0,0 +1,114 @@
+/**
+ * S3-compatible storage driver.
+ * Objects go in S3_BUCKET, addressed path-style (S3_ENDPOINT/bucket/key) so
+ * the same code talks to AWS S3 or a MinIO-style server, and every request
+ * is signed with AWS Signature Version 4.
+ * Point S3_ENDPOINT at a stand-in server to test without AWS.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const name = 's3';
+const SERVICE = 's3';
+
+function getConfig() {
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY must be set');
+  }
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+  return { endpoint, bucket, region, accessKeyId, secretAccessKey };
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// encodeURIComponent leaves !'()* alone; SigV4 wants them escaped too
+function encode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Signature Version 4 headers for a request.
+ * @param {object} req
+ * @param {string} req.method
+ * @param {URL} req.url         - path already URI-encoded, no query string
+ * @param {object} req.headers  - extra headers to sign
+ * @param {string} req.payloadHash
+ * @param {Date} [req.date]
+ * @returns {object} the headers to send, Authorization included
+ */
+function sign({ method, url, headers = {}, payloadHash, date = new Date() }, { region, accessKeyId, secretAccessKey }) {
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const signed = { ...headers, host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+
+  const lower = {};
+  for (const [k, v] of Object.entries(signed)) lower[k.toLowerCase()] = String(v).trim().replace(/\s+/g, ' ');
+  const names = Object.keys(lower).sort();
+  // Object requests here never have a query string
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    names.map((n) => `${n}:${lower[n]}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${day}/${region}/${SERVICE}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), SERVICE), 'aws4_request');
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return {
+    ...signed,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+}
+
+async function request(method, key, { data, headers } = {}) {
+  const config = getConfig();
+  const url = new URL(`${config.endpoint}/${encode(config.bucket)}/${key.split('/').map(encode).join('/')}`);
+  const payloadHash = sha256(data || '');
+  try {
+    return await axios({
+      method,
+      url: url.toString(),
+      data,
+      headers: sign({ method, url, headers, payloadHash }, config),
+      responseType: 'arraybuffer',
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      timeout: 60000,
+    });
+  } catch (err) {
+    const status = err.response?.status;
+    const e = new Error(`S3 ${method} ${key} failed: ${status ? `HTTP ${status}` : err.message}`);
+    e.statusCode = status === 404 ? 404 : 502;
+    throw e;
+  }
+}
+
+async function put(key, data, { mime } = {}) {
+  await request('PUT', key, { data, headers: { 'content-type': mime || 'application/octet-stream' } });
+}
+
+async function get(key) {
+  const res = await request('GET', key);
+  return Buffer.from(res.data);
+}
+
+async function remove(key) {
+  try {
+    await request('DELETE', key);
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+  }
+}
+
+module.exports = { name, put, get, remove };
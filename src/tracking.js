@@ -0,0 +1,94 @@
+/**
+ * Craftcloud order tracking sync
+ * Polls getOrderStatus for open cloud orders, stores vendor status, tracking
+ * and estimated delivery, and moves orders to `shipped` when the vendor ships.
+ */
+
+const db = require('./db');
+const craftcloud = require('./craftcloud');
+const orderStatus = require('./orderStatus');
+
+const POLL_MINUTES = Number(process.env.CRAFTCLOUD_POLL_MINUTES) || 30;
+const SHIPPED_STATUSES = ['shipped', 'delivered', 'received'];
+
+let timer = null;
+let running = false;
+
+/**
+ * Fetch the latest vendor status for one order and apply it.
+ * @param {string} orderId - FormFit order ID
+ * @returns {{ orderId, vendorStatus, shipped }}
+ */
+async function syncOrder(orderId) {
+  const order = db.getOrder(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  if (!order.craftcloud_order_id) throw new Error(`${orderId} has no Craftcloud order`);
+
+  const status = await craftcloud.getOrderStatus(order.craftcloud_order_id);
+  const vendorStatus = String(status.status || 'unknown').toLowerCase();
+  const trackingUrl = /^https?:\/\//i.test(status.trackingUrl || '') ? status.trackingUrl : '';
+
+  db.updateOrder(orderId, {
+    vendor_status: vendorStatus,
+    tracking_url: trackingUrl || order.tracking_url,
+    tracking_number: status.trackingNumber || order.tracking_number,
+    estimated_delivery: status.estimatedDelivery || order.estimated_delivery,
+    tracking_synced_at: new Date().toISOString(),
+  });
+
+  let shipped = false;
+  if (SHIPPED_STATUSES.includes(vendorStatus) && orderStatus.canTransition(order.status, 'shipped')) {
+    orderStatus.transition(orderId, 'shipped', {
+      actor: 'craftcloud',
+      reason: `Vendor status: ${vendorStatus}`,
+    });
+    shipped = true;
+  }
+
+  if (vendorStatus !== order.vendor_status) {
+    console.log(`[TRACKING] ${orderId}: vendor status ${order.vendor_status || '—'} → ${vendorStatus}`);
+  }
+  return { orderId, vendorStatus, shipped };
+}
+
+/**
+ * Sync every open cloud order. One failure doesn't stop the rest.
+ */
+async function syncAll() {
+  if (running) return;
+  running = true;
+  try {
+    const orders = db.getOpenCloudOrders();
+    for (const order of orders) {
+      try {
+        await syncOrder(order.order_id);
+      } catch (err) {
+        console.error(`[TRACKING] Sync failed for ${order.order_id}:`, err.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic poller (needs CRAFTCLOUD_API_KEY).
+ */
+function start() {
+  if (timer) return;
+  if (!process.env.CRAFTCLOUD_API_KEY) {
+    console.log('[TRACKING] Set CRAFTCLOUD_API_KEY to enable Craftcloud tracking sync');
+    return;
+  }
+  timer = setInterval(() => {
+    syncAll().catch((err) => console.error('[TRACKING] Poller error:', err));
+  }, POLL_MINUTES * 60 * 1000);
+  console.log(`[TRACKING] Polling Craftcloud every ${POLL_MINUTES} min`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { syncOrder, syncAll, start, stop };
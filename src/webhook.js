@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const express = require('express');
 const db = require('./db');
 const { handleIncoming } = require('./conversation');
+const { ECHO_METADATA } = require('./messenger');
+const operator = require('./operator');
 
 const router = express.Router();
 
@@ -18,8 +21,34 @@ router.get('/', (req, res) => {
   return res.sendStatus(403);
 });
 
+/**
+ * Check X-Hub-Signature-256 (HMAC-SHA256 of the raw body, keyed by the app secret).
+ * @returns {string|null} Reason the request is rejected, or null if it is genuine
+ */
+function checkSignature(req) {
+  const secret = process.env.APP_SECRET;
+  if (!secret) return 'APP_SECRET not set';
+
+  const header = req.get('x-hub-signature-256') || '';
+  if (!header.startsWith('sha256=')) return 'missing signature';
+  if (typeof req.rawBody !== 'string') return 'missing body';
+
+  const given = Buffer.from(header.slice('sha256='.length), 'hex');
+  const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest();
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return 'signature mismatch';
+  }
+  return null;
+}
+
 // Receive messages from Facebook Messenger
 router.post('/', async (req, res) => {
+  const rejection = checkSignature(req);
+  if (rejection) {
+    console.warn(`[WEBHOOK] Rejected POST from ${req.ip}: ${rejection}`);
+    return res.sendStatus(403);
+  }
+
   // Facebook expects a 200 quickly — respond before processing
   res.sendStatus(200);
 
@@ -32,20 +61,32 @@ router.post('/', async (req, res) => {
         const psid = event.sender?.id;
         if (!psid) continue;
 
-        // Skip echoes of our own messages
-        if (event.message?.is_echo) continue;
+        // Echoes: our own sends carry ECHO_METADATA and are already saved;
+        // anything else was typed in the Page inbox by someone on the team
+        if (event.message?.is_echo) {
+          const customerPsid = event.recipient?.id;
+          if (customerPsid && event.message.metadata !== ECHO_METADATA) {
+            const attachments = event.message.attachments || [];
+            console.log(`[WEBHOOK ECHO] PSID=${customerPsid} reply from the Page inbox`);
+            operator.recordInboxReply(customerPsid, event.message.text || (attachments.length ? '[attachment]' : '[empty]'));
+          }
+          continue;
+        }
 
+        // Button taps arrive as postbacks; quick-reply taps as messages with a payload
+        if (!event.message && !event.postback) continue;
         const message = event.message || {};
-        const text = message.text || '';
+        const text = message.text || event.postback?.title || '';
         const attachments = message.attachments || [];
+        const payload = message.quick_reply?.payload || event.postback?.payload || '';
 
-        console.log(`[WEBHOOK IN] PSID=${psid} text="${text}" attachments=${attachments.length}`);
+        console.log(`[WEBHOOK IN] PSID=${psid} text="${text}" attachments=${attachments.length}${payload ? ` payload=${payload}` : ''}`);
 
         // Save incoming message to DB
         db.saveMessage(psid, 'in', text || (attachments.length ? '[image]' : '[empty]'));
 
         // Hand off to conversation state machine
-        await handleIncoming(psid, { text, attachments });
+        await handleIncoming(psid, { text, attachments, payload });
       }
     }
   } catch (err) {